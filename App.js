@@ -1,14 +1,81 @@
-import React, { useEffect, useState, createContext, useCallback } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate, Link, useNavigate, useParams } from 'react-router-dom';
+import React, { useEffect, useState, createContext, useCallback, useMemo, useRef } from 'react';
+import {
+  BrowserRouter as Router,
+  Routes,
+  Route,
+  Navigate,
+  Link,
+  useNavigate,
+  useParams,
+  useLocation
+} from 'react-router-dom';
 import axios from 'axios';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css'; // Added CSS import for toastify
+import './a11y.css';
+import { useRoomSocket } from './roomSocket';
+import { tally, tallyUnit, votingModes, isRankedMode } from './tally';
+import { seedBracket, roundLabel, keepMyVotes } from './bracket';
+import TiebreakerAnimation from './Tiebreakers';
+import { verifyTiebreaker, randomEntropy } from './fairness';
+import { buildDecisionRecord, exportCsv, exportJson, printSummary, shareResultsCard } from './exportResults';
+import {
+  saveRoom,
+  loadSavedRoom,
+  enqueue,
+  listQueue,
+  removeQueued,
+  useOnlineStatus,
+  usePendingQueue
+} from './offlineStore';
+import {
+  notificationTypes,
+  defaultNotificationPrefs,
+  browserNotificationsSupported,
+  requestBrowserPermission,
+  shouldAlert,
+  showBrowserNotification,
+  notificationPath
+} from './notify';
+import {
+  locales,
+  localeStorageKey,
+  isSupportedLocale,
+  detectLocale,
+  localeDir,
+  createTranslator,
+  formatNumber,
+  formatDate,
+  setActiveLocale,
+  translate
+} from './i18n';
+import {
+  themeModes,
+  themeStorageKey,
+  themeVars,
+  breakpoints,
+  roomAccents,
+  isAccentColor,
+  accentVars,
+  useMediaQuery,
+  color,
+  chartColors,
+  font,
+  radius,
+  shadow,
+  space
+} from './theme';
 
-axios.defaults.baseURL = 'http://localhost:5000/api';
+// Point at another backend (or `npm run mock`) with REACT_APP_API_URL at build time
+axios.defaults.baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 const AuthContext = createContext();
 
 const authStorageKey = 'diceyAuth';
+const refreshStorageKey = 'diceyRefresh';
+
+// Refresh this long before the access token expires
+const refreshLeadMs = 60 * 1000;
 
 // Helper API instance with token added automatically
 const api = axios.create();
@@ -20,55 +87,720 @@ api.interceptors.request.use(config => {
   return config;
 });
 
+// Expiry (ms) from a JWT's exp claim; not verified, only used to schedule refreshes
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+function isTokenExpired(token) {
+  const expiry = tokenExpiry(token);
+  return expiry !== null && expiry <= Date.now();
+}
+
+// Only the server turning the session down ends it; being offline or a 5xx keeps the tokens for later
+function isAuthRejection(err) {
+  if (err.noRefreshToken) return true;
+  return err.response?.status === 401 || err.response?.status === 403;
+}
+
+// Rotate the refresh token for a new pair; concurrent callers share one request
+let refreshing = null;
+function refreshSession() {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem(refreshStorageKey);
+    refreshing = (refreshToken
+      ? axios.post('/auth/refresh', { refreshToken })
+      : Promise.reject(Object.assign(new Error('No refresh token'), { noRefreshToken: true }))
+    )
+      .then(({ data }) => {
+        localStorage.setItem(authStorageKey, data.token);
+        localStorage.setItem(refreshStorageKey, data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// Guests get a token scoped to one room; their `email` is the server-assigned guest id
+const signedOut = { token: null, email: null, name: null, avatarUrl: null, guestRoomCode: null, profileLoaded: false };
+
 // AuthProvider to manage login state
 function AuthProvider({ children }) {
+  const navigate = useNavigate();
   const [auth, setAuth] = useState(() => {
     const token = localStorage.getItem(authStorageKey);
-    return { token, email: null };
+    return { ...signedOut, token };
   });
 
-  // Fetch profile email if token present (optional)
-  useEffect(() => {
-    if (auth.token && !auth.email) {
-      // Could add /me endpoint but skipping for brevity
-      setAuth(auth => ({ ...auth, email: 'You' }));
-    }
-  }, [auth.token, auth.email]);
+  const login = useCallback((token, email, refreshToken) => {
+    localStorage.setItem(authStorageKey, token);
+    if (refreshToken) localStorage.setItem(refreshStorageKey, refreshToken);
+    setAuth({ ...signedOut, token, email });
+  }, []);
 
-  const login = (token, email) => {
+  const loginAsGuest = useCallback((token, guestId, name, roomCode) => {
     localStorage.setItem(authStorageKey, token);
-    setAuth({ token, email });
-  };
+    localStorage.removeItem(refreshStorageKey);
+    setAuth({ ...signedOut, token, email: guestId, name, guestRoomCode: roomCode });
+  }, []);
 
-  const logout = () => {
+  const logout = useCallback(() => {
+    const refreshToken = localStorage.getItem(refreshStorageKey);
+    if (refreshToken) axios.post('/auth/logout', { refreshToken }).catch(() => {});
     localStorage.removeItem(authStorageKey);
-    setAuth({ token: null, email: null });
-  };
+    localStorage.removeItem(refreshStorageKey);
+    setAuth(signedOut);
+  }, []);
+
+  const updateProfile = useCallback(profile => {
+    setAuth(auth => ({ ...auth, ...profile }));
+  }, []);
+
+  // Bootstrap the profile from /auth/me, refreshing first if the stored token has expired.
+  // Offline (say, reopening the installed app) the session is kept and bootstrapping waits for the network.
+  useEffect(() => {
+    if (!auth.token || auth.profileLoaded) return;
+    let cancelled = false;
+    async function bootstrap() {
+      try {
+        if (isTokenExpired(auth.token)) {
+          const token = await refreshSession();
+          if (!cancelled) setAuth(auth => ({ ...auth, token }));
+          return;
+        }
+        const { data } = await api.get('/auth/me');
+        if (!cancelled) {
+          setAuth(auth => ({
+            ...auth,
+            email: data.email,
+            name: data.name,
+            avatarUrl: data.avatarUrl,
+            guestRoomCode: data.guest ? data.roomCode : null,
+            notificationPrefs: data.notificationPrefs,
+            locale: data.locale,
+            profileLoaded: true
+          }));
+        }
+      } catch (err) {
+        if (cancelled) return;
+        if (isAuthRejection(err)) logout();
+        else window.addEventListener('online', bootstrap, { once: true });
+      }
+    }
+    bootstrap();
+    return () => {
+      cancelled = true;
+      window.removeEventListener('online', bootstrap);
+    };
+  }, [auth.token, auth.profileLoaded, logout]);
+
+  // Silently rotate tokens shortly before the access token expires
+  useEffect(() => {
+    const expiry = auth.token && tokenExpiry(auth.token);
+    if (!expiry) return;
+    const timer = setTimeout(() => {
+      refreshSession()
+        .then(token => setAuth(auth => ({ ...auth, token })))
+        .catch(err => {
+          // Offline: the next request's 401 retries the refresh
+          if (isAuthRejection(err)) logout();
+        });
+    }, Math.max(0, expiry - Date.now() - refreshLeadMs));
+    return () => clearTimeout(timer);
+  }, [auth.token, logout]);
+
+  // On 401, try one refresh and replay the request; if the server rejects the refresh too, log out and remember where we were
+  useEffect(() => {
+    const id = api.interceptors.response.use(null, async error => {
+      const original = error.config;
+      if (error.response?.status !== 401 || !original || original._retried) throw error;
+      original._retried = true;
+      let token;
+      try {
+        token = await refreshSession();
+      } catch (refreshError) {
+        if (!isAuthRejection(refreshError)) throw error;
+        logout();
+        toast.info(translate('auth.sessionExpired'), { toastId: 'session-expired' });
+        navigate('/login', { replace: true, state: { from: window.location.pathname + window.location.search } });
+        throw error;
+      }
+      setAuth(auth => ({ ...auth, token }));
+      return api(original);
+    });
+    return () => api.interceptors.response.eject(id);
+  }, [logout, navigate]);
 
   return (
-    <AuthContext.Provider value={{ auth, login, logout }}>
+    <AuthContext.Provider value={{ auth, login, loginAsGuest, logout, updateProfile }}>
       {children}
     </AuthContext.Provider>
   );
 }
 
+// No response at all means we never reached the server (offline, DNS, CORS...)
+function isNetworkError(err) {
+  return !err.response;
+}
+
+// Queue a write made offline for replay. Resolves false, after telling the user, when this browser
+// can't keep it: no IndexedDB (some private windows) or no crypto.randomUUID (plain-http origins).
+async function queueOffline(entry) {
+  try {
+    await enqueue({ ...entry, body: { ...entry.body, clientRequestId: crypto.randomUUID() } });
+    return true;
+  } catch {
+    toast.error(translate('offline.queueFailed'));
+    return false;
+  }
+}
+
+// Replay writes queued while offline, oldest first. Requests the room no longer accepts
+// (voting already closed, already voted...) are dropped with a warning instead of retried.
+let replaying = false;
+async function replayQueue() {
+  if (replaying || !navigator.onLine) return;
+  replaying = true;
+  try {
+    for (const item of await listQueue()) {
+      try {
+        await api.request({
+          method: item.method || 'post',
+          url: item.url,
+          data: item.kind === 'option' ? optionPayload(item.body) : item.body
+        });
+        await removeQueued(item.id);
+      } catch (err) {
+        const status = err.response?.status;
+        // Still offline, server trouble or signed out: keep the rest for the next attempt
+        if (!status || status >= 500 || status === 401) break;
+        await removeQueued(item.id);
+        toast.warn(
+          translate(item.kind === 'vote' ? 'offline.voteSyncFailed' : 'offline.optionSyncFailed', {
+            roomCode: item.roomCode,
+            reason: err.response.data?.message || translate('offline.conflict')
+          })
+        );
+      }
+    }
+  } finally {
+    replaying = false;
+  }
+}
+
+// Replays the offline queue whenever we're signed in and back online
+function OfflineSync() {
+  const { auth } = useAuth();
+  const online = useOnlineStatus();
+  useEffect(() => {
+    // Without offline storage (some private windows) there is simply nothing to replay
+    if (online && auth.token) replayQueue().catch(() => {});
+  }, [online, auth.token]);
+  return null;
+}
+
 function useAuth() {
   const context = React.useContext(AuthContext);
   if (!context) throw new Error('useAuth must be used in AuthProvider');
   return context;
 }
 
+const LocaleContext = createContext();
+
+// LocaleProvider picks the UI language: the account's saved choice, else this device's, else the browser's
+function LocaleProvider({ children }) {
+  const { auth, updateProfile } = useAuth();
+  const [locale, setLocaleState] = useState(() => {
+    const saved = localStorage.getItem(localeStorageKey);
+    return isSupportedLocale(saved) ? saved : detectLocale();
+  });
+
+  // A language saved on the account follows the user between devices
+  useEffect(() => {
+    if (isSupportedLocale(auth.locale)) setLocaleState(auth.locale);
+  }, [auth.locale]);
+
+  useEffect(() => {
+    localStorage.setItem(localeStorageKey, locale);
+    setActiveLocale(locale);
+    document.documentElement.lang = locale;
+    document.documentElement.dir = localeDir(locale);
+  }, [locale]);
+
+  const setLocale = useCallback(async next => {
+    setLocaleState(next);
+    // Guests have no account to save it on; the device keeps it
+    if (!auth.token || auth.guestRoomCode) return;
+    try {
+      const { data } = await api.put('/auth/me', { locale: next });
+      updateProfile({ locale: data.locale || next });
+    } catch (err) {
+      toast.error(err.response?.data?.message || createTranslator(next)('language.saveFailed'));
+    }
+  }, [auth.token, auth.guestRoomCode, updateProfile]);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    dir: localeDir(locale),
+    t: createTranslator(locale),
+    formatNumber: (n, options) => formatNumber(locale, n, options),
+    formatDate: (date, options) => formatDate(locale, date, options)
+  }), [locale, setLocale]);
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
+function useI18n() {
+  const context = React.useContext(LocaleContext);
+  if (!context) throw new Error('useI18n must be used in LocaleProvider');
+  return context;
+}
+
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <select value={locale} onChange={e => setLocale(e.target.value)} aria-label={t('language.label')} style={styles.languageSelect}>
+      {locales.map(l => (
+        <option key={l.value} value={l.value} lang={l.value}>{l.label}</option>
+      ))}
+    </select>
+  );
+}
+
+// Toasts follow the reading direction
+function Toasts() {
+  const { dir } = useI18n();
+  return <ToastContainer position={dir === 'rtl' ? 'top-left' : 'top-right'} rtl={dir === 'rtl'} autoClose={3000} role="alert" />;
+}
+
+const A11yContext = createContext();
+
+const contrastStorageKey = 'diceyContrast';
+
+// A11yProvider owns the screen-reader live regions and the high-contrast theme (styled in a11y.css)
+function A11yProvider({ children }) {
+  const [polite, setPolite] = useState('');
+  const [assertive, setAssertive] = useState('');
+  const [highContrast, setHighContrastState] = useState(() => {
+    const saved = localStorage.getItem(contrastStorageKey);
+    if (saved) return saved === 'high';
+    return window.matchMedia?.('(prefers-contrast: more)').matches || false;
+  });
+
+  useEffect(() => {
+    document.documentElement.dataset.contrast = highContrast ? 'high' : 'normal';
+  }, [highContrast]);
+
+  const setHighContrast = useCallback(on => {
+    localStorage.setItem(contrastStorageKey, on ? 'high' : 'normal');
+    setHighContrastState(on);
+  }, []);
+
+  // Clearing first makes screen readers read a repeated message again
+  const announce = useCallback((message, { urgent = false } = {}) => {
+    const set = urgent ? setAssertive : setPolite;
+    set('');
+    setTimeout(() => set(message), 50);
+  }, []);
+
+  const value = useMemo(() => ({ announce, highContrast, setHighContrast }), [announce, highContrast, setHighContrast]);
+
+  return (
+    <A11yContext.Provider value={value}>
+      {children}
+      <div role="status" aria-live="polite" style={styles.visuallyHidden}>{polite}</div>
+      <div role="alert" aria-live="assertive" style={styles.visuallyHidden}>{assertive}</div>
+    </A11yContext.Provider>
+  );
+}
+
+function useA11y() {
+  const context = React.useContext(A11yContext);
+  if (!context) throw new Error('useA11y must be used in A11yProvider');
+  return context;
+}
+
+function ContrastToggle() {
+  const { highContrast, setHighContrast } = useA11y();
+  const { t } = useI18n();
+  return (
+    <label style={styles.contrastToggle}>
+      <input type="checkbox" checked={highContrast} onChange={e => setHighContrast(e.target.checked)} />{' '}
+      {t('a11y.highContrast')}
+    </label>
+  );
+}
+
+const ThemeContext = createContext();
+
+// ThemeProvider writes the light or dark palette and the phone or desktop layout tokens onto
+// <html> as CSS variables. 'system' follows the OS colour scheme as it changes.
+function ThemeProvider({ children }) {
+  const [mode, setModeState] = useState(() => {
+    const saved = localStorage.getItem(themeStorageKey);
+    return themeModes.includes(saved) ? saved : 'system';
+  });
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const compact = useMediaQuery(`(max-width: ${breakpoints.phone}px)`);
+  const scheme = mode === 'system' ? (prefersDark ? 'dark' : 'light') : mode;
+
+  useEffect(() => {
+    const root = document.documentElement;
+    Object.entries(themeVars(scheme, compact)).forEach(([name, value]) => root.style.setProperty(name, value));
+    root.style.colorScheme = scheme;
+    root.dataset.theme = scheme;
+    document.body.style.backgroundColor = color.background;
+    document.body.style.color = color.text;
+  }, [scheme, compact]);
+
+  const setMode = useCallback(next => {
+    localStorage.setItem(themeStorageKey, next);
+    setModeState(next);
+  }, []);
+
+  const value = useMemo(() => ({ mode, setMode, scheme, compact }), [mode, setMode, scheme, compact]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+function useTheme() {
+  const context = React.useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used in ThemeProvider');
+  return context;
+}
+
+function ThemeSwitcher() {
+  const { mode, setMode } = useTheme();
+  const { t } = useI18n();
+  return (
+    <select value={mode} onChange={e => setMode(e.target.value)} aria-label={t('theme.label')} style={styles.languageSelect}>
+      {themeModes.map(m => (
+        <option key={m} value={m}>{t(`theme.modes.${m}`)}</option>
+      ))}
+    </select>
+  );
+}
+
+// Swatches for a room's accent colour, plus the theme default (null) and a custom colour
+function AccentPicker({ value, onChange, disabled }) {
+  const { t } = useI18n();
+  const custom = isAccentColor(value) && !roomAccents.some(a => a.value === value);
+  // Painted as an image so the high-contrast theme, which blanks background colours, keeps it
+  const swatch = (selected, fill) => ({
+    ...styles.accentSwatch,
+    backgroundImage: `linear-gradient(${fill}, ${fill})`,
+    ...(selected && styles.accentSwatchSelected)
+  });
+
+  return (
+    <fieldset style={styles.accentPicker} disabled={disabled}>
+      <legend style={styles.ballotLegend}>{t('theme.roomAccent')}</legend>
+      <label title={t('theme.accents.default')}>
+        <input type="radio" name="accent" checked={!value} onChange={() => onChange(null)} style={styles.visuallyHidden} />
+        <span style={swatch(!value, color.accent)} data-swatch aria-hidden="true" />
+        <span style={styles.visuallyHidden}>{t('theme.accents.default')}</span>
+      </label>
+      {roomAccents.map(a => (
+        <label key={a.name} title={t(`theme.accents.${a.name}`)}>
+          <input
+            type="radio"
+            name="accent"
+            checked={value === a.value}
+            onChange={() => onChange(a.value)}
+            style={styles.visuallyHidden}
+          />
+          <span style={swatch(value === a.value, a.value)} data-swatch aria-hidden="true" />
+          <span style={styles.visuallyHidden}>{t(`theme.accents.${a.name}`)}</span>
+        </label>
+      ))}
+      <label style={styles.contrastToggle}>
+        <input
+          type="color"
+          value={isAccentColor(value) ? value : roomAccents[0].value}
+          onChange={e => onChange(e.target.value)}
+          style={custom ? { outline: `3px solid ${color.strong}` } : undefined}
+        />
+        {t('theme.customAccent')}
+      </label>
+    </fieldset>
+  );
+}
+
+const NotificationsContext = createContext();
+
+const notificationPollMs = 30 * 1000;
+
+// NotificationsProvider polls the user's notification feed and raises opt-in browser alerts
+function NotificationsProvider({ children }) {
+  const { auth, updateProfile } = useAuth();
+  const navigate = useNavigate();
+  const [items, setItems] = useState([]);
+  const seenIds = useRef(null);
+  const prefs = { ...defaultNotificationPrefs, ...auth.notificationPrefs };
+  const prefsRef = useRef(prefs);
+  prefsRef.current = prefs;
+  // Guests have no feed of their own
+  const enabled = Boolean(auth.token && auth.profileLoaded && !auth.guestRoomCode);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const { data } = await api.get('/notifications');
+      // Alert only for notifications that arrived after the first fetch
+      if (seenIds.current) {
+        data
+          .filter(n => !n.read && !seenIds.current.has(n._id) && shouldAlert(n, prefsRef.current))
+          .forEach(n => showBrowserNotification(n, () => navigate(notificationPath(n))));
+      }
+      seenIds.current = new Set(data.map(n => n._id));
+      setItems(data);
+    } catch {
+      // Quietly retry on the next poll
+    }
+  }, [navigate]);
+
+  useEffect(() => {
+    if (!enabled) {
+      setItems([]);
+      seenIds.current = null;
+      return;
+    }
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, notificationPollMs);
+    return () => clearInterval(interval);
+  }, [enabled, fetchNotifications]);
+
+  async function markAllRead() {
+    const ids = items.filter(n => !n.read).map(n => n._id);
+    if (!ids.length) return;
+    setItems(list => list.map(n => ({ ...n, read: true })));
+    try {
+      await api.post('/notifications/read', { ids });
+    } catch {
+      toast.error(translate('notifications.markReadFailed'));
+    }
+  }
+
+  async function savePrefs(next) {
+    try {
+      const { data } = await api.put('/auth/me', { notificationPrefs: next });
+      updateProfile({ notificationPrefs: data.notificationPrefs || next });
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || translate('notifications.saveFailed'));
+      return false;
+    }
+  }
+
+  function toggleRoomMute(roomCode) {
+    const muted = prefs.mutedRooms.includes(roomCode);
+    return savePrefs({
+      ...prefs,
+      mutedRooms: muted ? prefs.mutedRooms.filter(c => c !== roomCode) : [...prefs.mutedRooms, roomCode]
+    });
+  }
+
+  const unreadCount = items.filter(n => !n.read).length;
+
+  return (
+    <NotificationsContext.Provider
+      value={{ enabled, items, unreadCount, prefs, markAllRead, savePrefs, toggleRoomMute }}
+    >
+      {children}
+    </NotificationsContext.Provider>
+  );
+}
+
+function useNotifications() {
+  const context = React.useContext(NotificationsContext);
+  if (!context) throw new Error('useNotifications must be used in NotificationsProvider');
+  return context;
+}
+
+// Bell with unread badge and a dropdown of recent room notifications
+function NotificationBell() {
+  const { enabled, items, unreadCount, markAllRead } = useNotifications();
+  const { t, formatDate } = useI18n();
+  const [open, setOpen] = useState(false);
+  if (!enabled) return null;
+
+  return (
+    <div style={styles.bellWrap}>
+      <button type="button" onClick={() => setOpen(o => !o)} style={styles.bellButton} aria-label={t('notifications.bellLabel', { count: unreadCount })}>
+        <span role="img" aria-hidden="true">🔔</span>
+        {unreadCount > 0 && <span style={styles.badge}>{unreadCount > 99 ? '99+' : unreadCount}</span>}
+      </button>
+      {open && (
+        <div style={styles.bellPanel}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <strong>{t('notifications.title')}</strong>
+            <button type="button" onClick={markAllRead} disabled={!unreadCount} style={styles.linkButton}>
+              {t('notifications.markAllRead')}
+            </button>
+          </div>
+          {items.length === 0 && <p style={styles.hint}>{t('notifications.empty')}</p>}
+          <ul style={styles.optionList}>
+            {items.slice(0, 20).map(n => (
+              <li key={n._id} style={{ ...styles.bellItem, fontWeight: n.read ? 'normal' : 'bold' }}>
+                <Link to={notificationPath(n)} onClick={() => setOpen(false)}>
+                  {n.roomTitle || n.groupName || n.roomCode}
+                </Link>
+                : {n.message}
+                <br />
+                <small style={styles.hint}>{formatDate(n.createdAt)}</small>
+              </li>
+            ))}
+          </ul>
+          <Link to="/profile" onClick={() => setOpen(false)} style={{ fontSize: 14 }}>
+            {t('notifications.settingsLink')}
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Profile section: browser alerts opt-in, per-type toggles and muted rooms
+function NotificationSettings() {
+  const { prefs, savePrefs, toggleRoomMute } = useNotifications();
+  const { t } = useI18n();
+
+  async function toggleBrowser(checked) {
+    if (checked) {
+      const permission = await requestBrowserPermission();
+      if (permission !== 'granted') {
+        return toast.error(t('notifications.blocked'));
+      }
+    }
+    savePrefs({ ...prefs, browser: checked });
+  }
+
+  return (
+    <div style={{ ...styles.form, textAlign: 'start', marginTop: 30 }}>
+      <h3 style={{ margin: 0 }}>{t('notifications.title')}</h3>
+      <label>
+        <input
+          type="checkbox"
+          checked={prefs.browser}
+          disabled={!browserNotificationsSupported()}
+          onChange={e => toggleBrowser(e.target.checked)}
+        />{' '}
+        {t('notifications.browserAlerts')} {!browserNotificationsSupported() && t('notifications.unsupported')}
+      </label>
+      {notificationTypes.map(type => (
+        <label key={type}>
+          <input
+            type="checkbox"
+            checked={prefs.types[type] !== false}
+            onChange={e => savePrefs({ ...prefs, types: { ...prefs.types, [type]: e.target.checked } })}
+          />{' '}
+          {t(`notifications.types.${type}`)}
+        </label>
+      ))}
+      {prefs.mutedRooms.length > 0 && (
+        <div>
+          {t('notifications.mutedRooms')}
+          <ul>
+            {prefs.mutedRooms.map(code => (
+              <li key={code}>
+                {code}{' '}
+                <button type="button" onClick={() => toggleRoomMute(code)} style={styles.linkButton}>
+                  {t('notifications.unmute')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Protected route wrapper
 function PrivateRoute({ children }) {
   const { auth } = useAuth();
-  if (!auth.token) return <Navigate to="/login" replace />;
+  const location = useLocation();
+  if (!auth.token) return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  // Guest tokens only reach their own room
+  if (auth.guestRoomCode) return <Navigate to={`/room/${auth.guestRoomCode}`} replace />;
+  return children;
+}
+
+// Room route: logged-out visitors (or guests of another room) join with just a nickname
+function RoomRoute({ children }) {
+  const { auth } = useAuth();
+  const { roomCode } = useParams();
+  if (!auth.token || (auth.guestRoomCode && auth.guestRoomCode !== roomCode)) {
+    return <GuestJoin roomCode={roomCode} />;
+  }
   return children;
 }
 
+// Guest join page - nickname only, no account
+function GuestJoin({ roomCode }) {
+  const { loginAsGuest } = useAuth();
+  const { t } = useI18n();
+  const [nickname, setNickname] = useState('');
+  const [loading, setLoading] = useState(false);
+  const from = `/room/${roomCode}`;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const { data } = await axios.post('/auth/guest', { roomCode, nickname: nickname.trim() });
+      loginAsGuest(data.token, data.guestId, nickname.trim(), roomCode);
+      toast.success(t('auth.welcomeGuest', { name: nickname.trim() }));
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('auth.guestFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div style={styles.centered}>
+      <LanguageSwitcher />
+      <ThemeSwitcher />
+      <ContrastToggle />
+      <h2>{t('auth.joinRoomTitle', { roomCode })}</h2>
+      <form onSubmit={handleSubmit} style={styles.form}>
+        <label style={styles.field}>
+          {t('auth.nickname')}
+          <input
+            required
+            maxLength={30}
+            autoComplete="nickname"
+            value={nickname}
+            onChange={e => setNickname(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <button type="submit" disabled={loading || !nickname.trim()} style={styles.button}>
+          {loading ? t('auth.joining') : t('auth.joinAsGuest')}
+        </button>
+        <p>
+          {t('auth.haveAccount')} <Link to="/login" state={{ from }}>{t('auth.logIn')}</Link>
+        </p>
+      </form>
+    </div>
+  );
+}
+
 // Login page
 function Login() {
   const { login } = useAuth();
+  const { t } = useI18n();
   const navigate = useNavigate();
+  const location = useLocation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
@@ -78,11 +810,11 @@ function Login() {
     setLoading(true);
     try {
       const { data } = await axios.post('/auth/login', { email, password });
-      login(data.token, data.email);
-      toast.success('Logged in!');
-      navigate('/');
+      login(data.token, data.email, data.refreshToken);
+      toast.success(t('auth.loggedIn'));
+      navigate(location.state?.from || '/', { replace: true });
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Login failed');
+      toast.error(err.response?.data?.message || t('auth.loginFailed'));
     } finally {
       setLoading(false);
     }
@@ -90,30 +822,44 @@ function Login() {
 
   return (
     <div style={styles.centered}>
-      <h2>Login</h2>
+      <LanguageSwitcher />
+      <ThemeSwitcher />
+      <ContrastToggle />
+      <h2>{t('auth.loginTitle')}</h2>
       <form onSubmit={handleSubmit} style={styles.form}>
-        <input
-          type="email"
-          placeholder="Email"
-          required
-          value={email}
-          onChange={e => setEmail(e.target.value)}
-          style={styles.input}
-        />
-        <input
-          type="password"
-          placeholder="Password"
-          required
-          value={password}
-          onChange={e => setPassword(e.target.value)}
-          style={styles.input}
-        />
+        <label style={styles.field}>
+          {t('auth.email')}
+          <input
+            type="email"
+            required
+            autoComplete="email"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <label style={styles.field}>
+          {t('auth.password')}
+          <input
+            type="password"
+            required
+            autoComplete="current-password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            style={styles.input}
+          />
+        </label>
         <button type="submit" disabled={loading} style={styles.button}>
-          {loading ? 'Logging in...' : 'Login'}
+          {loading ? t('auth.loggingIn') : t('auth.loginTitle')}
         </button>
         <p>
-          No account? <Link to="/signup">Sign up</Link>
+          {t('auth.noAccount')} <Link to="/signup" state={location.state}>{t('auth.signUp')}</Link>
         </p>
+        {location.state?.from?.startsWith('/room/') && (
+          <p>
+            {t('auth.justVisiting')} <Link to={location.state.from}>{t('auth.joinAsAGuest')}</Link>
+          </p>
+        )}
       </form>
     </div>
   );
@@ -121,8 +867,10 @@ function Login() {
 
 // Signup page
 function Signup() {
-  const { login } = useAuth();
+  const { auth, login } = useAuth();
+  const { t } = useI18n();
   const navigate = useNavigate();
+  const location = useLocation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
@@ -131,12 +879,15 @@ function Signup() {
     e.preventDefault();
     setLoading(true);
     try {
-      const { data } = await axios.post('/auth/signup', { email, password });
-      login(data.token, data.email);
-      toast.success('Account created!');
-      navigate('/');
+      // Guests upgrade in place so their rooms and votes stay in their history
+      const { data } = auth.guestRoomCode
+        ? await api.post('/auth/upgrade', { email, password })
+        : await axios.post('/auth/signup', { email, password });
+      login(data.token, data.email, data.refreshToken);
+      toast.success(auth.guestRoomCode ? t('auth.accountCreatedGuest') : t('auth.accountCreated'));
+      navigate(location.state?.from || '/', { replace: true });
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Signup failed');
+      toast.error(err.response?.data?.message || t('auth.signupFailed'));
     } finally {
       setLoading(false);
     }
@@ -144,436 +895,2834 @@ function Signup() {
 
   return (
     <div style={styles.centered}>
-      <h2>Sign Up</h2>
+      <LanguageSwitcher />
+      <ThemeSwitcher />
+      <ContrastToggle />
+      <h2>{auth.guestRoomCode ? t('auth.createAccountTitle') : t('auth.signupTitle')}</h2>
       <form onSubmit={handleSubmit} style={styles.form}>
-        <input
-          type="email"
-          placeholder="Email"
-          required
-          value={email}
-          onChange={e => setEmail(e.target.value)}
-          style={styles.input}
-        />
-        <input
-          type="password"
-          placeholder="Password"
-          required
-          value={password}
-          onChange={e => setPassword(e.target.value)}
-          style={styles.input}
-        />
+        <label style={styles.field}>
+          {t('auth.email')}
+          <input
+            type="email"
+            required
+            autoComplete="email"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <label style={styles.field}>
+          {t('auth.password')}
+          <input
+            type="password"
+            required
+            autoComplete="new-password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            style={styles.input}
+          />
+        </label>
         <button type="submit" disabled={loading} style={styles.button}>
-          {loading ? 'Creating...' : 'Sign up'}
+          {loading ? t('common.creating') : t('auth.signUp')}
         </button>
         <p>
-          Have account? <Link to="/login">Log in</Link>
+          {t('auth.haveAccount')} <Link to="/login" state={location.state}>{t('auth.logIn')}</Link>
         </p>
       </form>
     </div>
   );
 }
 
-// Home page after login - room create / join / past decisions links
-function Home() {
-  const { logout } = useAuth();
-  const navigate = useNavigate();
-  const [roomCodeInput, setRoomCodeInput] = useState('');
-  const [creating, setCreating] = useState(false);
-  const [newRoomTitle, setNewRoomTitle] = useState('');
-  const [newRoomDesc, setNewRoomDesc] = useState('');
-  const [newRoomMaxP, setNewRoomMaxP] = useState('');
+// Profile page - display name and avatar
+function Profile() {
+  const { auth, updateProfile } = useAuth();
+  const { t } = useI18n();
+  const [name, setName] = useState(auth.name || '');
+  const [avatarUrl, setAvatarUrl] = useState(auth.avatarUrl || '');
+  const [uploading, setUploading] = useState(false);
+  const [saving, setSaving] = useState(false);
 
-  async function createRoom() {
-    if (!newRoomTitle.trim()) return toast.error('Room title is required');
-    setCreating(true);
+  // Fill in once the /auth/me bootstrap lands
+  useEffect(() => {
+    setName(auth.name || '');
+    setAvatarUrl(auth.avatarUrl || '');
+  }, [auth.name, auth.avatarUrl]);
+
+  async function uploadAvatar(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (!file.type.startsWith('image/')) return toast.error(t('profile.chooseImage'));
+    setUploading(true);
     try {
-      const payload = {
-        title: newRoomTitle.trim(),
-        description: newRoomDesc.trim(),
-        maxParticipants: newRoomMaxP ? Number(newRoomMaxP) : 0
-      };
-      const { data } = await api.post('/rooms', payload);
-      toast.success('Room created! Redirecting...');
-      navigate(`/room/${data.roomCode}`);
+      const form = new FormData();
+      form.append('avatar', file);
+      const { data } = await api.post('/auth/me/avatar', form);
+      setAvatarUrl(data.avatarUrl);
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to create room');
+      toast.error(err.response?.data?.message || t('profile.uploadFailed'));
     } finally {
-      setCreating(false);
+      setUploading(false);
     }
   }
 
-  async function joinRoom() {
-    const code = roomCodeInput.trim();
-    if (!code) return toast.error('Enter room code');
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
     try {
-      await api.post('/rooms/join', { roomCode: code.toUpperCase() });
-      toast.success('Joined room! Redirecting...');
-      navigate(`/room/${code.toUpperCase()}`);
+      const { data } = await api.put('/auth/me', { name: name.trim(), avatarUrl });
+      updateProfile({ name: data.name, avatarUrl: data.avatarUrl });
+      toast.success(t('profile.saved'));
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to join room');
+      toast.error(err.response?.data?.message || t('profile.saveFailed'));
+    } finally {
+      setSaving(false);
     }
   }
 
   return (
-    <div style={{ ...styles.centered, maxWidth: 400, padding: 15 }}>
-      <h1>DiceyDecisions</h1>
-      <button onClick={logout} style={styles.buttonRed}>
-        Logout
-      </button>
-      <hr style={{ width: '100%', margin: '20px 0' }} />
-      <h3>Create Decision Room</h3>
-      <input
-        placeholder="Room Title"
-        value={newRoomTitle}
-        onChange={e => setNewRoomTitle(e.target.value)}
-        style={styles.input}
-      />
-      <textarea
-        placeholder="Description (optional)"
-        value={newRoomDesc}
-        onChange={e => setNewRoomDesc(e.target.value)}
-        style={{ ...styles.input, height: 60 }}
-      />
-      <input
-        type="number"
-        min={0}
-        placeholder="Max Participants (0 = no limit)"
-        value={newRoomMaxP}
-        onChange={e => setNewRoomMaxP(e.target.value)}
-        style={styles.input}
-      />
-      <button onClick={createRoom} disabled={creating} style={styles.button}>
-        {creating ? 'Creating...' : 'Create Room'}
-      </button>
+    <div style={styles.centered}>
+      <h2>{t('profile.title')}</h2>
+      <Link to="/" style={{ marginBottom: 20, display: 'inline-block' }}>
+        {t('common.backHome')}
+      </Link>
+      <form onSubmit={handleSubmit} style={styles.form}>
+        {avatarUrl ? (
+          <img src={avatarUrl} alt={t('profile.avatarAlt')} style={styles.avatarLarge} />
+        ) : (
+          <div style={{ ...styles.avatarLarge, ...styles.avatarPlaceholder }}>
+            {(name || auth.email || '?').charAt(0).toUpperCase()}
+          </div>
+        )}
+        <input type="file" accept="image/*" onChange={uploadAvatar} disabled={uploading} />
+        <p style={{ color: color.muted, margin: 0 }}>{auth.email}</p>
+        <label style={{ textAlign: 'start' }}>
+          {t('language.label')} <LanguageSwitcher />
+        </label>
+        <label style={{ textAlign: 'start' }}>
+          {t('theme.label')} <ThemeSwitcher />
+        </label>
+        <ContrastToggle />
+        <label style={styles.field}>
+          {t('profile.displayName')}
+          <input
+            autoComplete="nickname"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <button type="submit" disabled={saving || uploading} style={styles.button}>
+          {saving ? t('common.saving') : t('profile.save')}
+        </button>
+      </form>
+      <NotificationSettings />
+    </div>
+  );
+}
 
-      <hr style={{ width: '100%', margin: '20px 0' }} />
+// Labels for these live in the locale bundles (home.ballots.*, myRooms.phases.*)
+const ballotVisibilities = ['anonymous', 'after-close', 'open'];
 
-      <h3>Join a Room</h3>
-      <input
-        placeholder="Enter Room Code"
-        value={roomCodeInput}
-        onChange={e => setRoomCodeInput(e.target.value.toUpperCase())}
-        style={styles.input}
-      />
-      <button onClick={joinRoom} style={styles.button}>
-        Join Room
-      </button>
+const roomPhases = ['options', 'voting', 'tiebreaker'];
 
-      <hr style={{ width: '100%', margin: '20px 0' }} />
+function roomPhase(room) {
+  if (room.awaitingTiebreaker) return 'tiebreaker';
+  if (room.votingOpen) return 'voting';
+  return 'options';
+}
 
-      <Link to="/past-decisions" style={{ fontSize: 18, color: '#007bff', cursor: 'pointer' }}>
-        View Past Decisions
-      </Link>
-    </div>
-  );
+// Spectators and waitlisted members follow a room without a ballot
+function canVoteIn(room, email) {
+  if (room.creatorId === email) return true;
+  const me = (room.participants || []).find(p => p.email === email);
+  return me?.role !== 'spectator' && !(room.waitlist || []).some(p => p.email === email);
 }
-// Room page with options submission, voting, results, tiebreaker UI
-function Room() {
-  const { roomCode } = useParams();
+
+// Active rooms I created or joined, grouped by phase
+function MyRooms() {
   const { auth } = useAuth();
+  const { t } = useI18n();
+  const [rooms, setRooms] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [room, setRoom] = useState(null);
-  const [options, setOptions] = useState([]);
-  const [optionText, setOptionText] = useState('');
-  const [hasVoted, setHasVoted] = useState(false);
-  const [selectedOptionId, setSelectedOptionId] = useState(null);
-  const [voteCasting, setVoteCasting] = useState(false);
+
+  useEffect(() => {
+    async function fetchMine() {
+      try {
+        const { data } = await api.get('/rooms/mine');
+        setRooms(data.filter(r => !r.finalDecision?.optionId && !r.archived));
+      } catch {
+        toast.error(translate('myRooms.loadFailed'));
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchMine();
+  }, []);
+
+  async function archiveRoom(room) {
+    try {
+      await api.post(`/rooms/${room._id}/archive`);
+      setRooms(list => list.filter(r => r._id !== room._id));
+      toast.success(t('myRooms.archived'));
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('myRooms.archiveFailed'));
+    }
+  }
+
+  async function deleteRoom(room) {
+    if (!window.confirm(t('myRooms.confirmDelete', { title: room.title }))) return;
+    try {
+      await api.delete(`/rooms/${room._id}`);
+      setRooms(list => list.filter(r => r._id !== room._id));
+      toast.success(t('myRooms.deleted'));
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('myRooms.deleteFailed'));
+    }
+  }
+
+  if (loading || rooms.length === 0) return null;
+
+  return (
+    <div style={{ width: '100%', textAlign: 'start' }}>
+      <h2>{t('myRooms.title')}</h2>
+      {roomPhases.map(phase => {
+        const inPhase = rooms.filter(r => roomPhase(r) === phase);
+        if (!inPhase.length) return null;
+        return (
+          <div key={phase}>
+            <h3 style={{ margin: '10px 0 6px' }}>{t(`myRooms.phases.${phase}`)}</h3>
+            <ul style={styles.optionList}>
+              {inPhase.map(r => (
+                <li key={r._id} style={styles.myRoomItem}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <Link to={`/room/${r.roomCode}`}>
+                      <strong>{r.title}</strong>
+                    </Link>{' '}
+                    <small style={styles.hint}>{r.roomCode}</small>
+                    {r.votingOpen && !r.hasVoted && canVoteIn(r, auth.email) && <span style={styles.notVotedBadge}>{t('myRooms.notVoted')}</span>}
+                  </div>
+                  <Link to={`/room/${r.roomCode}`} style={{ ...styles.buttonSmall, textDecoration: 'none' }}>
+                    {t('myRooms.rejoin')}
+                  </Link>
+                  {r.creatorId === auth.email && (
+                    <>
+                      <button type="button" onClick={() => archiveRoom(r)} style={styles.linkButton}>
+                        {t('myRooms.archive')}
+                      </button>
+                      <button type="button" onClick={() => deleteRoom(r)} style={{ ...styles.linkButton, color: color.dangerText }}>
+                        {t('common.delete')}
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+      <hr style={{ width: '100%', margin: '20px 0' }} />
+    </div>
+  );
+}
+
+// Home page after login - room create / join / past decisions links
+function Home() {
+  const { auth, logout } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [roomCodeInput, setRoomCodeInput] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [newRoomTitle, setNewRoomTitle] = useState('');
+  const [newRoomDesc, setNewRoomDesc] = useState('');
+  const [newRoomMaxP, setNewRoomMaxP] = useState('');
+  const [newRoomMode, setNewRoomMode] = useState('plurality');
+  const [newRoomBlind, setNewRoomBlind] = useState(false);
+  const [newRoomBallots, setNewRoomBallots] = useState('anonymous');
+  const [newRoomVetoes, setNewRoomVetoes] = useState('');
+  const [newRoomOptionsDeadline, setNewRoomOptionsDeadline] = useState('');
+  const [newRoomVotingMinutes, setNewRoomVotingMinutes] = useState('');
+  const [newRoomRoundMinutes, setNewRoomRoundMinutes] = useState('');
+  const [newRoomAutoClose, setNewRoomAutoClose] = useState(true);
+  const [newRoomDefaultTiebreaker, setNewRoomDefaultTiebreaker] = useState('dice');
+  const [newRoomAccent, setNewRoomAccent] = useState(null);
+  // A group page's "New room" button arrives with its group picked
+  const [newRoomGroup, setNewRoomGroup] = useState(location.state?.groupId || '');
+  const [groups, setGroups] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState(null);
+
+  useEffect(() => {
+    api
+      .get('/templates')
+      .then(({ data }) => setTemplates(data))
+      .catch(() => toast.error(translate('home.templatesLoadFailed')));
+    api
+      .get('/groups')
+      .then(({ data }) => setGroups(data))
+      .catch(() => toast.error(translate('groups.loadFailed')));
+  }, []);
+
+  // Fill the create form from a saved template; its options are added when the room is created
+  function applyTemplate(tpl) {
+    const settings = tpl.settings || {};
+    setTemplate(tpl);
+    setNewRoomTitle(settings.title || '');
+    setNewRoomDesc(settings.description || '');
+    setNewRoomMaxP(settings.maxParticipants ? String(settings.maxParticipants) : '');
+    setNewRoomMode(settings.votingMode || 'plurality');
+    setNewRoomBlind(settings.tallyVisibility === 'blind');
+    setNewRoomBallots(settings.ballotVisibility || 'anonymous');
+    setNewRoomVetoes(settings.vetoBudget ? String(settings.vetoBudget) : '');
+    setNewRoomVotingMinutes(settings.votingDurationMinutes ? String(settings.votingDurationMinutes) : '');
+    setNewRoomRoundMinutes(settings.roundMinutes ? String(settings.roundMinutes) : '');
+    setNewRoomAutoClose(settings.autoCloseWhenAllVoted ?? true);
+    setNewRoomDefaultTiebreaker(settings.defaultTiebreaker || 'dice');
+    setNewRoomAccent(isAccentColor(settings.accentColor) ? settings.accentColor : null);
+  }
+
+  async function deleteTemplate(tpl) {
+    if (!window.confirm(t('home.confirmDeleteTemplate', { name: tpl.name }))) return;
+    try {
+      await api.delete(`/templates/${tpl._id}`);
+      setTemplates(list => list.filter(x => x._id !== tpl._id));
+      if (template?._id === tpl._id) setTemplate(null);
+      toast.success(t('home.templateDeleted'));
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('home.templateDeleteFailed'));
+    }
+  }
+
+  async function createRoom(e) {
+    e.preventDefault();
+    if (!newRoomTitle.trim()) return toast.error(t('home.titleRequired'));
+    if (newRoomOptionsDeadline && new Date(newRoomOptionsDeadline) <= new Date()) {
+      return toast.error(t('home.deadlineInPast'));
+    }
+    setCreating(true);
+    try {
+      const payload = {
+        title: newRoomTitle.trim(),
+        description: newRoomDesc.trim(),
+        maxParticipants: newRoomMaxP ? Number(newRoomMaxP) : 0,
+        votingMode: newRoomMode,
+        tallyVisibility: newRoomBlind ? 'blind' : 'live',
+        ballotVisibility: newRoomBallots,
+        vetoBudget: newRoomVetoes ? Number(newRoomVetoes) : 0,
+        optionsDeadline: newRoomOptionsDeadline ? new Date(newRoomOptionsDeadline).toISOString() : null,
+        votingDurationMinutes: newRoomVotingMinutes ? Number(newRoomVotingMinutes) : 0,
+        roundMinutes: newRoomMode === 'tournament' && newRoomRoundMinutes ? Number(newRoomRoundMinutes) : 0,
+        autoCloseWhenAllVoted: newRoomAutoClose,
+        defaultTiebreaker: newRoomDefaultTiebreaker,
+        accentColor: newRoomAccent,
+        ...(newRoomGroup && { groupId: newRoomGroup }),
+        ...(template && { templateId: template._id, options: template.options })
+      };
+      const { data } = await api.post('/rooms', payload);
+      toast.success(t('home.roomCreated'));
+      navigate(`/room/${data.roomCode}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('home.createFailed'));
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  async function joinRoom(e) {
+    e.preventDefault();
+    const code = roomCodeInput.trim();
+    if (!code) return toast.error(t('home.enterCode'));
+    try {
+      const { data } = await api.post('/rooms/join', { roomCode: code.toUpperCase() });
+      if (data?.waitlisted) {
+        toast.info(t('home.waitlisted', { position: data.position }));
+      } else {
+        toast.success(t('home.joined'));
+      }
+      navigate(`/room/${code.toUpperCase()}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('home.joinFailed'));
+    }
+  }
+
+  return (
+    <div style={{ ...styles.centered, maxWidth: 400, padding: 15 }}>
+      <h1>DiceyDecisions</h1>
+      <NotificationBell />
+      <LanguageSwitcher />
+      <ThemeSwitcher />
+      <ContrastToggle />
+      {auth.profileLoaded && (
+        <p>
+          {t('home.greeting')} <Link to="/profile">{auth.name || auth.email}</Link>
+        </p>
+      )}
+      <button onClick={logout} style={styles.buttonRed}>
+        {t('home.logout')}
+      </button>
+      <hr style={{ width: '100%', margin: '20px 0' }} />
+      <MyRooms />
+      <h2>{t('home.createTitle')}</h2>
+      {templates.length > 0 && (
+        <div style={{ width: '100%', marginBottom: 10 }}>
+          <p style={{ margin: '0 0 6px' }}>{t('home.fromTemplate')}</p>
+          <div style={styles.templateGallery}>
+            {templates.map(tpl => (
+              <div
+                key={tpl._id}
+                style={{ ...styles.templateCard, borderColor: template?._id === tpl._id ? color.accent : color.border }}
+              >
+                <button type="button" onClick={() => applyTemplate(tpl)} style={styles.linkButton}>
+                  <strong>{tpl.name}</strong>
+                  <br />
+                  <small>{t('home.optionCount', { count: tpl.options?.length || 0 })}</small>
+                </button>
+                <button type="button" onClick={() => deleteTemplate(tpl)} style={styles.linkButton} aria-label={t('home.deleteTemplateLabel', { name: tpl.name })}>
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          {template && (
+            <p style={styles.hint}>
+              {t('home.usingTemplate', { name: template.name, count: template.options?.length || 0 })}{' '}
+              <button type="button" onClick={() => setTemplate(null)} style={styles.linkButton}>
+                {t('home.skipTemplateOptions')}
+              </button>
+            </p>
+          )}
+        </div>
+      )}
+      <form onSubmit={createRoom} style={{ ...styles.form, width: '100%' }}>
+        <label style={styles.field}>
+          {t('home.roomTitle')}
+          <input required value={newRoomTitle} onChange={e => setNewRoomTitle(e.target.value)} style={styles.input} />
+        </label>
+        <label style={styles.field}>
+          {t('home.description')}
+          <textarea value={newRoomDesc} onChange={e => setNewRoomDesc(e.target.value)} style={{ ...styles.input, height: 60 }} />
+        </label>
+        {groups.length > 0 && (
+          <label style={styles.field}>
+            {t('home.group')}
+            <select value={newRoomGroup} onChange={e => setNewRoomGroup(e.target.value)} style={styles.input}>
+              <option value="">{t('home.noGroup')}</option>
+              {groups.map(g => (
+                <option key={g._id} value={g._id}>{t('home.groupOption', { name: g.name, count: g.memberCount })}</option>
+              ))}
+            </select>
+            {newRoomGroup && <small style={styles.hint}>{t('home.groupHint')}</small>}
+          </label>
+        )}
+        <label style={styles.field}>
+          {t('home.maxParticipants')}
+          <input type="number" min={0} value={newRoomMaxP} onChange={e => setNewRoomMaxP(e.target.value)} style={styles.input} />
+        </label>
+        <label style={styles.field}>
+          {t('home.votingMode')}
+          <select value={newRoomMode} onChange={e => setNewRoomMode(e.target.value)} style={styles.input}>
+            {votingModes.map(mode => (
+              <option key={mode} value={mode}>{t(`votingModes.${mode}`)}</option>
+            ))}
+          </select>
+        </label>
+        {newRoomMode === 'tournament' && (
+          <label style={styles.field}>
+            {t('home.roundMinutes')}
+            <input
+              type="number"
+              min={0}
+              value={newRoomRoundMinutes}
+              onChange={e => setNewRoomRoundMinutes(e.target.value)}
+              style={styles.input}
+            />
+          </label>
+        )}
+        <label style={{ textAlign: 'start' }}>
+          <input type="checkbox" checked={newRoomBlind} onChange={e => setNewRoomBlind(e.target.checked)} />{' '}
+          {t('home.blind')}
+        </label>
+        <label style={styles.field}>
+          {t('home.ballotVisibility')}
+          <select value={newRoomBallots} onChange={e => setNewRoomBallots(e.target.value)} style={styles.input}>
+            {ballotVisibilities.map(b => (
+              <option key={b} value={b}>{t(`home.ballots.${b}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.field}>
+          {t('home.vetoes')}
+          <input type="number" min={0} value={newRoomVetoes} onChange={e => setNewRoomVetoes(e.target.value)} style={styles.input} />
+        </label>
+        <label style={styles.field}>
+          {t('home.optionsDeadline')}
+          <input
+            type="datetime-local"
+            value={newRoomOptionsDeadline}
+            onChange={e => setNewRoomOptionsDeadline(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <label style={styles.field}>
+          {t('home.votingMinutes')}
+          <input
+            type="number"
+            min={0}
+            value={newRoomVotingMinutes}
+            onChange={e => setNewRoomVotingMinutes(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <label style={{ textAlign: 'start' }}>
+          <input type="checkbox" checked={newRoomAutoClose} onChange={e => setNewRoomAutoClose(e.target.checked)} />{' '}
+          {t('home.autoClose')}
+        </label>
+        <label style={styles.field}>
+          {t('home.defaultTiebreaker')}
+          <select value={newRoomDefaultTiebreaker} onChange={e => setNewRoomDefaultTiebreaker(e.target.value)} style={styles.input}>
+            <option value="dice">{t('tiebreakers.dice')}</option>
+            <option value="spinner">{t('tiebreakers.spinner')}</option>
+            <option value="coin">{t('tiebreakers.coin')}</option>
+          </select>
+        </label>
+        <AccentPicker value={newRoomAccent} onChange={setNewRoomAccent} />
+        <button type="submit" disabled={creating} style={styles.button}>
+          {creating ? t('common.creating') : t('home.createRoom')}
+        </button>
+      </form>
+
+      <hr style={{ width: '100%', margin: '20px 0' }} />
+
+      <h2>{t('home.joinTitle')}</h2>
+      <form onSubmit={joinRoom} style={{ ...styles.form, width: '100%' }}>
+        <label style={styles.field}>
+          {t('home.enterCodePlaceholder')}
+          <input
+            required
+            autoCapitalize="characters"
+            value={roomCodeInput}
+            onChange={e => setRoomCodeInput(e.target.value.toUpperCase())}
+            style={styles.input}
+          />
+        </label>
+        <button type="submit" style={styles.button}>
+          {t('home.joinRoom')}
+        </button>
+      </form>
+
+      <hr style={{ width: '100%', margin: '20px 0' }} />
+
+      <Link to="/past-decisions" style={{ fontSize: font.size.lg, color: color.link, cursor: 'pointer' }}>
+        {t('home.pastLink')}
+      </Link>
+      <Link to="/groups" style={{ fontSize: font.size.lg, color: color.link, marginTop: 10 }}>
+        {t('home.groupsLink')}
+      </Link>
+    </div>
+  );
+}
+
+// Friend groups: the people you decide things with, ready to drop into a new room
+function Groups() {
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    api
+      .get('/groups')
+      .then(({ data }) => setGroups(data))
+      .catch(() => toast.error(translate('groups.loadFailed')))
+      .finally(() => setLoading(false));
+  }, []);
+
+  async function createGroup(e) {
+    e.preventDefault();
+    if (!name.trim()) return toast.error(t('groups.nameRequired'));
+    setCreating(true);
+    try {
+      const { data } = await api.post('/groups', { name: name.trim() });
+      navigate(`/groups/${data._id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('groups.createFailed'));
+      setCreating(false);
+    }
+  }
+
+  return (
+    <div style={styles.container}>
+      <h2>{t('groups.title')}</h2>
+      <Link to="/">{t('common.backHome')}</Link>
+      {loading && <p>{t('groups.loading')}</p>}
+      {!loading && groups.length === 0 && <p style={styles.hint}>{t('groups.empty')}</p>}
+      <ul style={styles.optionList}>
+        {groups.map(g => (
+          <li key={g._id} style={styles.myRoomItem}>
+            <Link to={`/groups/${g._id}`} style={{ flex: 1 }}>{g.name}</Link>
+            <small style={styles.hint}>{t('groups.memberCount', { count: g.memberCount })}</small>
+          </li>
+        ))}
+      </ul>
+
+      <h3>{t('groups.createTitle')}</h3>
+      <form onSubmit={createGroup} style={styles.form}>
+        <label style={styles.field}>
+          {t('groups.name')}
+          <input required value={name} onChange={e => setName(e.target.value)} style={styles.input} />
+        </label>
+        <button type="submit" disabled={creating} style={styles.button}>
+          {creating ? t('common.creating') : t('groups.create')}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// One group: its members, invites by email or link, and the decisions it has made together
+function GroupPage() {
+  const { groupId } = useParams();
+  const { auth } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [group, setGroup] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviting, setInviting] = useState(false);
+
+  useEffect(() => {
+    api
+      .get(`/groups/${groupId}`)
+      .then(({ data }) => setGroup(data))
+      .catch(err => toast.error(err.response?.data?.message || translate('groups.loadFailed')))
+      .finally(() => setLoading(false));
+  }, [groupId]);
+
+  if (loading) return <div style={styles.centered}>{t('groups.loading')}</div>;
+  if (!group) {
+    return (
+      <div style={styles.centered}>
+        <p>{t('groups.notFound')}</p>
+        <Link to="/groups">{t('groups.backToGroups')}</Link>
+      </div>
+    );
+  }
+
+  const isOwner = group.ownerEmail === auth.email;
+  const inviteLink = `${window.location.origin}/groups/join/${group.inviteCode}`;
+
+  async function invite(e) {
+    e.preventDefault();
+    const email = inviteEmail.trim();
+    if (!email) return;
+    setInviting(true);
+    try {
+      const { data } = await api.post(`/groups/${group._id}/invites`, { email });
+      setGroup(data);
+      setInviteEmail('');
+      toast.success(t('groups.invited', { email }));
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('groups.inviteFailed'));
+    } finally {
+      setInviting(false);
+    }
+  }
+
+  // A new code stops a leaked link from working; members who already joined stay
+  async function resetLink() {
+    if (!window.confirm(t('groups.confirmResetLink'))) return;
+    try {
+      const { data } = await api.post(`/groups/${group._id}/invite-link`);
+      setGroup(data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('groups.resetLinkFailed'));
+    }
+  }
+
+  async function removeMember(member) {
+    const leaving = member.email === auth.email;
+    const question = leaving
+      ? t('groups.confirmLeave', { name: group.name })
+      : t('groups.confirmRemove', { name: member.name || member.email });
+    if (!window.confirm(question)) return;
+    try {
+      const { data } = await api.delete(`/groups/${group._id}/members/${encodeURIComponent(member.email)}`);
+      if (leaving) navigate('/groups');
+      else setGroup(data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('groups.removeFailed'));
+    }
+  }
+
+  return (
+    <div style={{ ...styles.container, maxWidth: 600 }}>
+      <h2>{group.name}</h2>
+      <Link to="/groups">{t('groups.backToGroups')}</Link>
+      <p>
+        <button type="button" onClick={() => navigate('/', { state: { groupId: group._id } })} style={styles.button}>
+          {t('groups.newRoom')}
+        </button>
+      </p>
+
+      <h3>{t('groups.members', { count: group.members.length })}</h3>
+      <ul style={styles.optionList}>
+        {group.members.map(m => (
+          <li key={m.email} style={styles.myRoomItem}>
+            <span style={{ flex: 1 }}>
+              {m.name || m.email}
+              {m.email === auth.email && ` ${t('roster.you')}`}
+              {m.role === 'owner' && <small style={styles.hint}> · {t('groups.owner')}</small>}
+            </span>
+            {m.role !== 'owner' && (isOwner || m.email === auth.email) && (
+              <button type="button" onClick={() => removeMember(m)} style={{ ...styles.linkButton, color: color.dangerText }}>
+                {m.email === auth.email ? t('groups.leave') : t('groups.remove')}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {group.invites.length > 0 && (
+        <p style={styles.hint}>
+          {t('groups.pending')} {group.invites.map(i => i.email).join(', ')}
+        </p>
+      )}
+
+      <h3>{t('groups.inviteTitle')}</h3>
+      <form onSubmit={invite} style={{ ...styles.form, flexDirection: 'row', alignItems: 'flex-end' }}>
+        <label style={{ ...styles.field, flex: 1 }}>
+          {t('groups.inviteEmail')}
+          <input
+            type="email"
+            required
+            autoComplete="off"
+            value={inviteEmail}
+            onChange={e => setInviteEmail(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <button type="submit" disabled={inviting} style={styles.button}>
+          {t('groups.invite')}
+        </button>
+      </form>
+      <p>
+        <label>
+          {t('groups.inviteLink')}{' '}
+          <input type="text" readOnly value={inviteLink} style={styles.shareInput} onFocus={e => e.target.select()} />
+        </label>
+        {isOwner && (
+          <button type="button" onClick={resetLink} style={styles.linkButton}>
+            {t('groups.resetLink')}
+          </button>
+        )}
+      </p>
+
+      <h3>{t('groups.history')}</h3>
+      <PastDecisions groupId={group._id} />
+    </div>
+  );
+}
+
+// Invite links land here; PrivateRoute has already sent logged-out visitors to log in and back
+function JoinGroup() {
+  const { inviteCode } = useParams();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .post('/groups/join', { inviteCode })
+      .then(({ data }) => {
+        if (cancelled) return;
+        toast.success(translate('groups.joined'));
+        navigate(`/groups/${data.groupId}`, { replace: true });
+      })
+      .catch(err => {
+        if (cancelled) return;
+        toast.error(err.response?.data?.message || translate('groups.joinFailed'));
+        navigate('/groups', { replace: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [inviteCode, navigate]);
+
+  return <div style={styles.centered}>{t('groups.joining')}</div>;
+}
+// Drag-to-rank ballot for ranked-choice and Borda rooms; arrows for keyboard users
+function RankBallot({ options, ranking, onChange, disabled }) {
+  const { t, formatNumber } = useI18n();
+  const [dragIndex, setDragIndex] = useState(null);
+  const byId = Object.fromEntries(options.map(o => [o._id, o]));
+
+  function move(from, to) {
+    if (to < 0 || to >= ranking.length || from === to) return;
+    const next = [...ranking];
+    const [id] = next.splice(from, 1);
+    next.splice(to, 0, id);
+    onChange(next);
+  }
+
+  return (
+    <ol style={styles.rankList}>
+      {ranking.map((id, i) => (
+        <li
+          key={id}
+          draggable={!disabled}
+          onDragStart={() => setDragIndex(i)}
+          onDragOver={e => e.preventDefault()}
+          onDrop={() => {
+            if (dragIndex !== null) move(dragIndex, i);
+            setDragIndex(null);
+          }}
+          style={{ ...styles.rankItem, opacity: dragIndex === i ? 0.5 : 1 }}
+        >
+          <span>{formatNumber(i + 1)}. {byId[id]?.text}</span>
+          <span>
+            <button type="button" disabled={disabled || i === 0} onClick={() => move(i, i - 1)} aria-label={t('ballot.moveUp')}>▲</button>
+            <button type="button" disabled={disabled || i === ranking.length - 1} onClick={() => move(i, i + 1)} aria-label={t('ballot.moveDown')}>▼</button>
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Results breakdown: turnout, per-option counts and percentages, bar or pie chart.
+// Ranked-choice rooms also list each elimination round once voting closes.
+function ResultsPanel({ mode, counts, rounds = [], winners = [], weighted, options, votedCount, participantCount, hidden }) {
+  const { t, formatNumber } = useI18n();
+  const [chart, setChart] = useState('bar');
+  const textOf = id => options.find(o => o._id === id)?.text || t('common.unknown');
+  const unit = count => t(`results.units.${tallyUnit(mode)}`, { count });
+  const rows = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const total = rows.reduce((sum, [, count]) => sum + count, 0);
+  const pct = count => (total ? Math.round((count / total) * 100) : 0);
+  const colorOf = id => chartColors[options.findIndex(o => o._id === id) % chartColors.length];
+
+  let angle = 0;
+  const pieStops = rows.map(([id, count]) => {
+    const from = angle;
+    angle += total ? (count / total) * 360 : 0;
+    return `${colorOf(id)} ${from}deg ${angle}deg`;
+  });
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <h3>{t('results.title')}</h3>
+      <p>
+        {participantCount
+          ? t('results.turnout', { voted: votedCount, count: participantCount })
+          : t('results.votesCast', { count: votedCount })}
+      </p>
+      {hidden ? (
+        <p style={styles.hint}>{t('results.blind')}</p>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: 6, marginBottom: 10 }}>
+            <button type="button" onClick={() => setChart('bar')} aria-pressed={chart === 'bar'} style={styles.buttonSmall}>
+              {t('results.bar')}
+            </button>
+            <button type="button" onClick={() => setChart('pie')} aria-pressed={chart === 'pie'} style={styles.buttonSmall}>
+              {t('results.pie')}
+            </button>
+          </div>
+          {chart === 'pie' && total > 0 && (
+            <div aria-hidden="true" style={{ ...styles.pie, background: `conic-gradient(${pieStops.join(', ')})` }} />
+          )}
+          <ul style={styles.optionList}>
+            {rows.map(([id, count]) => (
+              <li key={id} style={{ marginBottom: 8 }}>
+                <span aria-hidden="true" style={{ color: chart === 'pie' ? colorOf(id) : undefined }}>■</span>{' '}
+                {textOf(id)}: {unit(count)} ({formatNumber(pct(count) / 100, { style: 'percent' })})
+                {chart === 'bar' && (
+                  <div aria-hidden="true" style={styles.barTrack}>
+                    <div data-contrast-fill style={{ ...styles.bar, width: `${pct(count)}%`, backgroundColor: colorOf(id) }} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          {weighted && <p style={styles.hint}>{t('results.weighted')}</p>}
+          {winners.length > 1 && <p>{t('results.tied', { options: winners.map(textOf).join(', ') })}</p>}
+          {rounds.length > 1 && (
+            <>
+              <h4>{t('results.eliminationRounds')}</h4>
+              {rounds.map((round, i) => (
+                <div key={i} style={{ marginBottom: 10 }}>
+                  <strong>{t('results.round', { number: i + 1 })}</strong>
+                  <ul style={styles.optionList}>
+                    {Object.entries(round.counts)
+                      .sort((a, b) => b[1] - a[1])
+                      .map(([id, count]) => (
+                        <li key={id}>
+                          {textOf(id)}: {unit(count)}
+                          {round.eliminated.includes(id) && <em style={{ color: color.dangerText }}> {t('results.eliminated')}</em>}
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              ))}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Tournament bracket, one column per round. During a live round, voters pick a side in each open match.
+function BracketView({ rounds, currentRound, championId, options, onVote, disabled }) {
+  const { t, formatNumber } = useI18n();
+  const textOf = id => options.find(o => o._id === id)?.text;
+
+  return (
+    <div style={styles.bracket}>
+      {rounds.map((matches, r) => (
+        <div key={r} style={styles.bracketRound}>
+          <strong>{t(...roundLabel(r, rounds.length))}</strong>
+          {matches.map(match => {
+            const live = onVote && r === currentRound && !match.winnerId && !match.myVote;
+            return (
+              <div key={match._id} style={{ ...styles.bracketMatch, borderColor: r === currentRound && !match.winnerId ? color.accent : color.border }}>
+                {match.optionIds.map((id, slot) => (
+                  <div key={slot} style={{ ...styles.bracketSlot, fontWeight: id && id === match.winnerId ? 'bold' : 'normal' }}>
+                    <span style={{ color: id ? undefined : color.subtle }}>
+                      {id ? textOf(id) || t('common.unknown') : r === 0 ? t('bracket.bye') : t('bracket.tbd')}
+                      {id && id === match.myVote && ' ✓'}
+                    </span>
+                    {id && live && match.optionIds.every(Boolean) ? (
+                      <button type="button" onClick={() => onVote(match, id)} disabled={disabled} style={styles.buttonSmall}>
+                        {t('room.vote')}
+                      </button>
+                    ) : (
+                      id && match.votes?.[id] != null && <small>{formatNumber(match.votes[id])}</small>
+                    )}
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+      {championId && (
+        <div style={styles.bracketRound}>
+          <strong>{t('bracket.champion')}</strong>
+          <div style={{ ...styles.bracketMatch, borderColor: color.success }}>
+            <span role="img" aria-label={t('bracket.trophy')}>🏆</span> {textOf(championId)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Controlled, so it snaps back to the saved weight after a server update or a rejected change
+function WeightInput({ weight, onCommit, label }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(String(weight));
+
+  useEffect(() => {
+    setDraft(String(weight));
+  }, [weight]);
+
+  async function commit() {
+    const next = draft === '' ? NaN : Number(draft);
+    if (next === weight) return;
+    if (!(await onCommit(next))) setDraft(String(weight));
+  }
+
+  return (
+    <input
+      type="number"
+      min={0}
+      step={0.5}
+      value={draft}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      title={t('roster.weight')}
+      aria-label={label}
+      style={styles.weightInput}
+    />
+  );
+}
+
+// Roster with presence and has-voted state; the creator gets member management actions
+function RosterSidebar({ participants, waitlist, maxParticipants, currentEmail, isCreator, weightsEditable, onAction, onWeightChange }) {
+  const { t, formatNumber } = useI18n();
+  const voters = participants.filter(p => p.role !== 'spectator');
+  return (
+    <aside style={styles.roster}>
+      <h3>
+        {maxParticipants
+          ? t('roster.titleWithMax', { count: voters.length, max: maxParticipants })
+          : t('roster.title', { count: voters.length })}
+      </h3>
+      <ul style={styles.optionList}>
+        {participants.map(p => (
+          <li key={p.email} style={styles.rosterItem}>
+            <span
+              role="img"
+              title={p.online ? t('roster.online') : t('roster.offline')}
+              aria-label={p.online ? t('roster.online') : t('roster.offline')}
+              data-contrast-fill={p.online || undefined}
+              style={{ ...styles.presenceDot, backgroundColor: p.online ? color.success : color.border }}
+            />
+            <span style={{ flex: 1 }}>
+              {p.name || p.email}
+              {p.email === currentEmail && ` ${t('roster.you')}`}
+              <br />
+              <small style={styles.hint}>
+                {t(`roster.roles.${p.role || 'participant'}`)}
+                {p.hasVoted && ` · ${t('roster.voted')}`}
+                {!weightsEditable && (p.weight ?? 1) !== 1 && ` · ×${formatNumber(p.weight)}`}
+              </small>
+            </span>
+            {weightsEditable && p.role !== 'spectator' && (
+              <WeightInput
+                weight={p.weight ?? 1}
+                onCommit={weight => onWeightChange(p, weight)}
+                label={t('roster.weightFor', { name: p.name || p.email })}
+              />
+            )}
+            {isCreator && p.role !== 'creator' && (
+              <select
+                value=""
+                onChange={e => onAction(e.target.value, p)}
+                style={styles.rosterMenu}
+                aria-label={t('roster.manage', { name: p.name || p.email })}
+              >
+                <option value="" disabled>⋯</option>
+                {p.role !== 'co-host' && <option value="co-host">{t('roster.makeCoHost')}</option>}
+                {p.role !== 'participant' && <option value="participant">{t('roster.makeParticipant')}</option>}
+                {p.role !== 'spectator' && <option value="spectator">{t('roster.makeSpectator')}</option>}
+                <option value="transfer">{t('roster.transfer')}</option>
+                <option value="kick">{t('roster.remove')}</option>
+                <option value="ban">{t('roster.ban')}</option>
+              </select>
+            )}
+          </li>
+        ))}
+      </ul>
+      {waitlist.length > 0 && (
+        <>
+          <h4>{t('roster.waitlist')}</h4>
+          <ol>
+            {waitlist.map(p => (
+              <li key={p.email}>{p.name || p.email}{p.email === currentEmail && ` ${t('roster.you')}`}</li>
+            ))}
+          </ol>
+        </>
+      )}
+    </aside>
+  );
+}
+
+// Small stacked avatars of who voted for an option (only when the room's ballots allow it)
+function VoterAvatars({ voters = [] }) {
+  if (!voters.length) return null;
+  return (
+    <span style={styles.voterAvatars}>
+      {voters.map(v =>
+        v.avatarUrl ? (
+          <img key={v.email} src={v.avatarUrl} alt={v.name || v.email} title={v.name || v.email} style={styles.voterAvatar} />
+        ) : (
+          <span key={v.email} title={v.name || v.email} style={{ ...styles.voterAvatar, ...styles.avatarPlaceholder, fontSize: 12 }}>
+            {(v.name || v.email).charAt(0).toUpperCase()}
+          </span>
+        )
+      )}
+    </span>
+  );
+}
+
+// Re-derives a commit–reveal tiebreaker locally and flags any mismatch with the announced winner
+function VerifyPanel({ fairness, options = [] }) {
+  const { t } = useI18n();
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const textOf = id => options.find(o => o._id === id)?.text || id;
+
+  async function verify() {
+    setChecking(true);
+    try {
+      setResult(await verifyTiebreaker(fairness));
+    } catch (err) {
+      setResult({ status: 'mismatch', reason: err.message });
+    } finally {
+      setChecking(false);
+    }
+  }
+
+  return (
+    <div style={styles.verifyPanel}>
+      <button type="button" onClick={verify} disabled={checking} style={styles.buttonSmall}>
+        {checking ? t('verify.verifying') : t('verify.button')}
+      </button>
+      {result?.status === 'verified' && (
+        <p style={{ color: color.successText }}>
+          ✓ {t('verify.verified')} <strong>{textOf(result.winnerOptionId)}</strong>
+        </p>
+      )}
+      {result?.status === 'mismatch' && (
+        <p style={{ color: color.dangerText }}>
+          ✗ {t('verify.mismatch', { reason: result.reason })}
+          {result.winnerOptionId && <> ({t('verify.recomputed')} <strong>{textOf(result.winnerOptionId)}</strong>)</>}
+        </p>
+      )}
+      {result?.status === 'pending' && <p>{t('verify.pending')}</p>}
+      {result && (
+        <dl style={styles.verifyDetails}>
+          <dt>{t('verify.commitment')}</dt>
+          <dd>{fairness.seedHash}</dd>
+          <dt>{t('verify.revealedSeed')}</dt>
+          <dd>{fairness.serverSeed || '—'}</dd>
+          <dt>{t('verify.entropy')}</dt>
+          <dd>{t('verify.contributions', { count: fairness.entropy?.length || 0 })}</dd>
+          {result.combinedSeed && (
+            <>
+              <dt>{t('verify.combinedSeed')}</dt>
+              <dd>{result.combinedSeed}</dd>
+            </>
+          )}
+        </dl>
+      )}
+    </div>
+  );
+}
+
+// Option fields sent as JSON, or multipart when an image is attached
+function optionPayload({ image, ...fields }) {
+  if (!image) return fields;
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value) form.append(key, value);
+  });
+  form.append('image', image);
+  return form;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Add/edit form for an option: text plus optional description, link, image and location
+function OptionForm({ initial = {}, submitLabel, onSubmit, onCancel }) {
+  const { t } = useI18n();
+  const [text, setText] = useState(initial.text || '');
+  const [description, setDescription] = useState(initial.description || '');
+  const [url, setUrl] = useState(initial.url || '');
+  const [location, setLocation] = useState(initial.location?.name || '');
+  const [image, setImage] = useState(null);
+  const [showDetails, setShowDetails] = useState(Boolean(initial.description || initial.url || initial.location));
+  const [saving, setSaving] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!text.trim()) return toast.error(t('optionForm.textRequired'));
+    if (url.trim() && !isHttpUrl(url.trim())) return toast.error(t('optionForm.invalidLink'));
+    if (image && !image.type.startsWith('image/')) return toast.error(t('profile.chooseImage'));
+    setSaving(true);
+    try {
+      const ok = await onSubmit({
+        text: text.trim(),
+        description: description.trim(),
+        url: url.trim(),
+        location: location.trim(),
+        image
+      });
+      // Only the add form clears itself; edit forms unmount on success
+      if (ok && !onCancel) {
+        setText('');
+        setDescription('');
+        setUrl('');
+        setLocation('');
+        setImage(null);
+        e.target.reset();
+      }
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginBottom: 10 }}>
+      <input
+        placeholder={t('optionForm.text')}
+        aria-label={t('optionForm.text')}
+        value={text}
+        onChange={e => setText(e.target.value)}
+        style={styles.inputShort}
+      />
+      <button type="submit" disabled={saving} style={styles.button}>
+        {submitLabel}
+      </button>
+      <div>
+        <button type="button" onClick={() => setShowDetails(d => !d)} aria-expanded={showDetails} style={styles.linkButton}>
+          {showDetails ? t('optionForm.hideDetails') : t('optionForm.showDetails')}
+        </button>
+      </div>
+      {showDetails && (
+        <div style={{ ...styles.form, gap: 8 }}>
+          <textarea
+            placeholder={t('optionForm.description')}
+            aria-label={t('optionForm.description')}
+            value={description}
+            onChange={e => setDescription(e.target.value)}
+            style={{ ...styles.input, height: 50 }}
+          />
+          <input
+            type="url"
+            placeholder={t('optionForm.link')}
+            aria-label={t('optionForm.link')}
+            value={url}
+            onChange={e => setUrl(e.target.value)}
+            style={styles.input}
+          />
+          <input
+            placeholder={t('optionForm.location')}
+            aria-label={t('optionForm.location')}
+            value={location}
+            onChange={e => setLocation(e.target.value)}
+            style={styles.input}
+          />
+          <label style={styles.field}>
+            {t('optionForm.image')}
+            <input type="file" accept="image/*" onChange={e => setImage(e.target.files[0] || null)} />
+          </label>
+        </div>
+      )}
+      {onCancel && (
+        <button type="button" onClick={onCancel} style={styles.linkButton}>
+          {t('common.cancel')}
+        </button>
+      )}
+    </form>
+  );
+}
+
+function mapUrl(location) {
+  if (location.lat != null && location.lng != null) {
+    return `https://www.openstreetmap.org/?mlat=${location.lat}&mlon=${location.lng}#map=16/${location.lat}/${location.lng}`;
+  }
+  return `https://www.openstreetmap.org/search?query=${encodeURIComponent(location.name)}`;
+}
+
+// Option card with thumbnail, description, link preview and location
+function OptionCard({ option, children }) {
+  const { t } = useI18n();
+  const preview = option.linkPreview;
+  const thumbnail = option.imageUrl || preview?.image;
+  return (
+    <div style={styles.optionCard}>
+      {thumbnail && <img src={thumbnail} alt="" style={styles.optionThumb} />}
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div>{option.text} {children}</div>
+        {option.description && <div style={styles.optionDesc}>{option.description}</div>}
+        {option.url && isHttpUrl(option.url) && (
+          <a href={option.url} target="_blank" rel="noopener noreferrer" style={styles.linkPreview}>
+            {preview?.title || new URL(option.url).hostname}
+            {preview?.siteName && <span style={styles.hint}> · {preview.siteName}</span>}
+          </a>
+        )}
+        {option.location?.name && (
+          <a href={mapUrl(option.location)} target="_blank" rel="noopener noreferrer" style={styles.linkPreview}>
+            <span role="img" aria-label={t('optionForm.locationLabel')}>📍</span> {option.location.name}
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
+
+async function fetchDecisionRecord(roomCode) {
+  const { data } = await api.get(`/rooms/code/${roomCode}`);
+  return buildDecisionRecord(data.room, data.options, data.ballots);
+}
+
+// Export dropdown; getRecords resolves the decision record(s) to export
+function ExportMenu({ name, getRecords, single = true, label }) {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+
+  async function run(format) {
+    setBusy(true);
+    try {
+      const records = await getRecords();
+      if (format === 'image') await shareResultsCard(records[0]);
+      else if (format === 'pdf') printSummary(records, name);
+      else if (format === 'csv') exportCsv(records, name);
+      else if (format === 'json') exportJson(records, name);
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message || t('export.failed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <select value="" disabled={busy} onChange={e => run(e.target.value)} style={styles.exportMenu} aria-label={t('export.ariaLabel')}>
+      <option value="" disabled>{busy ? t('export.exporting') : label || t('export.label')}</option>
+      {single && <option value="image">{t('export.image')}</option>}
+      <option value="pdf">{t('export.pdf')}</option>
+      <option value="csv">{t('export.csv')}</option>
+      <option value="json">{t('export.json')}</option>
+    </select>
+  );
+}
+
+function formatRemaining(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// Live countdown to an ISO timestamp; onExpire fires once when it reaches zero
+function Countdown({ to, label, onExpire }) {
+  const { t } = useI18n();
+  const target = new Date(to).getTime();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (target <= Date.now()) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [target]);
+
+  const expired = now >= target;
+  useEffect(() => {
+    if (expired && onExpire) onExpire();
+  }, [expired, onExpire]);
+
+  return (
+    <p style={{ ...styles.countdown, color: !expired && target - now < 60000 ? color.dangerText : undefined }}>
+      {label}: <strong>{expired ? t('countdown.anyMoment') : formatRemaining(target - now)}</strong>
+    </p>
+  );
+}
+
+// Emoji anyone in the room can react to an option with; option.reactions maps emoji -> emails
+const reactionEmojis = ['👍', '❤️', '😂', '🤔', '👎'];
+
+function ReactionBar({ reactions = {}, currentEmail, onToggle, disabled }) {
+  const { t, formatNumber } = useI18n();
+  return (
+    <span style={styles.reactionBar}>
+      {reactionEmojis.map(emoji => {
+        const who = reactions[emoji] || [];
+        // Read-only rooms only show the reactions that were used
+        if (disabled && !who.length) return null;
+        const mine = who.includes(currentEmail);
+        return (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => onToggle(emoji)}
+            disabled={disabled}
+            aria-pressed={mine}
+            aria-label={t('chat.react', { emoji, count: who.length })}
+            style={mine ? { ...styles.reaction, ...styles.reactionMine } : styles.reaction}
+          >
+            {emoji}{who.length > 0 && ` ${formatNumber(who.length)}`}
+          </button>
+        );
+      })}
+    </span>
+  );
+}
+
+// Messages are { _id, kind: 'user' | 'system', authorEmail, authorName, text, optionId, event, params, createdAt }.
+// System messages carry an event and params rather than text so each reader sees them in their own language.
+function ChatMessage({ message, currentEmail, canModerate, onDelete }) {
+  const { t, formatDate } = useI18n();
+  const time = message.createdAt && formatDate(message.createdAt, { timeStyle: 'short' });
+  if (message.kind === 'system') {
+    return (
+      <li style={styles.chatSystem}>
+        {t(`chat.system.${message.event}`, message.params)}
+        {time && <small> · {time}</small>}
+      </li>
+    );
+  }
+  return (
+    <li style={styles.chatMessage}>
+      <strong>{message.authorName || message.authorEmail}</strong>
+      {time && <small style={styles.hint}> · {time}</small>}
+      {onDelete && (canModerate || message.authorEmail === currentEmail) && (
+        <button type="button" onClick={() => onDelete(message)} style={styles.linkButton}>
+          {t('common.delete')}
+        </button>
+      )}
+      <div>{message.text}</div>
+    </li>
+  );
+}
+
+function ChatComposer({ placeholder, onSend }) {
+  const { t } = useI18n();
+  const [text, setText] = useState('');
+  const [sending, setSending] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setSending(true);
+    if (await onSend(text.trim())) setText('');
+    setSending(false);
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={styles.chatComposer}>
+      <input
+        value={text}
+        onChange={e => setText(e.target.value)}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        maxLength={500}
+        style={{ ...styles.inputShort, width: 'auto', flex: 1 }}
+      />
+      <button type="submit" disabled={sending || !text.trim()} style={styles.buttonSmall}>
+        {t('chat.send')}
+      </button>
+    </form>
+  );
+}
+
+// Room-wide chat plus the lifecycle feed; option threads live with their options
+function ChatPanel({ messages, currentEmail, canModerate, locked, readOnly, onSend, onDelete, onToggleLock }) {
+  const { t } = useI18n();
+  const listRef = useRef(null);
+  const roomMessages = messages.filter(m => !m.optionId);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [roomMessages.length]);
+
+  return (
+    <section style={styles.chat}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3>{t('chat.title')}</h3>
+        {canModerate && !readOnly && (
+          <button type="button" onClick={onToggleLock} style={styles.linkButton}>
+            {locked ? t('chat.unlock') : t('chat.lock')}
+          </button>
+        )}
+      </div>
+      <ul ref={listRef} style={styles.chatList}>
+        {roomMessages.length === 0 && <li style={styles.hint}>{t('chat.empty')}</li>}
+        {roomMessages.map(m => (
+          <ChatMessage
+            key={m._id}
+            message={m}
+            currentEmail={currentEmail}
+            canModerate={canModerate}
+            onDelete={readOnly ? null : onDelete}
+          />
+        ))}
+      </ul>
+      {readOnly ? (
+        <p style={styles.hint}>{t('chat.readOnly')}</p>
+      ) : locked && !canModerate ? (
+        <p style={styles.hint}>{t('chat.locked')}</p>
+      ) : (
+        <ChatComposer placeholder={t('chat.placeholder')} onSend={onSend} />
+      )}
+    </section>
+  );
+}
+
+// Collapsible comment thread under one option
+function OptionComments({ option, messages, currentEmail, canModerate, locked, readOnly, onSend, onDelete }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const thread = messages.filter(m => m.optionId === option._id);
+  if (readOnly && !thread.length) return null;
+
+  return (
+    <div style={styles.optionComments}>
+      <button type="button" onClick={() => setOpen(o => !o)} aria-expanded={open} style={styles.linkButton}>
+        <span role="img" aria-hidden="true">💬</span> {t('chat.comments', { count: thread.length })}
+      </button>
+      {open && (
+        <>
+          <ul style={styles.chatList}>
+            {thread.map(m => (
+              <ChatMessage
+                key={m._id}
+                message={m}
+                currentEmail={currentEmail}
+                canModerate={canModerate}
+                onDelete={readOnly ? null : onDelete}
+              />
+            ))}
+          </ul>
+          {!readOnly && (!locked || canModerate) && (
+            <ChatComposer placeholder={t('chat.commentPlaceholder', { option: option.text })} onSend={text => onSend(text, option._id)} />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Groups the ballot controls under a legend while voting; otherwise renders its children as-is
+function BallotFieldset({ active, mode, children }) {
+  const { t } = useI18n();
+  if (!active) return children;
+  return (
+    <fieldset style={styles.ballotFieldset} aria-describedby="ballot-shortcuts">
+      <legend style={styles.ballotLegend}>{t(`a11y.ballotLegend.${isRankedMode(mode) ? 'ranked' : mode}`)}</legend>
+      <p id="ballot-shortcuts" style={styles.hint}>
+        {isRankedMode(mode) ? t('a11y.rankShortcuts') : t('a11y.shortcuts')}
+      </p>
+      {children}
+    </fieldset>
+  );
+}
+
+// Our own posts arrive both in the response and over the socket
+function addMessage(messages, message) {
+  return messages.some(m => m._id === message._id) ? messages : [...messages, message];
+}
+
+// Room page with options submission, voting, results, tiebreaker UI
+function Room() {
+  const { roomCode } = useParams();
+  const { auth } = useAuth();
+  const { t, formatNumber } = useI18n();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [room, setRoom] = useState(null);
+  const [options, setOptions] = useState([]);
+  const [editingOptionId, setEditingOptionId] = useState(null);
+  const [fromCache, setFromCache] = useState(false);
+  const online = useOnlineStatus();
+  const pendingSync = usePendingQueue(roomCode);
+  const notifications = useNotifications();
+  const roomMuted = notifications.prefs.mutedRooms.includes(roomCode);
+  const [hasVoted, setHasVoted] = useState(false);
+  const [changingVote, setChangingVote] = useState(false);
+  const [selectedOptionId, setSelectedOptionId] = useState(null);
+  const [voteCasting, setVoteCasting] = useState(false);
   const [votingClosing, setVotingClosing] = useState(false);
-  const [tiebreakerMethod, setTiebreakerMethod] = useState('');
+  const [tiebreakerRun, setTiebreakerRun] = useState(null);
   const [tiedOptionIds, setTiedOptionIds] = useState([]);
   const [tiebreaking, setTiebreaking] = useState(false);
   const [finalOptionText, setFinalOptionText] = useState(null);
   const [shareLink, setShareLink] = useState('');
+  const [voteCounts, setVoteCounts] = useState({});
+  const [approvedIds, setApprovedIds] = useState([]);
+  const [ranking, setRanking] = useState([]);
+  const [ballots, setBallots] = useState([]);
+  const [entropyInput, setEntropyInput] = useState('');
+  const [entropySent, setEntropySent] = useState(false);
+  const [messages, setMessages] = useState([]);
+  const { announce } = useA11y();
+  const headingRef = useRef(null);
 
   const isCreator = room?.creatorId === auth.email || false;
+  const participants = room?.participants || [];
+  const waitlist = room?.waitlist || [];
+  const me = participants.find(p => p.email === auth.email);
+  const onWaitlist = waitlist.some(p => p.email === auth.email);
+  const role = isCreator ? 'creator' : me?.role || 'participant';
+  const canManage = role === 'creator' || role === 'co-host';
+  const canVote = role !== 'spectator' && !onWaitlist;
+  const votingMode = room?.votingMode || 'plurality';
+  const isTournament = votingMode === 'tournament';
+  const ballotOpen = Boolean(room?.votingOpen) && canVote && !isTournament && (!hasVoted || changingVote);
+
+  // Shared by a fresh fetch and the copy saved for offline use
+  const applyRoomData = useCallback(data => {
+    setRoom(data.room);
+    setOptions(data.options);
+    setHasVoted(data.hasVoted);
+    // Restore our earlier picks after a reload so "(Your vote)" and vote changes start from them
+    if (data.myBallot) {
+      setSelectedOptionId(id => id ?? data.myBallot.optionId ?? null);
+      setApprovedIds(ids => (ids.length ? ids : data.myBallot.optionIds || []));
+      // Options added since keep their place at the end (see the ranking effect below)
+      setRanking(r => (r.length ? r : data.myBallot.ranking || []));
+    }
+    setBallots(data.ballots || []);
+    setMessages(data.messages || []);
+    if (data.room.finalDecision?.optionId) {
+      const found = data.options.find(o => o._id === data.room.finalDecision.optionId);
+      setFinalOptionText(found ? found.text : '');
+    } else {
+      setFinalOptionText(null);
+    }
+    setShareLink(`${window.location.origin}/room/${roomCode}`);
+  }, [roomCode]);
+
+  // Use useCallback to memoize loadRoom to avoid unnecessary re-creation and safe to include in dependencies
+  const loadRoom = useCallback(async () => {
+    try {
+      const { data } = await api.get(`/rooms/code/${roomCode}`);
+      applyRoomData(data);
+      setFromCache(false);
+      saveRoom(roomCode, data).catch(() => {});
+      setLoading(false);
+    } catch (err) {
+      // Offline: fall back to the last copy we saved of this room
+      const saved = isNetworkError(err) ? await loadSavedRoom(roomCode).catch(() => null) : null;
+      if (saved) {
+        applyRoomData(saved);
+        setFromCache(true);
+      } else {
+        toast.error(translate('room.loadFailed'));
+      }
+      setLoading(false);
+    }
+  }, [roomCode, applyRoomData]);
+
+  // Initial load with correct useEffect dependencies
+  useEffect(() => {
+    loadRoom();
+  }, [loadRoom]);
+
+  // Back online: pick up whatever changed (including our replayed writes)
+  const wasOnline = useRef(online);
+  useEffect(() => {
+    if (online && !wasOnline.current) loadRoom();
+    wasOnline.current = online;
+  }, [online, loadRoom]);
+
+  // Keep the ranked ballot in step with the option list, preserving the user's order
+  useEffect(() => {
+    const ids = options.map(o => o._id);
+    setRanking(r => [...r.filter(id => ids.includes(id)), ...ids.filter(id => !r.includes(id))]);
+  }, [options]);
+
+  // Apply live room events pushed over the socket
+  const handleRoomEvent = useCallback(({ type, payload = {} }) => {
+    switch (type) {
+      case 'option-added':
+        setOptions(opts => (opts.some(o => o._id === payload.option._id) ? opts : [...opts, payload.option]));
+        break;
+      case 'option-updated':
+        setOptions(opts => opts.map(o => (o._id === payload.option._id ? payload.option : o)));
+        break;
+      case 'option-removed':
+        setOptions(opts => opts.filter(o => o._id !== payload.optionId));
+        break;
+      case 'participant-joined':
+        setRoom(r => r && {
+          ...r,
+          participants: (r.participants || []).some(p => p.email === payload.participant.email)
+            ? r.participants
+            : [...(r.participants || []), payload.participant],
+          waitlist: (r.waitlist || []).filter(p => p.email !== payload.participant.email)
+        });
+        break;
+      case 'participant-updated':
+        setRoom(r => r && {
+          ...r,
+          participants: (r.participants || []).map(p => (p.email === payload.participant.email ? { ...p, ...payload.participant } : p))
+        });
+        break;
+      case 'presence':
+        setRoom(r => r && {
+          ...r,
+          participants: (r.participants || []).map(p => (p.email === payload.email ? { ...p, online: payload.online } : p))
+        });
+        break;
+      case 'participant-left':
+        if (payload.email === auth.email) {
+          toast.error(translate(payload.banned ? 'room.banned' : 'room.removed'));
+          navigate('/');
+          return;
+        }
+        // Someone leaving can promote the head of the waitlist, so refetch
+        loadRoom();
+        break;
+      case 'owner-changed':
+        setRoom(r => r && { ...r, creatorId: payload.creatorId });
+        loadRoom();
+        break;
+      case 'voting-opened':
+        setRoom(r => r && { ...r, votingOpen: true });
+        toast.info(translate('room.votingIsOpen'));
+        break;
+      case 'voting-closed':
+        setRoom(r => r && { ...r, votingOpen: false });
+        if (payload.tie) setTiedOptionIds(payload.tiedOptionIds || []);
+        // Reload either way to pick up the decision or the tiebreaker seed commitment
+        loadRoom();
+        break;
+      case 'bracket-updated':
+        setRoom(r => r && { ...r, bracket: keepMyVotes(payload.bracket, r.bracket) });
+        break;
+      case 'chat-message':
+        setMessages(msgs => addMessage(msgs, payload.message));
+        break;
+      case 'chat-message-removed':
+        setMessages(msgs => msgs.filter(m => m._id !== payload.messageId));
+        break;
+      case 'chat-locked':
+        setRoom(r => r && { ...r, chatLocked: payload.locked });
+        break;
+      case 'room-theme':
+        setRoom(r => r && { ...r, accentColor: payload.accentColor });
+        break;
+      case 'vote-count':
+        setVoteCounts(payload.counts || {});
+        if (payload.votesCast != null) setRoom(r => r && { ...r, votesCast: payload.votesCast });
+        break;
+      case 'tiebreaker-result':
+        // Everyone in the room watches the same animation land on the winner
+        setTiebreakerRun(run => run || {
+          method: payload.method,
+          winnerOptionId: payload.winnerOptionId,
+          tiedOptionIds: payload.tiedOptionIds,
+          weights: payload.weights,
+          fairness: payload.fairness
+        });
+        break;
+      default:
+        break;
+    }
+  }, [loadRoom, auth.email, navigate]);
+
+  const { connected } = useRoomSocket(roomCode, auth.token, handleRoomEvent);
+
+  // Fall back to polling every 5 seconds while the socket is down (and we're online)
+  const decided = Boolean(room?.finalDecision?.optionId);
+  useEffect(() => {
+    if (connected || decided || !online) return;
+    const interval = setInterval(loadRoom, 5000);
+    return () => clearInterval(interval);
+  }, [connected, decided, online, loadRoom]);
+
+  // A refresh can unmount the focused control (the ballot after voting, the option form once
+  // voting opens); send focus to the room heading instead of leaving it on the page body
+  useEffect(() => {
+    if (!loading && document.activeElement === document.body) headingRef.current?.focus();
+  }, [loading, room, options]);
+
+  // Announce ties and decisions once each, whoever's action produced them
+  const announced = useRef({});
+  useEffect(() => {
+    const key = tiedOptionIds.join(',');
+    if (!key || announced.current.tie === key) return;
+    announced.current.tie = key;
+    const names = options.filter(o => tiedOptionIds.includes(o._id)).map(o => o.text).join(', ');
+    announce(translate('a11y.tie', { options: names }), { urgent: true });
+  }, [tiedOptionIds, options, announce]);
+  useEffect(() => {
+    if (!tiebreakerRun) return;
+    announce(translate('a11y.tiebreakerRunning', { method: translate(`tiebreakers.${tiebreakerRun.method}`) }));
+  }, [tiebreakerRun, announce]);
+  useEffect(() => {
+    if (!finalOptionText || tiebreakerRun || announced.current.decision === finalOptionText) return;
+    announced.current.decision = finalOptionText;
+    announce(translate('a11y.decision', { option: finalOptionText }), { urgent: true });
+  }, [finalOptionText, tiebreakerRun, announce]);
+
+  // Keyboard voting: number keys pick (or toggle) the Nth option, V casts the ballot.
+  // Keys typed into text fields are left alone.
+  const shortcutHandler = useRef(null);
+  useEffect(() => {
+    shortcutHandler.current = e => {
+      if (!ballotOpen || voteCasting || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.('textarea, select, [contenteditable="true"], input:not([type="radio"]):not([type="checkbox"])')) return;
+      if (/^[1-9]$/.test(e.key) && !isRankedMode(votingMode)) {
+        const opt = options[Number(e.key) - 1];
+        if (!opt || opt.vetoedBy?.length) return;
+        e.preventDefault();
+        if (votingMode === 'approval') toggleApproval(opt._id);
+        else setSelectedOptionId(opt._id);
+        document.getElementById(`ballot-${opt._id}`)?.focus();
+      } else if (e.key === 'v' || e.key === 'V') {
+        e.preventDefault();
+        vote();
+      }
+    };
+  });
+  useEffect(() => {
+    const onKeyDown = e => shortcutHandler.current?.(e);
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Submit option (only when voting not open)
+  async function submitOption(fields) {
+    const url = `/rooms/${room._id}/options`;
+    try {
+      if (!navigator.onLine) throw new Error('offline');
+      await api.post(url, optionPayload(fields));
+      toast.success(t('room.optionAdded'));
+      await loadRoom();
+      return true;
+    } catch (err) {
+      if (isNetworkError(err)) {
+        if (!(await queueOffline({ kind: 'option', roomCode, url, body: fields }))) return false;
+        toast.info(t('room.optionQueued'));
+        return true;
+      }
+      toast.error(err.response?.data?.message || t('room.addOptionFailed'));
+      return false;
+    }
+  }
+
+  // Edit own option (before voting opens)
+  async function editOption(optionId, fields) {
+    try {
+      await api.put(`/rooms/${room._id}/options/${optionId}`, optionPayload(fields));
+      toast.success(t('room.optionUpdated'));
+      setEditingOptionId(null);
+      await loadRoom();
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.updateOptionFailed'));
+      return false;
+    }
+  }
+
+  // Withdraw own option (before voting opens)
+  async function withdrawOption(opt) {
+    if (!window.confirm(t('room.confirmWithdraw', { text: opt.text }))) return;
+    try {
+      await api.delete(`/rooms/${room._id}/options/${opt._id}`);
+      toast.success(t('room.optionWithdrawn'));
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.withdrawFailed'));
+    }
+  }
+
+  // Merge a duplicate into another option (creator only)
+  async function mergeOption(sourceId, targetId) {
+    const source = options.find(o => o._id === sourceId);
+    const target = options.find(o => o._id === targetId);
+    if (!window.confirm(t('room.confirmMerge', { source: source?.text, target: target?.text }))) return;
+    try {
+      await api.post(`/rooms/${room._id}/options/merge`, { sourceIds: [sourceId], targetId });
+      toast.success(t('room.merged'));
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.mergeFailed'));
+    }
+  }
+
+  // Open voting (creator only)
+  async function openVoting() {
+    if (!room) return;
+    try {
+      await api.post(`/rooms/${room._id}/open-voting`);
+      toast.success(t('room.votingOpened'));
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.openFailed'));
+    }
+  }
+
+  function toggleApproval(optionId) {
+    setApprovedIds(ids => (ids.includes(optionId) ? ids.filter(id => id !== optionId) : [...ids, optionId]));
+  }
+
+  // Vetoed options keep their place in the saved ranking, so a withdrawn veto puts them back,
+  // but they're left out of what's shown and submitted
+  const isVetoed = id => options.some(o => o._id === id && o.vetoedBy?.length);
+  const rankingInPlay = ranking.filter(id => !isVetoed(id));
+
+  function reorderRanking(inPlay) {
+    const next = [...inPlay];
+    setRanking(ranking.map(id => (isVetoed(id) ? id : next.shift())));
+  }
+
+  // Ballot payload for the room's voting mode
+  function buildBallot() {
+    if (votingMode === 'approval') return approvedIds.length ? { optionIds: approvedIds } : null;
+    if (isRankedMode(votingMode)) return rankingInPlay.length ? { ranking: rankingInPlay } : null;
+    return selectedOptionId ? { optionId: selectedOptionId } : null;
+  }
+
+  // Cast vote
+  async function vote() {
+    const ballot = buildBallot();
+    if (!ballot) return toast.error(t('room.selectOption'));
+    setVoteCasting(true);
+    const url = `/rooms/${room._id}/vote`;
+    // Re-voting replaces the earlier ballot
+    const method = hasVoted ? 'put' : 'post';
+    try {
+      if (!navigator.onLine) throw new Error('offline');
+      await api.request({ method, url, data: ballot });
+      toast.success(hasVoted ? t('room.voteChanged') : t('room.voteCast'));
+      setHasVoted(true);
+      setChangingVote(false);
+      await loadRoom();
+    } catch (err) {
+      if (isNetworkError(err)) {
+        if (await queueOffline({ kind: 'vote', roomCode, url, method, body: ballot })) {
+          toast.info(t('room.voteQueued'));
+          setHasVoted(true);
+          setChangingVote(false);
+        }
+      } else {
+        toast.error(err.response?.data?.message || t('room.voteFailed'));
+      }
+    } finally {
+      setVoteCasting(false);
+    }
+  }
+
+  // Vote in one head-to-head match of the current tournament round
+  async function voteInMatch(match, optionId) {
+    setVoteCasting(true);
+    try {
+      await api.post(`/rooms/${room._id}/matches/${match._id}/vote`, { optionId });
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.voteFailed'));
+    } finally {
+      setVoteCasting(false);
+    }
+  }
+
+  // End the current tournament round early and seed the winners into the next one
+  async function advanceRound() {
+    setVotingClosing(true);
+    try {
+      const { data } = await api.post(`/rooms/${room._id}/advance-round`);
+      toast.success(data.championId ? t('room.champion') : t('room.nextRound'));
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.advanceFailed'));
+    } finally {
+      setVotingClosing(false);
+    }
+  }
+
+  // Close voting (creator only)
+  async function closeVoting() {
+    if (!room) return;
+    setVotingClosing(true);
+    try {
+      const { data } = await api.post(`/rooms/${room._id}/close-voting`);
+      toast.success(t('room.votingClosed'));
+      if (data.tie) {
+        setTiedOptionIds(data.tiedOptionIds);
+        toast.info(t('room.tie'));
+      } else {
+        toast.info(t('room.decisionMade'));
+      }
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.closeFailed'));
+    } finally {
+      setVotingClosing(false);
+    }
+  }
 
-  // Use useCallback to memoize loadRoom to avoid unnecessary re-creation and safe to include in dependencies
-  const loadRoom = useCallback(async () => {
+  // Creator roster actions: role changes, remove, ban, transfer ownership
+  async function manageParticipant(action, participant) {
+    const name = participant.name || participant.email;
+    if (['kick', 'ban', 'transfer'].includes(action)) {
+      if (!window.confirm(t(`room.confirm.${action}`, { name }))) return;
+    }
     try {
-      const { data } = await api.get(`/rooms/code/${roomCode}`);
-      setRoom(data.room);
-      setOptions(data.options);
-      setHasVoted(data.hasVoted);
-      if (data.room.finalDecision?.optionId) {
-        const found = data.options.find(o => o._id === data.room.finalDecision.optionId);
-        setFinalOptionText(found ? found.text : '');
+      if (action === 'kick' || action === 'ban' || action === 'transfer') {
+        await api.post(`/rooms/${room._id}/${action}`, { email: participant.email });
       } else {
-        setFinalOptionText(null);
+        await api.post(`/rooms/${room._id}/role`, { email: participant.email, role: action });
       }
-      setShareLink(`${window.location.origin}/room/${roomCode}`);
-      setLoading(false);
+      toast.success(t('room.participantUpdated'));
+      await loadRoom();
     } catch (err) {
-      toast.error('Failed to load room data');
-      setLoading(false);
+      toast.error(err.response?.data?.message || t('room.participantFailed'));
     }
-  }, [roomCode]);
+  }
 
-  // Initial load with correct useEffect dependencies
-  useEffect(() => {
-    loadRoom();
-  }, [loadRoom]);
+  // Spend one of the room's vetoes on an option
+  async function vetoOption(opt) {
+    if (!window.confirm(t('room.confirmVeto', { text: opt.text }))) return;
+    try {
+      await api.post(`/rooms/${room._id}/veto`, { optionId: opt._id });
+      toast.success(t('room.vetoed'));
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.vetoFailed'));
+    }
+  }
 
-  // Polling options & voting status every 5 seconds
-  useEffect(() => {
-    if (!room || !room.votingOpen) return;
-    const interval = setInterval(loadRoom, 5000);
-    return () => clearInterval(interval);
-  }, [room, loadRoom]);
+  // Post to the room chat, or to an option's thread when optionId is given
+  async function sendChatMessage(text, optionId) {
+    try {
+      const { data } = await api.post(`/rooms/${room._id}/chat`, { text, optionId });
+      setMessages(msgs => addMessage(msgs, data.message));
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('chat.sendFailed'));
+      return false;
+    }
+  }
 
-  // Submit option (only when voting not open)
-  async function submitOption() {
-    if (!optionText.trim()) return toast.error('Enter option text');
+  // Authors can delete their own messages; the creator and co-hosts can delete any
+  async function deleteChatMessage(message) {
+    if (!window.confirm(t('chat.confirmDelete'))) return;
     try {
-      await api.post(`/rooms/${room._id}/options`, { text: optionText.trim() });
-      toast.success('Option added!');
-      setOptionText('');
-      await loadRoom();
+      await api.delete(`/rooms/${room._id}/chat/${message._id}`);
+      setMessages(msgs => msgs.filter(m => m._id !== message._id));
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to add option');
+      toast.error(err.response?.data?.message || t('chat.deleteFailed'));
     }
   }
 
-  // Open voting (creator only)
-  async function openVoting() {
-    if (!room) return;
+  // Stop everyone but the creator and co-hosts from posting
+  async function toggleChatLock() {
     try {
-      await api.post(`/rooms/${room._id}/open-voting`);
-      toast.success('Voting opened!');
-      await loadRoom();
+      await api.post(`/rooms/${room._id}/chat/lock`, { locked: !room.chatLocked });
+      setRoom(r => ({ ...r, chatLocked: !r.chatLocked }));
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to open voting');
+      toast.error(err.response?.data?.message || t('chat.lockFailed'));
     }
   }
 
-  // Cast vote
-  async function vote() {
-    if (!selectedOptionId) return toast.error('Select an option to vote');
-    setVoteCasting(true);
+  // Colour inputs report every step of a drag; save the accent once the pick settles
+  const accentTimer = useRef(null);
+  useEffect(() => () => clearTimeout(accentTimer.current), []);
+  function changeAccent(accentColor) {
+    setRoom(r => ({ ...r, accentColor }));
+    clearTimeout(accentTimer.current);
+    accentTimer.current = setTimeout(async () => {
+      try {
+        await api.post(`/rooms/${room._id}/theme`, { accentColor });
+      } catch (err) {
+        toast.error(err.response?.data?.message || translate('theme.saveFailed'));
+        loadRoom();
+      }
+    }, 400);
+  }
+
+  // Add or remove our reaction; the server returns the updated option
+  async function toggleReaction(opt, emoji) {
     try {
-      await api.post(`/rooms/${room._id}/vote`, { optionId: selectedOptionId });
-      toast.success('Vote cast!');
-      setHasVoted(true);
+      const { data } = await api.post(`/rooms/${room._id}/options/${opt._id}/reactions`, { emoji });
+      setOptions(opts => opts.map(o => (o._id === data.option._id ? data.option : o)));
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('chat.reactFailed'));
+    }
+  }
+
+  // Set a participant's vote weight (creator only, before voting closes)
+  // Resolves whether the weight was saved, so the roster input can reset if not
+  async function setWeight(participant, weight) {
+    if (!(weight >= 0)) {
+      toast.error(t('room.weightInvalid'));
+      return false;
+    }
+    try {
+      await api.post(`/rooms/${room._id}/weights`, { email: participant.email, weight });
+      toast.success(t('room.weightSet', { name: participant.name || participant.email, weight }));
       await loadRoom();
+      return true;
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to vote');
-    } finally {
-      setVoteCasting(false);
+      toast.error(err.response?.data?.message || t('room.weightFailed'));
+      return false;
     }
   }
 
-  // Close voting (creator only)
-  async function closeVoting() {
-    if (!room) return;
-    setVotingClosing(true);
+  // Save this room's settings and options as a reusable template (creator only)
+  async function saveAsTemplate() {
+    const name = window.prompt(t('room.templateName'), room.title);
+    if (!name?.trim()) return;
     try {
-      const { data } = await api.post(`/rooms/${room._id}/close-voting`);
-      toast.success('Voting closed!');
-      if (data.tie) {
-        setTiedOptionIds(data.tiedOptionIds);
-        toast.info("It's a tie! Please choose a tiebreaker.");
-      } else {
-        toast.info('Decision made!');
-        await loadRoom();
-      }
+      await api.post('/templates', {
+        name: name.trim(),
+        settings: {
+          title: room.title,
+          description: room.description,
+          maxParticipants: room.maxParticipants,
+          votingMode: room.votingMode,
+          tallyVisibility: room.tallyVisibility,
+          ballotVisibility: room.ballotVisibility,
+          vetoBudget: room.vetoBudget,
+          votingDurationMinutes: room.votingDurationMinutes,
+          roundMinutes: room.roundMinutes,
+          autoCloseWhenAllVoted: room.autoCloseWhenAllVoted,
+          defaultTiebreaker: room.defaultTiebreaker,
+          accentColor: room.accentColor || null
+        },
+        options: options.map(({ text, description, url, location }) => ({ text, description, url, location }))
+      });
+      toast.success(t('room.templateSaved'));
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to close voting');
-    } finally {
-      setVotingClosing(false);
+      toast.error(err.response?.data?.message || t('room.templateFailed'));
     }
   }
 
-  // Trigger tiebreaker
+  // Add entropy to the tiebreaker seed before it is revealed
+  async function submitEntropy() {
+    const entropy = entropyInput.trim();
+    if (!entropy) return toast.error(t('room.entropyRequired'));
+    try {
+      await api.post(`/rooms/${room._id}/entropy`, { entropy });
+      toast.success(t('room.entropyAdded'));
+      setEntropySent(true);
+      setEntropyInput('');
+      await loadRoom();
+    } catch (err) {
+      toast.error(err.response?.data?.message || t('room.entropyFailed'));
+    }
+  }
+
+  // Trigger tiebreaker; the result is revealed once the animation lands
   async function triggerTiebreaker(method) {
     if (!room) return;
     setTiebreaking(true);
-    setTiebreakerMethod(method);
     try {
       const { data } = await api.post(`/rooms/${room._id}/tiebreaker`, { method, tiedOptionIds });
-      const winnerOpt = options.find(o => o._id === data.winnerOptionId);
-      setFinalOptionText(winnerOpt?.text || 'Unknown');
-      toast.success(`${method} tiebreaker done! Winner: ${winnerOpt?.text || 'N/A'}`);
-      setTiedOptionIds([]);
-      await loadRoom();
+      setTiebreakerRun(run => run || {
+        method,
+        winnerOptionId: data.winnerOptionId,
+        tiedOptionIds,
+        weights: data.weights,
+        fairness: data.fairness
+      });
     } catch (err) {
-		      toast.error(err.response?.data?.message || 'Failed to trigger tiebreaker');
+		      toast.error(err.response?.data?.message || t('room.tiebreakerFailed'));
 		    } finally {
 		      setTiebreaking(false);
-		      setTiebreakerMethod('');
 		    }
 		  }
 
-		  if (loading) return <div style={styles.centered}>Loading room...</div>;
-		  if (!room) return <div style={styles.centered}>Room not found</div>;
+		  const finishTiebreaker = useCallback(() => {
+		    const winnerOpt = options.find(o => o._id === tiebreakerRun?.winnerOptionId);
+		    setFinalOptionText(winnerOpt?.text || t('common.unknown'));
+		    toast.success(
+		      t('room.tiebreakerDone', {
+		        method: t(`tiebreakers.${tiebreakerRun?.method}`),
+		        winner: winnerOpt?.text || t('common.unknown')
+		      })
+		    );
+		    setTiedOptionIds([]);
+		    setTiebreakerRun(null);
+		    loadRoom();
+		  }, [options, tiebreakerRun, loadRoom, t]);
+
+		  if (loading) return <div style={styles.centered}>{t('room.loading')}</div>;
+		  if (!room) return <div style={styles.centered}>{t('room.notFound')}</div>;
+
+		  // Live counts come from the room payload, overridden by socket vote-count pushes;
+		  // once voting closes and ballots are published, the full tally takes over
+		  const liveCounts = { ...Object.fromEntries(options.map(o => [o._id, o.votes || 0])), ...voteCounts };
+		  // Vetoed options are struck out and can neither win nor tie
+		  const vetoedIds = options.filter(o => o.vetoedBy?.length).map(o => o._id);
+		  const myVetoes = options.filter(o => o.vetoedBy?.includes(auth.email)).length;
+		  const vetoesLeft = Math.max(0, (room.vetoBudget || 0) - myVetoes);
+		  const closedTally = !room.votingOpen && !isTournament && ballots.length > 0
+		    ? tally(votingMode, ballots, options.map(o => o._id).filter(id => !vetoedIds.includes(id)))
+		    : null;
+		  const weighted = participants.some(p => (p.weight ?? 1) !== 1);
+		  const totalVotes = closedTally ? ballots.length : Object.values(liveCounts).reduce((sum, n) => sum + n, 0);
+		  const votedCount = room.votesCast ?? (closedTally || votingMode === 'plurality' ? totalVotes : 0);
+
+		  const runIds = tiebreakerRun?.tiedOptionIds || tiedOptionIds;
+		  const runOptions = runIds.length ? options.filter(o => runIds.includes(o._id)) : options;
+		  const showVoters = room.ballotVisibility === 'open' || (room.ballotVisibility === 'after-close' && !room.votingOpen);
+		  const optionsLocked = room.votingOpen || decided || Boolean(room.votingClosedAt);
+		  // Once decided the room is history (it shows in Past Decisions), so its chat is kept but frozen
+		  const chatReadOnly = decided;
 
 		  return (
-		    <div style={styles.container}>
-		      <h2>{room.title}</h2>
-		      {room.description && <p style={{ color: '#555' }}>{room.description}</p>}
-		      <p>Room Code: <b>{roomCode}</b></p>
-		      <p>
-		        Shareable Link:{' '}
-		        <input type="text" readOnly value={shareLink} style={styles.shareInput} onFocus={e => e.target.select()} />
-		      </p>
-		      {!room.votingOpen && !hasVoted && (
-		        <>
-		          <h3>Submit Options</h3>
-		          <input
-		            placeholder="Option text"
-		            value={optionText}
-		            onChange={e => setOptionText(e.target.value)}
-		            style={styles.inputShort}
+		    <div style={{ ...styles.roomLayout, ...accentVars(room.accentColor) }}>
+		      <main style={{ ...styles.container, flex: 1, margin: 0 }}>
+		        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+		          <h2 ref={headingRef} tabIndex={-1}>{room.title}</h2>
+		          <span>
+		            {notifications.enabled && (
+		              <button
+		                type="button"
+		                onClick={() => notifications.toggleRoomMute(roomCode)}
+		                style={styles.linkButton}
+		                title={roomMuted ? t('room.unmuteRoom') : t('room.muteRoom')}
+		              >
+		                {roomMuted ? `🔕 ${t('room.muted')}` : `🔔 ${t('room.mute')}`}
+		              </button>
+		            )}
+		            <NotificationBell />
+		            <ContrastToggle />
+		          </span>
+		        </div>
+		        {room.description && <p style={{ color: color.muted }}>{room.description}</p>}
+		        {room.groupId && (
+		          <p style={styles.hint}>
+		            {t('room.group')}{' '}
+		            {auth.guestRoomCode ? room.groupName : <Link to={`/groups/${room.groupId}`}>{room.groupName}</Link>}
+		          </p>
+		        )}
+		        <p>{t('room.code')} <b>{roomCode}</b></p>
+		        {!online && (
+		          <p style={styles.offlineNote}>{fromCache ? t('room.offlineCached') : t('room.offline')}</p>
+		        )}
+		        {online && !connected && !decided && (
+		          <p style={styles.offlineNote}>{t('room.polling')}</p>
+		        )}
+		        {pendingSync.length > 0 && (
+		          <p style={styles.pendingNote}>
+		            {online ? t('room.syncing') : t('room.waitingToSync')}{' '}
+		            {pendingSync.map(i => (i.kind === 'vote' ? t('room.yourVotePending') : `"${i.body.text}"`)).join(', ')}
+		          </p>
+		        )}
+		        {/* The server enforces deadlines; when one passes we just reload to pick up the new phase */}
+		        {!room.votingOpen && !room.votingClosedAt && room.optionsDeadline && (
+		          <Countdown to={room.optionsDeadline} label={t('room.optionsCloseIn')} onExpire={loadRoom} />
+		        )}
+		        {room.votingOpen && room.votingClosesAt && (
+		          <Countdown to={room.votingClosesAt} label={t('room.votingClosesIn')} onExpire={loadRoom} />
+		        )}
+		        {room.votingOpen && room.autoCloseWhenAllVoted && (
+		          <p style={styles.hint}>{t('room.autoCloseHint')}</p>
+		        )}
+		        {!decided && !tiebreakerRun && room.tiebreakerDeadline && (
+		          <Countdown
+		            to={room.tiebreakerDeadline}
+		            label={t('room.autoTiebreakerIn', { method: t(`tiebreakers.${room.defaultTiebreaker || 'dice'}`) })}
+		            onExpire={loadRoom}
 		          />
-		          <button onClick={submitOption} style={styles.button}>
-		            Add Option
-		          </button>
-		        </>
-		      )}
+		        )}
+		        {auth.guestRoomCode && (
+		          <p style={styles.hint}>
+		            {t('room.guestNote')}{' '}
+		            <Link to="/signup" state={{ from: `/room/${roomCode}` }}>{t('room.guestSignup')}</Link>
+		          </p>
+		        )}
+		        <p>
+		          <label>
+		            {t('room.shareLink')}{' '}
+		            <input type="text" readOnly value={shareLink} style={styles.shareInput} onFocus={e => e.target.select()} />
+		          </label>
+		        </p>
+		        {isCreator && !decided && <AccentPicker value={room.accentColor} onChange={changeAccent} />}
+		        {onWaitlist && (
+		          <p style={styles.offlineNote}>
+		            {t('room.waitlistNote', { position: waitlist.findIndex(p => p.email === auth.email) + 1 })}
+		          </p>
+		        )}
+		        {role === 'spectator' && <p style={styles.hint}>{t('room.spectating')}</p>}
+		        {decided && <p style={styles.hint}>{t('room.readOnly')}</p>}
+		        {!room.votingOpen && !hasVoted && canVote && !decided && (
+		          <>
+		            <h3>{t('room.submitOptions')}</h3>
+		            <OptionForm submitLabel={t('room.addOption')} onSubmit={submitOption} />
+		          </>
+		        )}
 
-		      <h3>Options</h3>
-		      {options.length === 0 && <p>No options submitted yet.</p>}
+		        {isTournament && room.bracket && (
+		          <>
+		            <h3>{t('bracket.title')}</h3>
+		            {room.votingOpen && room.bracket.roundClosesAt && (
+		              <Countdown to={room.bracket.roundClosesAt} label={t('room.roundClosesIn')} onExpire={loadRoom} />
+		            )}
+		            <BracketView
+		              rounds={room.bracket.rounds}
+		              currentRound={room.bracket.currentRound}
+		              championId={room.bracket.championId}
+		              options={options}
+		              onVote={room.votingOpen && canVote ? voteInMatch : null}
+		              disabled={voteCasting}
+		            />
+		            <p style={styles.hint}>{t('bracket.tieRule')}</p>
+		          </>
+		        )}
+		        {isTournament && !room.bracket && options.length > 1 && (
+		          <>
+		            <h3>{t('bracket.preview')}</h3>
+		            <p style={styles.hint}>{t('bracket.seeding')}</p>
+		            <BracketView rounds={seedBracket(options.map(o => o._id))} currentRound={-1} options={options} />
+		          </>
+		        )}
 
-		      <ul style={styles.optionList}>
-		        {options.map(opt => (
-		          <li key={opt._id} style={styles.optionItem}>
-		            {!room.votingOpen && <span>{opt.text}</span>}
-		            {room.votingOpen && !hasVoted && (
-		              <label style={styles.voteLabel}>
-		                <input
-		                  type="radio"
-		                  name="optionVote"
-		                  value={opt._id}
-		                  onChange={() => setSelectedOptionId(opt._id)}
-		                  disabled={voteCasting}
-		                />{' '}
-		                {opt.text}
-		              </label>
+		        <h3>{t('room.options')}</h3>
+		        {options.length === 0 && <p>{t('room.noOptions')}</p>}
+
+		        <BallotFieldset active={ballotOpen} mode={votingMode}>
+		        {ballotOpen && isRankedMode(votingMode) ? (
+		          <>
+		            <p style={styles.hint}>{t('ballot.rankHint')}</p>
+		            <RankBallot
+		              options={options}
+		              ranking={rankingInPlay}
+		              onChange={reorderRanking}
+		              disabled={voteCasting}
+		            />
+		            {canVote && vetoesLeft > 0 && (
+		              <select
+		                value=""
+		                onChange={e => vetoOption(options.find(o => o._id === e.target.value))}
+		                style={styles.rosterMenu}
+		              >
+		                <option value="" disabled>{t('room.vetoAnOption', { count: vetoesLeft })}</option>
+		                {options.filter(o => !vetoedIds.includes(o._id)).map(o => (
+		                  <option key={o._id} value={o._id}>{o.text}</option>
+		                ))}
+		              </select>
 		            )}
-		            {room.votingOpen && hasVoted && (
-		              <span>{opt.text} {selectedOptionId === opt._id && <strong>(Your vote)</strong>}</span>
+		          </>
+		        ) : (
+		          <ul style={styles.optionList}>
+		            {options.map((opt, index) => (
+		              <li key={opt._id} style={vetoedIds.includes(opt._id) ? { ...styles.optionItem, ...styles.vetoedOption } : styles.optionItem}>
+		                {!room.votingOpen && editingOptionId === opt._id && (
+		                  <OptionForm
+		                    initial={opt}
+		                    submitLabel={t('common.save')}
+		                    onSubmit={fields => editOption(opt._id, fields)}
+		                    onCancel={() => setEditingOptionId(null)}
+		                  />
+		                )}
+		                {!room.votingOpen && editingOptionId !== opt._id && (
+		                  <OptionCard option={opt}>
+		                    {showVoters && <VoterAvatars voters={opt.voters} />}
+		                    {!optionsLocked && opt.submittedBy === auth.email && (
+		                      <>
+		                        <button type="button" onClick={() => setEditingOptionId(opt._id)} style={styles.linkButton}>
+		                          {t('common.edit')}
+		                        </button>
+		                        <button type="button" onClick={() => withdrawOption(opt)} style={styles.linkButton}>
+		                          {t('room.withdraw')}
+		                        </button>
+		                      </>
+		                    )}
+		                    {!optionsLocked && isCreator && options.length > 1 && (
+		                      <select value="" onChange={e => mergeOption(opt._id, e.target.value)} style={styles.rosterMenu}>
+		                        <option value="" disabled>{t('room.mergeInto')}</option>
+		                        {options.filter(o => o._id !== opt._id).map(o => (
+		                          <option key={o._id} value={o._id}>{o.text}</option>
+		                        ))}
+		                      </select>
+		                    )}
+		                  </OptionCard>
+		                )}
+		                {ballotOpen && (
+		                  <label style={styles.voteLabel}>
+		                    {votingMode === 'approval' ? (
+		                      <input
+		                        type="checkbox"
+		                        id={`ballot-${opt._id}`}
+		                        value={opt._id}
+		                        aria-keyshortcuts={index < 9 ? String(index + 1) : undefined}
+		                        checked={approvedIds.includes(opt._id)}
+		                        onChange={() => toggleApproval(opt._id)}
+		                        disabled={voteCasting || vetoedIds.includes(opt._id)}
+		                      />
+		                    ) : (
+		                      <input
+		                        type="radio"
+		                        name="optionVote"
+		                        id={`ballot-${opt._id}`}
+		                        value={opt._id}
+		                        checked={selectedOptionId === opt._id}
+		                        aria-keyshortcuts={index < 9 ? String(index + 1) : undefined}
+		                        onChange={() => setSelectedOptionId(opt._id)}
+		                        disabled={voteCasting || vetoedIds.includes(opt._id)}
+		                      />
+		                    )}
+		                    <OptionCard option={opt} />
+		                  </label>
+		                )}
+		                {room.votingOpen && vetoedIds.includes(opt._id) && (
+		                  <small style={styles.hint}>
+		                    {showVoters ? t('room.vetoedBy', { names: opt.vetoedBy.join(', ') }) : t('room.vetoedHidden')}
+		                  </small>
+		                )}
+		                {room.votingOpen && canVote && vetoesLeft > 0 && !vetoedIds.includes(opt._id) && (
+		                  <button type="button" onClick={() => vetoOption(opt)} style={styles.linkButton}>
+		                    {t('room.veto', { count: vetoesLeft })}
+		                  </button>
+		                )}
+		                {room.votingOpen && !ballotOpen && (
+		                  <OptionCard option={opt}>
+		                    {showVoters && <VoterAvatars voters={opt.voters} />}
+		                    {votingMode === 'plurality' && selectedOptionId === opt._id && <strong>{t('room.yourVote')}</strong>}
+		                    {votingMode === 'approval' && approvedIds.includes(opt._id) && <strong>{t('room.approved')}</strong>}
+		                    {isRankedMode(votingMode) && rankingInPlay.includes(opt._id) && (
+		                      <strong>{t('room.yourRank', { rank: formatNumber(rankingInPlay.indexOf(opt._id) + 1) })}</strong>
+		                    )}
+		                  </OptionCard>
+		                )}
+		                <ReactionBar
+		                  reactions={opt.reactions}
+		                  currentEmail={auth.email}
+		                  onToggle={emoji => toggleReaction(opt, emoji)}
+		                  disabled={chatReadOnly}
+		                />
+		                <OptionComments
+		                  option={opt}
+		                  messages={messages}
+		                  currentEmail={auth.email}
+		                  canModerate={canManage}
+		                  locked={room.chatLocked}
+		                  readOnly={chatReadOnly}
+		                  onSend={sendChatMessage}
+		                  onDelete={deleteChatMessage}
+		                />
+		              </li>
+		            ))}
+		          </ul>
+		        )}
+		        </BallotFieldset>
+
+		        {ballotOpen && (
+		          <>
+		            <button onClick={vote} disabled={voteCasting || !buildBallot()} aria-keyshortcuts="V" style={styles.button}>
+		              {voteCasting ? t('room.casting') : changingVote ? t('room.updateVote') : t('room.vote')}
+		            </button>
+		            {changingVote && (
+		              <button type="button" onClick={() => setChangingVote(false)} style={styles.linkButton}>
+		                {t('room.keepVote')}
+		              </button>
 		            )}
-		          </li>
-		        ))}
-		      </ul>
+		          </>
+		        )}
 
-		      {room.votingOpen && !hasVoted && (
-		        <button onClick={vote} disabled={voteCasting || !selectedOptionId} style={styles.button}>
-		          {voteCasting ? 'Casting vote...' : 'Vote'}
-		        </button>
-		      )}
+		        {room.votingOpen && hasVoted && canVote && !changingVote && !isTournament && (
+		          <button type="button" onClick={() => setChangingVote(true)} style={styles.buttonSmall}>
+		            {t('room.changeVote')}
+		          </button>
+		        )}
 
-		      {isCreator && !room.votingOpen && options.length > 0 && (
-		        <button onClick={openVoting} style={styles.buttonGreen}>
-		          Open Voting
-		        </button>
-		      )}
+		        {canManage && !room.votingOpen && !decided && options.length > 0 && (
+		          <button onClick={openVoting} disabled={isTournament && options.length < 2} style={styles.buttonGreen}>
+		            {isTournament ? t('room.startTournament') : t('room.openVoting')}
+		          </button>
+		        )}
 
-		      {isCreator && room.votingOpen && (
-		        <button onClick={closeVoting} disabled={votingClosing} style={styles.buttonRed}>
-		          {votingClosing ? 'Closing...' : 'Close Voting'}
-		        </button>
-		      )}
+		        {isCreator && options.length > 0 && (
+		          <button type="button" onClick={saveAsTemplate} style={{ ...styles.buttonSmall, marginTop: 10 }}>
+		            {t('room.saveTemplate')}
+		          </button>
+		        )}
 
-		      {finalOptionText && (
-		        <div style={{ marginTop: 20, padding: 20, backgroundColor: '#222', color: 'white', fontSize: 24, borderRadius: 6, textAlign: 'center' }}>
-		          <span role="img" aria-label="celebration">🎉</span> Final Decision: <strong>{finalOptionText}</strong>
-		        </div>
-		      )}
+		        {canManage && room.votingOpen && !isTournament && (
+		          <button onClick={closeVoting} disabled={votingClosing} style={styles.buttonRed}>
+		            {votingClosing ? t('room.closing') : t('room.closeVoting')}
+		          </button>
+		        )}
 
-		      {isCreator && tiedOptionIds.length > 0 && !finalOptionText && (
-		        <div style={{ marginTop: 20 }}>
-		          <h3>Tiebreaker needed!</h3>
-		          <p>Choose a method to resolve the tie:</p>
-		          <div style={{ display: 'flex', gap: 10 }}>
-		            <button disabled={tiebreaking} onClick={() => triggerTiebreaker('dice')} style={styles.button}>
-		              <span role="img" aria-label="dice">🎲</span> Dice Roll
-		            </button>
-		            <button disabled={tiebreaking} onClick={() => triggerTiebreaker('spinner')} style={styles.button}>
-		              <span role="img" aria-label="spinner">🎡</span> Spinner
-		            </button>
-		            <button disabled={tiebreaking} onClick={() => triggerTiebreaker('coin')} style={styles.button}>
-		              <span role="img" aria-label="coin flip">🪙</span> Coin Flip
-		            </button>
+		        {canManage && room.votingOpen && isTournament && (
+		          <button onClick={advanceRound} disabled={votingClosing} style={styles.buttonRed}>
+		            {votingClosing ? t('room.closingRound') : t('room.endRound')}
+		          </button>
+		        )}
+
+		        {!isTournament && (room.votingOpen || totalVotes > 0) && (
+		          <ResultsPanel
+		            mode={votingMode}
+		            counts={closedTally ? closedTally.rounds[closedTally.rounds.length - 1].counts : liveCounts}
+		            rounds={closedTally?.rounds}
+		            winners={closedTally?.winners}
+		            weighted={weighted}
+		            options={options}
+		            votedCount={votedCount}
+		            participantCount={participants.filter(p => p.role !== 'spectator').length}
+		            hidden={room.votingOpen && room.tallyVisibility === 'blind'}
+		          />
+		        )}
+
+		        {tiebreakerRun && (
+		          <section aria-label={t('a11y.tiebreakerRegion')} aria-busy="true">
+		          <TiebreakerAnimation
+		            method={tiebreakerRun.method}
+		            options={runOptions}
+		            winnerOptionId={tiebreakerRun.winnerOptionId}
+		            weights={tiebreakerRun.weights}
+		            fairness={tiebreakerRun.fairness}
+		            onDone={finishTiebreaker}
+		            t={t}
+		          />
+		          </section>
+		        )}
+
+		        {finalOptionText && !tiebreakerRun && (
+		          <div style={styles.celebration}>
+		            <span role="img" aria-label={t('room.celebration')}>🎉</span> {t('room.finalDecision')} <strong>{finalOptionText}</strong>
+		            <div style={{ marginTop: 10 }}>
+		              <ExportMenu
+		                name={room.title}
+		                getRecords={async () => [buildDecisionRecord({ ...room, roomCode }, options, ballots)]}
+		              />
+		            </div>
 		          </div>
-		          {tiebreaking && <p>Running {tiebreakerMethod} animation...</p>}
-		        </div>
-		      )}
+		        )}
+
+		        {finalOptionText && !tiebreakerRun && room.fairness?.serverSeed && (
+		          <VerifyPanel fairness={room.fairness} options={options} />
+		        )}
+
+		        {room.fairness?.seedHash && !room.fairness.serverSeed && !finalOptionText && (
+		          <div style={{ marginTop: 20 }}>
+		            <h3>{t('room.seedTitle')}</h3>
+		            <p style={styles.hint}>
+		              {t('room.seedCommitment')} <code style={styles.hash}>{room.fairness.seedHash}</code>
+		            </p>
+		            {entropySent ? (
+		              <p style={styles.hint}>{t('room.entropyMixed')}</p>
+		            ) : (
+		              <>
+		                <input
+		                  placeholder={t('room.entropyPlaceholder')}
+		                  aria-label={t('room.entropyPlaceholder')}
+		                  value={entropyInput}
+		                  onChange={e => setEntropyInput(e.target.value)}
+		                  style={styles.inputShort}
+		                />
+		                <button type="button" onClick={() => setEntropyInput(randomEntropy())} style={styles.buttonSmall}>
+		                  {t('room.random')}
+		                </button>{' '}
+		                <button onClick={submitEntropy} style={styles.buttonSmall}>
+		                  {t('room.add')}
+		                </button>
+		              </>
+		            )}
+		          </div>
+		        )}
+
+		        {canManage && tiedOptionIds.length > 0 && !finalOptionText && !tiebreakerRun && (
+		          <div style={{ marginTop: 20 }}>
+		            <h3>{t('room.tiebreakerNeeded')}</h3>
+		            <p>{t('room.chooseMethod')}</p>
+		            <div style={{ display: 'flex', gap: 10 }}>
+		              <button disabled={tiebreaking} onClick={() => triggerTiebreaker('dice')} style={styles.button}>
+		                <span role="img" aria-hidden="true">🎲</span> {t('tiebreakers.dice')}
+		              </button>
+		              <button disabled={tiebreaking} onClick={() => triggerTiebreaker('spinner')} style={styles.button}>
+		                <span role="img" aria-hidden="true">🎡</span> {t('tiebreakers.spinner')}
+		              </button>
+		              <button disabled={tiebreaking} onClick={() => triggerTiebreaker('coin')} style={styles.button}>
+		                <span role="img" aria-hidden="true">🪙</span> {t('tiebreakers.coin')}
+		              </button>
+		            </div>
+		            {tiebreaking && <p role="status">{t('room.rolling')}</p>}
+		          </div>
+		        )}
+		      </main>
+		      <RosterSidebar
+		        participants={participants}
+		        waitlist={waitlist}
+		        maxParticipants={room.maxParticipants}
+		        currentEmail={auth.email}
+		        isCreator={isCreator}
+		        weightsEditable={isCreator && !room.votingClosedAt && !decided}
+		        onAction={manageParticipant}
+		        onWeightChange={setWeight}
+		      />
+		      <ChatPanel
+		        messages={messages}
+		        currentEmail={auth.email}
+		        canModerate={canManage}
+		        locked={room.chatLocked}
+		        readOnly={chatReadOnly}
+		        onSend={sendChatMessage}
+		        onDelete={deleteChatMessage}
+		        onToggleLock={toggleChatLock}
+		      />
 		    </div>
 		  );
 		}
 		// Past Decisions page
-		function PastDecisions() {
+		const pastPageSize = 10;
+
+		const pastSorts = {
+		  newest: (a, b) => new Date(b.votingClosedAt) - new Date(a.votingClosedAt),
+		  oldest: (a, b) => new Date(a.votingClosedAt) - new Date(b.votingClosedAt),
+		  title: (a, b, locale) => a.title.localeCompare(b.title, locale)
+		};
+
+		function countBy(values) {
+		  const counts = {};
+		  values.forEach(v => {
+		    counts[v] = (counts[v] || 0) + 1;
+		  });
+		  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+		}
+
+		// Stats header over all past rooms, regardless of the active filters
+		function decisionStats(rooms) {
+		  const tied = rooms.filter(r => r.tiebreakerUsed);
+		  return {
+		    total: rooms.length,
+		    tieRate: rooms.length ? Math.round((tied.length / rooms.length) * 100) : 0,
+		    favouriteTiebreaker: countBy(tied.map(r => r.tiebreakerUsed))[0]?.[0] || null,
+		    topWinners: countBy(rooms.map(r => r.finalChosenOption).filter(Boolean)).slice(0, 3)
+		  };
+		}
+
+		// Every decision you took part in; a group page shows just that group's, without the page chrome
+		function PastDecisions({ groupId }) {
+		  const navigate = useNavigate();
+		  const { t, locale, formatNumber, formatDate } = useI18n();
 		  const [rooms, setRooms] = React.useState([]);
 		  const [loading, setLoading] = React.useState(true);
+		  const [query, setQuery] = React.useState('');
+		  const [fromDate, setFromDate] = React.useState('');
+		  const [toDate, setToDate] = React.useState('');
+		  const [tiebreaker, setTiebreaker] = React.useState('all');
+		  const [sort, setSort] = React.useState('newest');
+		  const [visible, setVisible] = React.useState(pastPageSize);
+		  const [brackets, setBrackets] = React.useState({});
+		  const sentinelRef = React.useRef(null);
 
 		  React.useEffect(() => {
 		    async function fetchPast() {
 		      try {
 		        const { data } = await api.get('/rooms/past/rooms');
-		        setRooms(data);
+		        setRooms(groupId ? data.filter(r => r.groupId === groupId) : data);
 		      } catch {
-		        toast.error('Failed to load past decisions');
+		        toast.error(translate('past.loadFailed'));
 		      } finally {
 		        setLoading(false);
 		      }
 		    }
 		    fetchPast();
-		  }, []);
+		  }, [groupId]);
+
+		  // Start from the first page whenever the filters change
+		  React.useEffect(() => {
+		    setVisible(pastPageSize);
+		  }, [query, fromDate, toDate, tiebreaker, sort]);
+
+		  const filtered = React.useMemo(() => {
+		    const q = query.trim().toLowerCase();
+		    const from = fromDate ? new Date(`${fromDate}T00:00:00`) : null;
+		    const to = toDate ? new Date(`${toDate}T23:59:59.999`) : null;
+		    return rooms
+		      .filter(r => !q || r.title.toLowerCase().includes(q))
+		      .filter(r => !from || new Date(r.votingClosedAt) >= from)
+		      .filter(r => !to || new Date(r.votingClosedAt) <= to)
+		      .filter(r => {
+		        if (tiebreaker === 'all') return true;
+		        if (tiebreaker === 'none') return !r.tiebreakerUsed;
+		        return r.tiebreakerUsed === tiebreaker;
+		      })
+		      .sort((a, b) => pastSorts[sort](a, b, locale));
+		  }, [rooms, query, fromDate, toDate, tiebreaker, sort, locale]);
+
+		  const hasMore = visible < filtered.length;
+
+		  // Infinite scroll: load the next page when the sentinel scrolls into view
+		  React.useEffect(() => {
+		    const node = sentinelRef.current;
+		    if (!node || !hasMore || typeof IntersectionObserver === 'undefined') return;
+		    const observer = new IntersectionObserver(entries => {
+		      if (entries[0].isIntersecting) setVisible(v => v + pastPageSize);
+		    });
+		    observer.observe(node);
+		    return () => observer.disconnect();
+		  }, [hasMore]);
 
-		  if (loading) return <div style={styles.centered}>Loading past decisions...</div>;
+		  if (loading) return <div style={styles.centered}>{t('past.loading')}</div>;
 
-		  if (rooms.length === 0) return <div style={styles.centered}>No past decisions found.</div>;
+		  if (rooms.length === 0) return <div style={styles.centered}>{groupId ? t('groups.noDecisions') : t('past.empty')}</div>;
+
+		  const stats = decisionStats(rooms);
+
+		  // Clone a closed room with a fresh room code, optionally leaving out the last winner
+		  async function runAgain(room, excludeWinner) {
+		    try {
+		      const { data } = await api.post(`/rooms/${room.id}/clone`, { excludeWinner });
+		      toast.success(t('past.cloned'));
+		      navigate(`/room/${data.roomCode}`);
+		    } catch (err) {
+		      toast.error(err.response?.data?.message || t('past.cloneFailed'));
+		    }
+		  }
+
+		  // Completed tournament brackets are loaded on demand; clicking again hides the bracket
+		  async function toggleBracket(room) {
+		    if (brackets[room.roomCode]) {
+		      setBrackets(b => {
+		        const next = { ...b };
+		        delete next[room.roomCode];
+		        return next;
+		      });
+		      return;
+		    }
+		    try {
+		      const { data } = await api.get(`/rooms/code/${room.roomCode}`);
+		      setBrackets(b => ({ ...b, [room.roomCode]: { bracket: data.room.bracket, options: data.options } }));
+		    } catch (err) {
+		      toast.error(err.response?.data?.message || t('past.bracketFailed'));
+		    }
+		  }
+
+		  // Fetched one room at a time to keep the load on the API gentle
+		  async function exportAll() {
+		    const records = [];
+		    for (const r of rooms.filter(r => r.roomCode)) {
+		      records.push(await fetchDecisionRecord(r.roomCode));
+		    }
+		    return records;
+		  }
 
 		  return (
-		    <div style={{ ...styles.container, maxWidth: 600 }}>
-		      <h2>Past Decisions</h2>
-		      <Link to="/" style={{ marginBottom: 20, display: 'inline-block' }}>
-		        ← Back to Home
-		      </Link>
+		    <div style={groupId ? undefined : { ...styles.container, maxWidth: 600 }}>
+		      {!groupId && (
+		        <>
+		          <h2>{t('past.title')}</h2>
+		          <Link to="/" style={{ marginBottom: 20, display: 'inline-block' }}>
+		            {t('common.backHome')}
+		          </Link>{' '}
+		        </>
+		      )}
+		      <ExportMenu name={groupId ? 'group-decisions' : 'my-decisions'} single={false} label={t('past.exportAll')} getRecords={exportAll} />
+
+		      <div style={styles.statsGrid}>
+		        <div style={styles.statBox}>
+		          <strong style={styles.statValue}>{formatNumber(stats.total)}</strong>
+		          {t('past.stats.decisions', { count: stats.total })}
+		        </div>
+		        <div style={styles.statBox}>
+		          <strong style={styles.statValue}>{formatNumber(stats.tieRate / 100, { style: 'percent' })}</strong>
+		          {t('past.stats.tieRate')}
+		        </div>
+		        <div style={styles.statBox}>
+		          <strong style={styles.statValue}>
+		            {stats.favouriteTiebreaker ? t(`tiebreakers.${stats.favouriteTiebreaker}`) : '—'}
+		          </strong>
+		          {t('past.stats.favouriteTiebreaker')}
+		        </div>
+		      </div>
+		      {stats.topWinners.length > 0 && (
+		        <p>
+		          {t('past.stats.topWinners')}{' '}
+		          {stats.topWinners.map(([text, n]) => `${text} (${formatNumber(n)})`).join(', ')}
+		        </p>
+		      )}
+
+		      <div style={styles.filters}>
+		        <input
+		          type="search"
+		          placeholder={t('past.search')}
+		          value={query}
+		          onChange={e => setQuery(e.target.value)}
+		          style={{ ...styles.input, flexBasis: '100%' }}
+		        />
+		        <label>
+		          {t('past.from')} <input type="date" value={fromDate} onChange={e => setFromDate(e.target.value)} />
+		        </label>
+		        <label>
+		          {t('past.to')} <input type="date" value={toDate} onChange={e => setToDate(e.target.value)} />
+		        </label>
+		        <select value={tiebreaker} onChange={e => setTiebreaker(e.target.value)}>
+		          <option value="all">{t('past.anyTiebreaker')}</option>
+		          <option value="none">{t('past.noTiebreaker')}</option>
+		          <option value="dice">{t('tiebreakers.dice')}</option>
+		          <option value="spinner">{t('tiebreakers.spinner')}</option>
+		          <option value="coin">{t('tiebreakers.coin')}</option>
+		        </select>
+		        <select value={sort} onChange={e => setSort(e.target.value)}>
+		          <option value="newest">{t('past.sort.newest')}</option>
+		          <option value="oldest">{t('past.sort.oldest')}</option>
+		          <option value="title">{t('past.sort.title')}</option>
+		        </select>
+		      </div>
+
+		      {filtered.length === 0 && <p>{t('past.noMatches')}</p>}
 		      <ul>
-		        {rooms.map(room => (
-		          <li key={room.id} style={{ marginBottom: 15, padding: 10, border: '1px solid #ccc', borderRadius: 6 }}>
-		            <strong>{room.title}</strong> <br />
-		            Final choice: <em>{room.finalChosenOption}</em> <br />
-		            Closed: {new Date(room.votingClosedAt).toLocaleString()} <br />
-		            {room.tiebreakerUsed && <span>Tiebreaker: {room.tiebreakerUsed}</span>}
+		        {filtered.slice(0, visible).map(room => (
+		          <li key={room.id} style={{ marginBottom: 15, padding: 10, border: `1px solid ${color.border}`, borderRadius: radius.md }}>
+		            {room.roomCode ? <Link to={`/room/${room.roomCode}`}><strong>{room.title}</strong></Link> : <strong>{room.title}</strong>} <br />
+		            {t('past.finalChoice')} <em>{room.finalChosenOption}</em> <br />
+		            {t('past.closed', { date: formatDate(room.votingClosedAt) })} <br />
+		            {room.tiebreakerUsed && <span>{t('past.tiebreaker', { method: t(`tiebreakers.${room.tiebreakerUsed}`) })}</span>}
+		            {room.fairness?.serverSeed && <VerifyPanel fairness={room.fairness} />}
+		            <div style={{ marginTop: 6, display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+		              <button type="button" onClick={() => runAgain(room, false)} style={styles.buttonSmall}>
+		                {t('past.runAgain')}
+		              </button>
+		              {room.finalChosenOption && (
+		                <button type="button" onClick={() => runAgain(room, true)} style={styles.linkButton}>
+		                  {t('past.runAgainWithout', { option: room.finalChosenOption })}
+		                </button>
+		              )}
+		              {room.roomCode && (
+		                <ExportMenu name={room.title} getRecords={async () => [await fetchDecisionRecord(room.roomCode)]} />
+		              )}
+		              {room.roomCode && room.votingMode === 'tournament' && (
+		                <button type="button" onClick={() => toggleBracket(room)} style={styles.linkButton}>
+		                  {brackets[room.roomCode] ? t('past.hideBracket') : t('past.viewBracket')}
+		                </button>
+		              )}
+		            </div>
+		            {brackets[room.roomCode]?.bracket && (
+		              <BracketView
+		                rounds={brackets[room.roomCode].bracket.rounds}
+		                currentRound={-1}
+		                championId={brackets[room.roomCode].bracket.championId}
+		                options={brackets[room.roomCode].options}
+		              />
+		            )}
 		          </li>
 		        ))}
 		      </ul>
+		      {hasMore && (
+		        <div ref={sentinelRef} style={{ textAlign: 'center' }}>
+		          <button type="button" onClick={() => setVisible(v => v + pastPageSize)} style={styles.buttonSmall}>
+		            {t('past.loadMore', { count: filtered.length - visible })}
+		          </button>
+		        </div>
+		      )}
 		    </div>
 		  );
 		}
 
 		export default function App() {
 		  return (
-		    <AuthProvider>
-		      <Router>
-		        <ToastContainer position="top-right" autoClose={3000} />
-		        <Routes>
-		          <Route path="/login" element={<Login />} />
-		          <Route path="/signup" element={<Signup />} />
-		          <Route path="/room/:roomCode" element={<PrivateRoute><Room /></PrivateRoute>} />
-		          <Route path="/past-decisions" element={<PrivateRoute><PastDecisions /></PrivateRoute>} />
-		          <Route path="/" element={<PrivateRoute><Home /></PrivateRoute>} />
-		          <Route path="*" element={<Navigate to="/" replace />} />
-		        </Routes>
-		      </Router>
-		    </AuthProvider>
+		    <Router>
+		      <AuthProvider>
+		        <LocaleProvider>
+		          <ThemeProvider>
+		          <A11yProvider>
+		          <Toasts />
+		          <OfflineSync />
+		          <NotificationsProvider>
+		            <Routes>
+		              <Route path="/login" element={<Login />} />
+		              <Route path="/signup" element={<Signup />} />
+		              <Route path="/room/:roomCode" element={<RoomRoute><Room /></RoomRoute>} />
+		              <Route path="/past-decisions" element={<PrivateRoute><PastDecisions /></PrivateRoute>} />
+		              <Route path="/profile" element={<PrivateRoute><Profile /></PrivateRoute>} />
+		              <Route path="/groups" element={<PrivateRoute><Groups /></PrivateRoute>} />
+		              <Route path="/groups/join/:inviteCode" element={<PrivateRoute><JoinGroup /></PrivateRoute>} />
+		              <Route path="/groups/:groupId" element={<PrivateRoute><GroupPage /></PrivateRoute>} />
+		              <Route path="/" element={<PrivateRoute><Home /></PrivateRoute>} />
+		              <Route path="*" element={<Navigate to="/" replace />} />
+		            </Routes>
+		          </NotificationsProvider>
+		          </A11yProvider>
+		          </ThemeProvider>
+		        </LocaleProvider>
+		      </AuthProvider>
+		    </Router>
 		  );
 		}
 
 		const styles = {
 		  container: {
 		    maxWidth: 480,
-		    margin: '30px auto',
-		    padding: 20,
-		    boxShadow: '0px 0px 10px rgba(0,0,0,0.1)',
-		    borderRadius: 8,
-		    fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"
+		    margin: `${space.pageMargin} auto`,
+		    padding: space.gutter,
+		    backgroundColor: color.surface,
+		    boxShadow: shadow.card,
+		    borderRadius: radius.lg,
+		    fontFamily: font.family
 		  },
 		  centered: {
-		    fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+		    fontFamily: font.family,
 		    maxWidth: 400,
-		    margin: '30px auto',
+		    margin: `${space.pageMargin} auto`,
 		    textAlign: 'center'
 		  },
 		  form: {
@@ -583,67 +3732,501 @@ function Room() {
 		  },
 		  input: {
 		    padding: 10,
-		    fontSize: 16,
-		    borderRadius: 4,
-		    border: '1px solid #ccc'
+		    fontSize: font.size.md,
+		    borderRadius: radius.sm,
+		    border: `1px solid ${color.border}`
 		  },
 		  inputShort: {
 		    padding: '6px 8px',
-		    fontSize: 16,
+		    fontSize: font.size.md,
 		    width: 'calc(100% - 100px)',
-		    borderRadius: 4,
-		    border: '1px solid #ccc',
-		    marginRight: 10
+		    borderRadius: radius.sm,
+		    border: `1px solid ${color.border}`,
+		    marginInlineEnd: 10
 		  },
 		  button: {
 		    cursor: 'pointer',
 		    padding: '10px 20px',
-		    fontSize: 16,
-		    borderRadius: 5,
-		    backgroundColor: '#007bff',
-		    color: 'white',
+		    fontSize: font.size.md,
+		    borderRadius: radius.md,
+		    backgroundColor: color.accent,
+		    color: color.onAccent,
 		    border: 'none',
 		    transition: 'background-color 0.3s'
 		  },
 		  buttonRed: {
 		    cursor: 'pointer',
 		    padding: '8px 16px',
-		    fontSize: 14,
-		    borderRadius: 5,
-		    backgroundColor: '#dc3545',
-		    color: 'white',
+		    fontSize: font.size.sm,
+		    borderRadius: radius.md,
+		    backgroundColor: color.danger,
+		    color: color.onFill,
 		    border: 'none',
 		    marginTop: 5
 		  },
 		  buttonGreen: {
 		    cursor: 'pointer',
 		    padding: '10px 20px',
-		    fontSize: 16,
-		    borderRadius: 5,
-		    backgroundColor: '#28a745',
-		    color: 'white',
+		    fontSize: font.size.md,
+		    borderRadius: radius.md,
+		    backgroundColor: color.success,
+		    color: color.onFill,
 		    border: 'none',
 		    marginTop: 10,
 		    width: '100%'
 		  },
 		  optionList: {
 		    listStyleType: 'none',
-		    paddingLeft: 0
+		    paddingInlineStart: 0
 		  },
 		  optionItem: {
 		    marginBottom: 10,
-		    fontSize: 18
+		    fontSize: font.size.lg
 		  },
 		  voteLabel: {
 		    cursor: 'pointer',
-		    userSelect: 'none'
+		    userSelect: 'none',
+		    display: 'flex',
+		    alignItems: 'flex-start',
+		    gap: 8
+		  },
+		  optionCard: {
+		    display: 'flex',
+		    gap: 10,
+		    padding: 8,
+		    border: `1px solid ${color.divider}`,
+		    borderRadius: radius.md,
+		    flex: 1
+		  },
+		  optionThumb: {
+		    width: 56,
+		    height: 56,
+		    objectFit: 'cover',
+		    borderRadius: radius.sm,
+		    flexShrink: 0
+		  },
+		  optionDesc: {
+		    fontSize: font.size.sm,
+		    color: color.muted
+		  },
+		  linkPreview: {
+		    display: 'block',
+		    fontSize: font.size.sm,
+		    color: color.link,
+		    overflow: 'hidden',
+		    textOverflow: 'ellipsis',
+		    whiteSpace: 'nowrap'
+		  },
+		  linkButton: {
+		    cursor: 'pointer',
+		    background: 'none',
+		    border: 'none',
+		    color: color.link,
+		    fontSize: font.size.sm,
+		    padding: '2px 4px'
+		  },
+		  buttonSmall: {
+		    cursor: 'pointer',
+		    padding: '6px 12px',
+		    fontSize: font.size.sm,
+		    borderRadius: radius.md,
+		    backgroundColor: color.neutral,
+		    color: color.onFill,
+		    border: 'none'
+		  },
+		  verifyPanel: {
+		    marginTop: 10,
+		    padding: 10,
+		    border: `1px dashed ${color.border}`,
+		    borderRadius: radius.md
+		  },
+		  verifyDetails: {
+		    fontSize: font.size.xs,
+		    color: color.muted,
+		    wordBreak: 'break-all'
+		  },
+		  hash: {
+		    fontSize: font.size.xs,
+		    wordBreak: 'break-all'
+		  },
+		  avatarLarge: {
+		    width: 96,
+		    height: 96,
+		    borderRadius: radius.round,
+		    objectFit: 'cover',
+		    alignSelf: 'center'
+		  },
+		  avatarPlaceholder: {
+		    display: 'flex',
+		    alignItems: 'center',
+		    justifyContent: 'center',
+		    backgroundColor: color.accent,
+		    color: color.onAccent,
+		    fontSize: 40
+		  },
+		  countdown: {
+		    fontSize: font.size.md,
+		    margin: '8px 0'
+		  },
+		  statsGrid: {
+		    display: 'flex',
+		    gap: 10,
+		    marginBottom: 10
+		  },
+		  statBox: {
+		    flex: 1,
+		    padding: 10,
+		    border: `1px solid ${color.divider}`,
+		    borderRadius: radius.md,
+		    textAlign: 'center',
+		    fontSize: font.size.sm,
+		    color: color.muted
+		  },
+		  statValue: {
+		    display: 'block',
+		    fontSize: font.size.xl,
+		    color: color.strong,
+		    textTransform: 'capitalize'
+		  },
+		  filters: {
+		    display: 'flex',
+		    flexWrap: 'wrap',
+		    gap: 10,
+		    alignItems: 'center',
+		    marginBottom: 15
+		  },
+		  templateGallery: {
+		    display: 'flex',
+		    flexWrap: 'wrap',
+		    gap: 8
+		  },
+		  templateCard: {
+		    display: 'flex',
+		    alignItems: 'flex-start',
+		    border: `1px solid ${color.border}`,
+		    borderRadius: radius.md,
+		    padding: 4
+		  },
+		  pendingNote: {
+		    color: color.muted,
+		    fontSize: font.size.sm,
+		    fontStyle: 'italic'
+		  },
+		  bellWrap: {
+		    position: 'relative',
+		    display: 'inline-block'
+		  },
+		  bellButton: {
+		    position: 'relative',
+		    cursor: 'pointer',
+		    background: 'none',
+		    border: 'none',
+		    fontSize: font.size.xl
+		  },
+		  badge: {
+		    position: 'absolute',
+		    top: -4,
+		    insetInlineEnd: -6,
+		    minWidth: 18,
+		    padding: '0 4px',
+		    borderRadius: 9,
+		    backgroundColor: color.danger,
+		    color: color.onFill,
+		    fontSize: 11,
+		    lineHeight: '18px',
+		    textAlign: 'center'
+		  },
+		  bellPanel: {
+		    position: 'absolute',
+		    insetInlineEnd: 0,
+		    zIndex: 10,
+		    width: 300,
+		    maxHeight: 400,
+		    overflowY: 'auto',
+		    padding: 10,
+		    backgroundColor: color.surface,
+		    boxShadow: shadow.popover,
+		    borderRadius: radius.md,
+		    textAlign: 'start'
+		  },
+		  bellItem: {
+		    fontSize: font.size.sm,
+		    padding: '6px 0',
+		    borderBottom: `1px solid ${color.divider}`
+		  },
+		  voterAvatars: {
+		    display: 'inline-flex',
+		    marginInlineStart: 6,
+		    verticalAlign: 'middle'
+		  },
+		  voterAvatar: {
+		    width: 22,
+		    height: 22,
+		    borderRadius: radius.round,
+		    objectFit: 'cover',
+		    border: `2px solid ${color.surface}`,
+		    marginInlineStart: -6
+		  },
+		  myRoomItem: {
+		    display: 'flex',
+		    alignItems: 'center',
+		    gap: 6,
+		    padding: '6px 0',
+		    borderBottom: `1px solid ${color.divider}`
+		  },
+		  notVotedBadge: {
+		    display: 'inline-block',
+		    marginInlineStart: 6,
+		    padding: '1px 6px',
+		    borderRadius: 10,
+		    backgroundColor: color.warning,
+		    color: color.onWarning,
+		    fontSize: font.size.xs
+		  },
+		  exportMenu: {
+		    fontSize: font.size.sm,
+		    padding: '4px 8px',
+		    borderRadius: radius.sm
+		  },
+		  roomLayout: {
+		    display: 'flex',
+		    flexWrap: 'wrap',
+		    alignItems: 'flex-start',
+		    gap: space.gutter,
+		    maxWidth: 760,
+		    margin: `${space.pageMargin} auto`,
+		    paddingInline: space.pagePadding
+		  },
+		  roster: {
+		    width: space.sidebarWidth,
+		    boxSizing: 'border-box',
+		    padding: 15,
+		    backgroundColor: color.surface,
+		    boxShadow: shadow.card,
+		    borderRadius: radius.lg,
+		    fontFamily: font.family
+		  },
+		  rosterItem: {
+		    display: 'flex',
+		    alignItems: 'center',
+		    gap: 8,
+		    marginBottom: 8
+		  },
+		  presenceDot: {
+		    width: 10,
+		    height: 10,
+		    borderRadius: radius.round,
+		    flexShrink: 0
+		  },
+		  rosterMenu: {
+		    fontSize: font.size.sm,
+		    padding: 2
+		  },
+		  rankList: {
+		    paddingInlineStart: 0,
+		    listStyleType: 'none'
+		  },
+		  rankItem: {
+		    display: 'flex',
+		    justifyContent: 'space-between',
+		    alignItems: 'center',
+		    padding: '8px 10px',
+		    marginBottom: 6,
+		    border: `1px solid ${color.border}`,
+		    borderRadius: radius.sm,
+		    backgroundColor: color.surfaceAlt,
+		    cursor: 'grab',
+		    fontSize: font.size.lg
+		  },
+		  vetoedOption: {
+		    textDecoration: 'line-through',
+		    opacity: 0.6
+		  },
+		  weightInput: {
+		    width: 60,
+		    padding: 4,
+		    marginInlineStart: 8
+		  },
+		  bracket: {
+		    display: 'flex',
+		    gap: 16,
+		    overflowX: 'auto',
+		    padding: '10px 0'
+		  },
+		  bracketRound: {
+		    display: 'flex',
+		    flexDirection: 'column',
+		    justifyContent: 'space-around',
+		    gap: 10,
+		    minWidth: 160
+		  },
+		  bracketMatch: {
+		    border: `2px solid ${color.border}`,
+		    borderRadius: radius.md,
+		    padding: 6
+		  },
+		  bracketSlot: {
+		    display: 'flex',
+		    justifyContent: 'space-between',
+		    alignItems: 'center',
+		    gap: 6,
+		    padding: '2px 0'
+		  },
+		  chat: {
+		    flexBasis: '100%',
+		    padding: 15,
+		    backgroundColor: color.surface,
+		    boxShadow: shadow.card,
+		    borderRadius: radius.lg,
+		    fontFamily: font.family
+		  },
+		  chatList: {
+		    listStyleType: 'none',
+		    paddingInlineStart: 0,
+		    maxHeight: 300,
+		    overflowY: 'auto',
+		    margin: '8px 0'
+		  },
+		  chatMessage: {
+		    marginBottom: 8,
+		    overflowWrap: 'anywhere'
+		  },
+		  chatSystem: {
+		    marginBottom: 8,
+		    color: color.muted,
+		    fontStyle: 'italic',
+		    fontSize: font.size.sm
+		  },
+		  chatComposer: {
+		    display: 'flex',
+		    gap: 8
+		  },
+		  optionComments: {
+		    marginTop: 4,
+		    paddingInlineStart: 10
+		  },
+		  reactionBar: {
+		    display: 'flex',
+		    flexWrap: 'wrap',
+		    gap: 4,
+		    marginTop: 6
+		  },
+		  reaction: {
+		    padding: '2px 8px',
+		    border: `1px solid ${color.border}`,
+		    borderRadius: radius.pill,
+		    backgroundColor: color.surface,
+		    cursor: 'pointer',
+		    fontSize: font.size.sm
+		  },
+		  reactionMine: {
+		    borderColor: color.accent,
+		    backgroundColor: color.accentSoft
+		  },
+		  languageSelect: {
+		    padding: '4px 6px',
+		    borderRadius: radius.sm,
+		    border: `1px solid ${color.border}`,
+		    margin: '6px 0'
+		  },
+		  field: {
+		    display: 'flex',
+		    flexDirection: 'column',
+		    gap: 4,
+		    textAlign: 'start',
+		    fontSize: font.size.sm
+		  },
+		  ballotFieldset: {
+		    border: `1px solid ${color.border}`,
+		    borderRadius: radius.md,
+		    padding: '4px 10px 10px',
+		    margin: '10px 0'
+		  },
+		  ballotLegend: {
+		    fontWeight: 'bold',
+		    padding: '0 4px'
+		  },
+		  contrastToggle: {
+		    display: 'inline-flex',
+		    alignItems: 'center',
+		    gap: 4,
+		    fontSize: font.size.sm,
+		    margin: '6px 0'
+		  },
+		  // Hidden on screen but still read out, for the live regions
+		  visuallyHidden: {
+		    position: 'absolute',
+		    width: 1,
+		    height: 1,
+		    margin: -1,
+		    padding: 0,
+		    overflow: 'hidden',
+		    clip: 'rect(0 0 0 0)',
+		    whiteSpace: 'nowrap',
+		    border: 0
+		  },
+		  // The final-decision banner takes the room's accent
+		  celebration: {
+		    marginTop: 20,
+		    padding: 20,
+		    backgroundColor: color.accent,
+		    color: color.onAccent,
+		    fontSize: font.size.xxl,
+		    borderRadius: radius.md,
+		    textAlign: 'center'
+		  },
+		  accentPicker: {
+		    display: 'flex',
+		    flexWrap: 'wrap',
+		    alignItems: 'center',
+		    gap: 8,
+		    border: 'none',
+		    padding: 0,
+		    margin: '6px 0'
+		  },
+		  accentSwatch: {
+		    display: 'inline-block',
+		    width: 24,
+		    height: 24,
+		    borderRadius: radius.round,
+		    border: `2px solid ${color.surface}`,
+		    boxShadow: `0 0 0 1px ${color.border}`,
+		    cursor: 'pointer'
+		  },
+		  accentSwatchSelected: {
+		    boxShadow: `0 0 0 3px ${color.strong}`
+		  },
+		  hint: {
+		    color: color.muted,
+		    fontSize: font.size.sm
+		  },
+		  barTrack: {
+		    height: 10,
+		    backgroundColor: color.divider,
+		    borderRadius: radius.md,
+		    marginTop: 4
+		  },
+		  bar: {
+		    height: '100%',
+		    borderRadius: radius.md,
+		    transition: 'width 0.5s'
+		  },
+		  pie: {
+		    width: 160,
+		    height: 160,
+		    borderRadius: radius.round,
+		    margin: '0 auto 10px'
+		  },
+		  offlineNote: {
+		    color: color.warningText,
+		    fontSize: font.size.sm
 		  },
 		  shareInput: {
 		    padding: 8,
 		    width: '100%',
-		    fontSize: 14,
-		    borderRadius: 4,
-		    border: '1px solid #ccc'
+		    fontSize: font.size.sm,
+		    borderRadius: radius.sm,
+		    border: `1px solid ${color.border}`
 		  }
 		};
 
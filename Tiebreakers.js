@@ -0,0 +1,289 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { chartColors, color, useMediaQuery } from './theme';
+import { verifyTiebreaker } from './fairness';
+
+const spinDuration = 4000;
+const flipDuration = 1500;
+const pauseAfter = 1200;
+
+export function usePrefersReducedMotion() {
+  return useMediaQuery('(prefers-reduced-motion: reduce)');
+}
+
+// Calls onDone once, after `delay` ms, without re-arming when the parent re-renders
+function useFinish(onDone, delay, ready = true) {
+  const doneRef = useRef(onDone);
+  useEffect(() => {
+    doneRef.current = onDone;
+  }, [onDone]);
+
+  useEffect(() => {
+    if (!ready) return;
+    const timer = setTimeout(() => doneRef.current?.(), delay);
+    return () => clearTimeout(timer);
+  }, [delay, ready]);
+}
+
+// Dice: every tied option gets a face, the die tumbles and settles on the winner's face
+function DiceRoll({ options, winnerOptionId, onDone }) {
+  const winnerIndex = Math.max(0, options.findIndex(o => o._id === winnerOptionId));
+  const [face, setFace] = useState(0);
+  const [settled, setSettled] = useState(false);
+
+  useEffect(() => {
+    let timer;
+    let step = 0;
+    const steps = 18;
+    function tumble() {
+      step += 1;
+      if (step >= steps) {
+        setFace(winnerIndex);
+        setSettled(true);
+        return;
+      }
+      setFace(f => (f + 1 + Math.floor(Math.random() * (options.length - 1))) % options.length);
+      // Slow down as the die comes to rest
+      timer = setTimeout(tumble, 60 + step * step * 2);
+    }
+    tumble();
+    return () => clearTimeout(timer);
+  }, [options.length, winnerIndex]);
+
+  useFinish(onDone, pauseAfter, settled);
+
+  return (
+    <div style={styles.stage}>
+      <div style={{ ...styles.die, transform: settled ? 'rotate(0deg)' : `rotate(${face * 37}deg)` }}>
+        {face + 1}
+      </div>
+      <ol style={styles.legend}>
+        {options.map((o, i) => (
+          <li key={o._id} style={settled && i === winnerIndex ? styles.legendWinner : undefined}>
+            {o.text}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+function polar(cx, cy, r, deg) {
+  const rad = ((deg - 90) * Math.PI) / 180;
+  return [cx + r * Math.cos(rad), cy + r * Math.sin(rad)];
+}
+
+function segmentPath(start, end) {
+  const [x1, y1] = polar(100, 100, 95, start);
+  const [x2, y2] = polar(100, 100, 95, end);
+  const large = end - start > 180 ? 1 : 0;
+  return `M100,100 L${x1},${y1} A95,95 0 ${large} 1 ${x2},${y2} Z`;
+}
+
+// Spinner: prize wheel with segments sized by weight, stopping with the winner under the pointer
+function SpinnerWheel({ options, winnerOptionId, weights, onDone }) {
+  const [rotation, setRotation] = useState(0);
+
+  const total = options.reduce((sum, o) => sum + (weights?.[o._id] || 1), 0);
+  let cursor = 0;
+  const segments = options.map((o, i) => {
+    const sweep = ((weights?.[o._id] || 1) / total) * 360;
+    const seg = { option: o, start: cursor, end: cursor + sweep, color: chartColors[i % chartColors.length] };
+    cursor += sweep;
+    return seg;
+  });
+  const winner = segments.find(s => s.option._id === winnerOptionId) || segments[0];
+  const target = 360 * 5 + (360 - (winner.start + winner.end) / 2);
+
+  useEffect(() => {
+    // Wait a tick so the transition runs from 0
+    const timer = setTimeout(() => setRotation(target), 50);
+    return () => clearTimeout(timer);
+  }, [target]);
+
+  useFinish(onDone, spinDuration + pauseAfter);
+
+  return (
+    <div style={styles.stage}>
+      <div style={styles.pointer}>▼</div>
+      <svg
+        viewBox="0 0 200 200"
+        width={240}
+        height={240}
+        style={{
+          transform: `rotate(${rotation}deg)`,
+          transition: `transform ${spinDuration}ms cubic-bezier(0.15, 0.85, 0.3, 1)`
+        }}
+      >
+        {segments.map(seg => {
+          const [tx, ty] = polar(100, 100, 60, (seg.start + seg.end) / 2);
+          return (
+            <g key={seg.option._id}>
+              {segments.length === 1
+                ? <circle cx={100} cy={100} r={95} style={{ fill: seg.color }} />
+                : <path d={segmentPath(seg.start, seg.end)} style={{ fill: seg.color }} stroke="white" strokeWidth={1} />}
+              <text x={tx} y={ty} fill="white" fontSize={10} textAnchor="middle" dominantBaseline="middle">
+                {seg.option.text.slice(0, 14)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+// The flips the revealed seed proves (option ids), or [] when they can't be re-derived to this winner
+async function seededFlips(fairness, winnerOptionId) {
+  if (!fairness?.serverSeed) return [];
+  const check = await verifyTiebreaker(fairness);
+  return check.status === 'verified' && check.winnerOptionId === winnerOptionId ? check.matches : [];
+}
+
+// Coin: one flip for two options, a bracket of flips for more. Each flip is the one `fairness`
+// proves, so the animation and VerifyPanel show the same bracket.
+function CoinFlip({ options, winnerOptionId, fairness, onDone, t }) {
+  const [matches, setMatches] = useState(null);
+  const [current, setCurrent] = useState(0);
+  const [rotation, setRotation] = useState(0);
+  const [landed, setLanded] = useState(false);
+  const match = matches?.[current];
+  const textOf = id => options.find(o => o._id === id)?.text || t('common.unknown');
+
+  useEffect(() => {
+    let cancelled = false;
+    seededFlips(fairness, winnerOptionId)
+      .catch(() => [])
+      .then(flips => {
+        if (!cancelled) setMatches(flips);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fairness, winnerOptionId]);
+
+  useEffect(() => {
+    if (!match) return;
+    setLanded(false);
+    const headsWins = match.winner === match.heads;
+    const start = setTimeout(() => setRotation(r => r - (r % 360) + 360 * 5 + (headsWins ? 0 : 180)), 50);
+    const land = setTimeout(() => setLanded(true), flipDuration + 50);
+    return () => {
+      clearTimeout(start);
+      clearTimeout(land);
+    };
+  }, [match]);
+
+  useEffect(() => {
+    if (!landed || current >= matches.length - 1) return;
+    const timer = setTimeout(() => setCurrent(c => c + 1), pauseAfter);
+    return () => clearTimeout(timer);
+  }, [landed, current, matches]);
+
+  useFinish(onDone, pauseAfter, landed && current === matches.length - 1);
+
+  if (matches?.length === 0) return <StaticResult options={options} winnerOptionId={winnerOptionId} onDone={onDone} t={t} />;
+  if (!match) return null;
+  return (
+    <div style={styles.stage}>
+      {matches.length > 1 && <p>{t('tiebreakers.flipOf', { number: current + 1, count: matches.length })}</p>}
+      <p>
+        {t('tiebreakers.heads')} <strong>{textOf(match.heads)}</strong> · {t('tiebreakers.tails')} <strong>{textOf(match.tails)}</strong>
+      </p>
+      <div style={styles.coinWrap}>
+        <div
+          style={{
+            ...styles.coin,
+            transform: `rotateY(${rotation}deg)`,
+            transition: `transform ${flipDuration}ms ease-out`
+          }}
+        >
+          <div style={styles.coinFace}>{t('tiebreakers.headsShort')}</div>
+          <div style={{ ...styles.coinFace, transform: 'rotateY(180deg)' }}>{t('tiebreakers.tailsShort')}</div>
+        </div>
+      </div>
+      {landed && <p>{t('tiebreakers.wins', { text: textOf(match.winner) })}</p>}
+    </div>
+  );
+}
+
+// Reduced motion: skip straight to the outcome
+function StaticResult({ options, winnerOptionId, onDone, t }) {
+  useFinish(onDone, pauseAfter);
+  const winner = options.find(o => o._id === winnerOptionId);
+  return (
+    <div style={styles.stage}>
+      <p>{t('tiebreakers.result')} <strong>{winner?.text || t('common.unknown')}</strong></p>
+    </div>
+  );
+}
+
+const animations = { dice: DiceRoll, spinner: SpinnerWheel, coin: CoinFlip };
+
+// Plays the tiebreaker for `method` and calls onDone once it has landed on winnerOptionId.
+// `t` is the app's translator for the few captions shown alongside the animations.
+export default function TiebreakerAnimation({ method, options, winnerOptionId, weights, fairness, onDone, t }) {
+  const reducedMotion = usePrefersReducedMotion();
+  const Animation = reducedMotion ? StaticResult : animations[method] || StaticResult;
+  return <Animation options={options} winnerOptionId={winnerOptionId} weights={weights} fairness={fairness} onDone={onDone} t={t} />;
+}
+
+const styles = {
+  stage: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    marginTop: 20
+  },
+  die: {
+    width: 90,
+    height: 90,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    fontSize: 44,
+    fontWeight: 'bold',
+    backgroundColor: color.dieFace,
+    color: color.dieInk,
+    border: `3px solid ${color.dieInk}`,
+    borderRadius: 14,
+    boxShadow: '0px 4px 10px rgba(0,0,0,0.2)',
+    transition: 'transform 0.1s'
+  },
+  legend: {
+    marginTop: 15,
+    textAlign: 'start'
+  },
+  legendWinner: {
+    fontWeight: 'bold',
+    color: color.successText
+  },
+  pointer: {
+    fontSize: 24,
+    color: color.strong,
+    marginBottom: -8,
+    zIndex: 1
+  },
+  coinWrap: {
+    perspective: 600
+  },
+  coin: {
+    position: 'relative',
+    width: 100,
+    height: 100,
+    transformStyle: 'preserve-3d'
+  },
+  coinFace: {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: '50%',
+    backgroundColor: color.coinFace,
+    border: `4px solid ${color.coinEdge}`,
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: color.coinInk,
+    backfaceVisibility: 'hidden'
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment jsdom-fourteen
+ */
+// Accessibility checks: the main screens rendered against the mock backend must pass axe,
+// and voting must work from the keyboard with results announced to screen readers.
+// The mock server runs in-process alongside the rendered app.
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import { createMockServer } from './mock-server';
+import { mockUser } from './mock-server/client';
+
+expect.extend(toHaveNoViolations);
+
+// jsdom lacks the encoding and Web Crypto globals fairness.js relies on
+if (!global.TextEncoder) global.TextEncoder = require('util').TextEncoder;
+if (!global.crypto?.subtle) Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto });
+
+let server;
+let port;
+let App;
+
+beforeAll(done => {
+  server = createMockServer().listen(0, () => {
+    port = server.address().port;
+    // The API and socket URLs are read when the app loads, so point them at the mock first
+    process.env.REACT_APP_API_URL = `http://localhost:${port}/api`;
+    process.env.REACT_APP_SOCKET_URL = `ws://localhost:${port}/ws`;
+    App = require('./App').default;
+    done();
+  });
+});
+
+afterAll(done => {
+  // jsdom keeps its HTTP connections alive, which would hold close() open
+  server.closeAllConnections();
+  server.close(done);
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+function renderAt(path, signedInAs) {
+  if (signedInAs) localStorage.setItem('diceyAuth', signedInAs.token);
+  window.history.pushState({}, '', path);
+  return render(<App />);
+}
+
+// A room in the voting phase, hosted by someone else, that `voter` has joined
+async function votingRoom(voter, optionTexts) {
+  const host = await mockUser(port).signUp(`host-${Date.now()}@example.com`);
+  const { _id, roomCode } = await host.call('POST', '/rooms', {
+    title: 'Team lunch',
+    votingMode: 'plurality',
+    ballotVisibility: 'anonymous',
+    autoCloseWhenAllVoted: false
+  });
+  await voter.call('POST', '/rooms/join', { roomCode });
+  const options = [];
+  for (const text of optionTexts) options.push((await host.call('POST', `/rooms/${_id}/options`, { text })).option);
+  await host.call('POST', `/rooms/${_id}/open-voting`);
+  return { host, _id, roomCode, options };
+}
+
+test('sign-in and sign-up forms have no axe violations', async () => {
+  const login = renderAt('/login');
+  await screen.findByLabelText(/email/i);
+  expect(await axe(login.container)).toHaveNoViolations();
+  login.unmount();
+
+  const signup = renderAt('/signup');
+  await screen.findByLabelText(/email/i);
+  expect(await axe(signup.container)).toHaveNoViolations();
+});
+
+test('the home screen has no axe violations', async () => {
+  const me = await mockUser(port).signUp('home@example.com');
+  const { container } = renderAt('/', me);
+  await screen.findByRole('heading', { name: /create decision room/i });
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('a voter can cast a ballot from the keyboard and hears the outcome', async () => {
+  const me = await mockUser(port).signUp('keyboard@example.com');
+  const room = await votingRoom(me, ['Pizza', 'Sushi', 'Tacos']);
+  const { container } = renderAt(`/room/${room.roomCode}`, me);
+
+  const ballot = await screen.findByRole('group', { name: /your ballot/i });
+  expect(await axe(container)).toHaveNoViolations();
+
+  // 2 picks the second option, V casts the vote
+  fireEvent.keyDown(document.body, { key: '2' });
+  expect(within(ballot).getByRole('radio', { name: /sushi/i }).checked).toBe(true);
+  fireEvent.keyDown(document.body, { key: 'v' });
+  await waitFor(async () => {
+    const { options } = await me.call('GET', `/rooms/code/${room.roomCode}`);
+    expect(options.find(o => o._id === room.options[1]._id).votes).toBe(1);
+  });
+
+  await act(() => room.host.call('POST', `/rooms/${room._id}/vote`, { optionId: room.options[0]._id }));
+  await act(() => room.host.call('POST', `/rooms/${room._id}/close-voting`));
+  await waitFor(() => screen.getByText(/voting ended in a tie between pizza, sushi/i));
+});
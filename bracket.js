@@ -0,0 +1,55 @@
+// Single-elimination brackets for tournament rooms.
+// The server owns the live bracket: { rounds: [[match]], currentRound, championId }
+// where match = { _id, optionIds: [a, b], votes: { [optionId]: n }, winnerId, myVote }.
+// A null slot is a bye; ties within a match go to the higher seed.
+
+// Seed positions for a bracket of `size` slots so 1 and 2 can only meet in the final
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, n - seed]);
+  }
+  return order;
+}
+
+// First round of a bracket seeded in the given order (byes go to the top seeds),
+// followed by empty later rounds. Matches the server's seeding so the preview is accurate.
+export function seedBracket(optionIds) {
+  if (optionIds.length < 2) return [];
+  let size = 2;
+  while (size < optionIds.length) size *= 2;
+
+  const slots = seedOrder(size).map(seed => optionIds[seed - 1] ?? null);
+  const rounds = [];
+  for (let matches = size / 2, r = 0; matches >= 1; matches /= 2, r++) {
+    rounds.push(
+      Array.from({ length: matches }, (_, i) => ({
+        _id: `r${r}m${i}`,
+        optionIds: r === 0 ? [slots[i * 2], slots[i * 2 + 1]] : [null, null],
+        votes: {},
+        winnerId: null
+      }))
+    );
+  }
+  return rounds;
+}
+
+// Bracket updates are broadcast to the whole room without anyone's `myVote`; carry ours over
+// from the bracket we had so matches we already voted in stay voted
+export function keepMyVotes(bracket, previous) {
+  const mine = new Map((previous?.rounds || []).flat().filter(m => m.myVote).map(m => [m._id, m.myVote]));
+  return {
+    ...bracket,
+    rounds: bracket.rounds.map(matches => matches.map(m => (m.myVote || !mine.has(m._id) ? m : { ...m, myVote: mine.get(m._id) })))
+  };
+}
+
+// Locale key and params naming a round, for t(...roundLabel(index, totalRounds))
+export function roundLabel(index, totalRounds) {
+  const remaining = totalRounds - index;
+  if (remaining === 1) return ['bracket.final'];
+  if (remaining === 2) return ['bracket.semifinals'];
+  if (remaining === 3) return ['bracket.quarterfinals'];
+  return ['bracket.roundOf', { count: 2 ** remaining }];
+}
@@ -0,0 +1,171 @@
+import { tally, tallyUnit } from './tally';
+import { formatDate, getActiveLocale, localeDir, translate as t } from './i18n';
+
+// Normalised decision record used by every export format
+export function buildDecisionRecord(room, options, ballots = []) {
+  const mode = room.votingMode || 'plurality';
+  // First round: plain counts for plurality/approval/Borda, first preferences for ranked choice
+  const { rounds } = tally(mode, ballots, options.map(o => o._id));
+  const counts = ballots.length ? rounds[0].counts : Object.fromEntries(options.map(o => [o._id, o.votes || 0]));
+  const winnerId = room.finalDecision?.optionId;
+
+  return {
+    roomCode: room.roomCode,
+    title: room.title,
+    description: room.description || '',
+    votingMode: mode,
+    // What each option's count measures: votes, approvals or Borda points
+    unit: tallyUnit(mode),
+    createdAt: room.createdAt || null,
+    closedAt: room.votingClosedAt || null,
+    tiebreakerUsed: room.tiebreakerUsed || room.finalDecision?.method || null,
+    finalDecision: options.find(o => o._id === winnerId)?.text || null,
+    options: options.map(o => ({
+      text: o.text,
+      description: o.description || '',
+      url: o.url || '',
+      submittedBy: o.submittedBy || '',
+      count: counts[o._id] || 0,
+      winner: o._id === winnerId
+    })),
+    rounds: ballots.length && rounds.length > 1 ? rounds : undefined,
+    bracket: room.bracket || undefined,
+    ballots
+  };
+}
+
+function slug(text) {
+  return (text || 'decision').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Text starting with a formula character would be evaluated by spreadsheet apps, so it's prefixed to stay literal
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per option so a spreadsheet can pivot by room
+export function toCsv(records) {
+  const header = ['roomCode', 'title', 'closedAt', 'votingMode', 'tiebreakerUsed', 'option', 'count', 'unit', 'winner'];
+  const rows = records.flatMap(r =>
+    r.options.map(o => [r.roomCode, r.title, r.closedAt, r.votingMode, r.tiebreakerUsed, o.text, o.count, r.unit, o.winner])
+  );
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+export function exportJson(records, name) {
+  downloadFile(`${slug(name)}.json`, JSON.stringify(records, null, 2), 'application/json');
+}
+
+export function exportCsv(records, name) {
+  downloadFile(`${slug(name)}.csv`, toCsv(records), 'text/csv');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function summaryHtml(record) {
+  const rows = [...record.options]
+    .sort((a, b) => b.count - a.count)
+    .map(o => `<tr${o.winner ? ' class="winner"' : ''}><td>${escapeHtml(o.text)}</td><td>${o.count}</td></tr>`)
+    .join('');
+  return `
+    <section>
+      <h1>${escapeHtml(record.title)}</h1>
+      ${record.description ? `<p>${escapeHtml(record.description)}</p>` : ''}
+      <p class="winner-line">${escapeHtml(t('export.finalDecision'))}: <strong>${escapeHtml(record.finalDecision || '—')}</strong></p>
+      <table><thead><tr><th>${escapeHtml(t('export.option'))}</th><th>${escapeHtml(t(`export.units.${record.unit}`))}</th></tr></thead><tbody>${rows}</tbody></table>
+      <p class="meta">
+        ${escapeHtml(t('export.room', { roomCode: record.roomCode }))} · ${escapeHtml(t(`votingModes.${record.votingMode}`))}
+        ${record.tiebreakerUsed ? ` · ${escapeHtml(t('export.tiebreaker', { method: record.tiebreakerUsed }))}` : ''}
+        ${record.closedAt ? ` · ${escapeHtml(t('export.closed', { date: formatDate(getActiveLocale(), record.closedAt) }))}` : ''}
+      </p>
+    </section>`;
+}
+
+// Opens a print view; the browser's "Save as PDF" produces the PDF
+export function printSummary(records, name) {
+  const win = window.open('', '_blank');
+  if (!win) throw new Error(t('export.popupsBlocked'));
+  const locale = getActiveLocale();
+  win.document.write(`<!DOCTYPE html><html lang="${locale}" dir="${localeDir(locale)}"><head><title>${escapeHtml(name)}</title><style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 40px; }
+    section { page-break-after: always; }
+    table { border-collapse: collapse; width: 100%; margin: 15px 0; }
+    th, td { border: 1px solid #ccc; padding: 6px 10px; text-align: start; }
+    .winner td { font-weight: bold; background: #eaf7ec; }
+    .winner-line { font-size: 20px; }
+    .meta { color: #555; font-size: 13px; }
+  </style></head><body>${records.map(summaryHtml).join('')}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+// Shareable 1200x630 results card, returned as a PNG blob
+export function renderResultsCard(record) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1200;
+  canvas.height = 630;
+  const ctx = canvas.getContext('2d');
+  const font = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+
+  ctx.fillStyle = '#222';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#bbb';
+  ctx.font = `28px ${font}`;
+  ctx.fillText(record.title.slice(0, 60), 60, 80);
+  ctx.fillStyle = 'white';
+  ctx.font = `bold 30px ${font}`;
+  ctx.fillText(t('export.finalDecision'), 60, 160);
+  ctx.font = `bold 72px ${font}`;
+  ctx.fillText((record.finalDecision || '—').slice(0, 28), 60, 245);
+
+  const top = [...record.options].sort((a, b) => b.count - a.count).slice(0, 4);
+  const max = Math.max(1, ...top.map(o => o.count));
+  top.forEach((o, i) => {
+    const y = 310 + i * 60;
+    ctx.fillStyle = o.winner ? '#28a745' : '#007bff';
+    ctx.fillRect(60, y, (o.count / max) * 700, 36);
+    ctx.fillStyle = 'white';
+    ctx.font = `24px ${font}`;
+    ctx.fillText(`${o.text.slice(0, 30)} · ${t(`results.units.${record.unit}`, { count: o.count })}`, 780, y + 27);
+  });
+
+  ctx.fillStyle = '#888';
+  ctx.font = `22px ${font}`;
+  const footer = ['DiceyDecisions', record.tiebreakerUsed && t('export.tiebreaker', { method: record.tiebreakerUsed }),
+    record.closedAt && formatDate(getActiveLocale(), record.closedAt, { dateStyle: 'medium' })].filter(Boolean).join(' · ');
+  ctx.fillText(footer, 60, 590);
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// Share the card through the OS share sheet when available, otherwise download it
+export async function shareResultsCard(record) {
+  const blob = await renderResultsCard(record);
+  const file = new File([blob], `${slug(record.title)}.png`, { type: 'image/png' });
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: record.title, text: t('export.shareText', { decision: record.finalDecision }) });
+      return;
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+    }
+  }
+  downloadFile(file.name, blob);
+}
@@ -0,0 +1,34 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for the decision record and CSV export.
+import { buildDecisionRecord, toCsv } from './exportResults';
+
+const options = [{ _id: 'a', text: 'Tacos' }, { _id: 'b', text: '=HYPERLINK("http://evil.example")' }];
+
+test("the record labels counts with the voting mode's unit", () => {
+  const ballots = [{ ranking: ['a', 'b'] }, { ranking: ['a', 'b'] }];
+  const record = buildDecisionRecord({ roomCode: 'ABC123', title: 'Dinner', votingMode: 'borda', finalDecision: { optionId: 'a' } }, options, ballots);
+  expect(record.unit).toBe('points');
+  expect(record.options).toEqual([
+    expect.objectContaining({ text: 'Tacos', count: 2, winner: true }),
+    expect.objectContaining({ count: 0, winner: false })
+  ]);
+  expect(buildDecisionRecord({ votingMode: 'approval' }, options).unit).toBe('approvals');
+});
+
+test('CSV cells that a spreadsheet would run as a formula stay literal', () => {
+  const record = buildDecisionRecord({ roomCode: 'ABC123', title: '+cmd', votingMode: 'plurality' }, [
+    ...options,
+    { _id: 'c', text: '@SUM(A1)' },
+    { _id: 'd', text: '-1' }
+  ]);
+  const [header, ...rows] = toCsv([record]).split('\n');
+  expect(header).toBe('roomCode,title,closedAt,votingMode,tiebreakerUsed,option,count,unit,winner');
+  expect(rows).toEqual([
+    "ABC123,'+cmd,,plurality,,Tacos,0,votes,false",
+    `ABC123,'+cmd,,plurality,,"'=HYPERLINK(""http://evil.example"")",0,votes,false`,
+    "ABC123,'+cmd,,plurality,,'@SUM(A1),0,votes,false",
+    "ABC123,'+cmd,,plurality,,'-1,0,votes,false"
+  ]);
+});
@@ -0,0 +1,105 @@
+// Commit–reveal verification for tiebreakers.
+//
+// When voting closes the server publishes seedHash = sha256(serverSeed). Participants may add
+// entropy strings until the tiebreaker runs, then the server reveals serverSeed. Everyone can
+// recompute the outcome from:
+//
+//   combinedSeed = sha256(JSON.stringify([serverSeed, ...sortedEntropy]))
+//   draw(i)      = first 4 bytes of sha256(combinedSeed + ':' + i) / 2^32, a float in [0, 1)
+//
+// JSON keeps the parts apart, so entropy containing ':' can't collide with a different split.
+// The backend must derive winners with exactly the same steps as deriveOutcome below.
+
+const encoder = new TextEncoder();
+
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export function randomEntropy() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes)
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export function combineSeed(serverSeed, entropy = []) {
+  return sha256Hex(JSON.stringify([serverSeed, ...[...entropy].sort()]));
+}
+
+function drawer(combinedSeed) {
+  let i = 0;
+  return async () => {
+    const hex = await sha256Hex(`${combinedSeed}:${i++}`);
+    return parseInt(hex.slice(0, 8), 16) / 0x100000000;
+  };
+}
+
+// Dice: one face per tied option, uniform
+async function rollDice(optionIds, draw) {
+  const index = Math.floor((await draw()) * optionIds.length);
+  return { winnerOptionId: optionIds[index] };
+}
+
+// Spinner: weighted segments in tied-option order
+async function spinWheel(optionIds, draw, weights = {}) {
+  const total = optionIds.reduce((sum, id) => sum + (weights[id] || 1), 0);
+  let point = (await draw()) * total;
+  for (const id of optionIds) {
+    point -= weights[id] || 1;
+    if (point < 0) return { winnerOptionId: id };
+  }
+  return { winnerOptionId: optionIds[optionIds.length - 1] };
+}
+
+// Coin: single-elimination bracket, heads (draw < 0.5) advances the first of each pair
+async function flipBracket(optionIds, draw) {
+  const matches = [];
+  let field = optionIds;
+  while (field.length > 1) {
+    const next = [];
+    for (let i = 0; i < field.length; i += 2) {
+      const heads = field[i];
+      const tails = field[i + 1];
+      if (!tails) {
+        next.push(heads);
+        continue;
+      }
+      const winner = (await draw()) < 0.5 ? heads : tails;
+      matches.push({ heads, tails, winner });
+      next.push(winner);
+    }
+    field = next;
+  }
+  return { winnerOptionId: field[0], matches };
+}
+
+const methods = { dice: rollDice, spinner: spinWheel, coin: flipBracket };
+
+export async function deriveOutcome(method, tiedOptionIds, combinedSeed, weights) {
+  const fn = methods[method];
+  if (!fn) throw new Error(`Unknown tiebreaker method: ${method}`);
+  return fn(tiedOptionIds, drawer(combinedSeed), weights);
+}
+
+// Re-derive a revealed tiebreaker. `fairness` is the room's { seedHash, serverSeed, entropy,
+// method, tiedOptionIds, weights, winnerOptionId } as returned by the API.
+export async function verifyTiebreaker(fairness) {
+  const { seedHash, serverSeed, entropy, method, tiedOptionIds, weights, winnerOptionId } = fairness;
+  if (!serverSeed) return { status: 'pending' };
+
+  const revealedHash = await sha256Hex(serverSeed);
+  if (revealedHash !== seedHash) {
+    return { status: 'mismatch', reason: 'Revealed seed does not match the published commitment' };
+  }
+
+  const combinedSeed = await combineSeed(serverSeed, entropy);
+  const outcome = await deriveOutcome(method, tiedOptionIds, combinedSeed, weights);
+  if (outcome.winnerOptionId !== winnerOptionId) {
+    return { status: 'mismatch', reason: 'Recomputed winner differs from the announced winner', combinedSeed, ...outcome };
+  }
+  return { status: 'verified', combinedSeed, ...outcome };
+}
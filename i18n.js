@@ -0,0 +1,85 @@
+import en from './locales/en';
+import es from './locales/es';
+import ar from './locales/ar';
+
+// Locale bundles are nested objects of strings. `{name}` placeholders are filled from params;
+// an entry that is an object keyed by plural category ({ one, other, ... }) is picked with params.count.
+export const locales = [
+  { value: 'en', label: 'English', bundle: en, dir: 'ltr' },
+  { value: 'es', label: 'Español', bundle: es, dir: 'ltr' },
+  { value: 'ar', label: 'العربية', bundle: ar, dir: 'rtl' }
+];
+
+export const defaultLocale = 'en';
+export const localeStorageKey = 'diceyLocale';
+
+function localeInfo(locale) {
+  return locales.find(l => l.value === locale) || locales[0];
+}
+
+export function isSupportedLocale(locale) {
+  return locales.some(l => l.value === locale);
+}
+
+export function localeDir(locale) {
+  return localeInfo(locale).dir;
+}
+
+// First supported language from the browser's preferences, matching on the language part
+export function detectLocale() {
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  const match = preferred.map(tag => (tag || '').split('-')[0]).find(isSupportedLocale);
+  return match || defaultLocale;
+}
+
+function lookup(bundle, key) {
+  return key.split('.').reduce((node, part) => (node == null ? node : node[part]), bundle);
+}
+
+// Translator for one locale; missing keys fall back to English, then to the key itself
+export function createTranslator(locale) {
+  const { bundle } = localeInfo(locale);
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+
+  return function t(key, params = {}) {
+    let entry = lookup(bundle, key) ?? lookup(en, key);
+    if (entry && typeof entry === 'object') {
+      const count = params.count ?? 0;
+      // Exact-zero wording ("No votes yet") wins over the plural category where a bundle has it
+      entry = (count === 0 && entry.zero) || entry[plurals.select(count)] || entry.other;
+    }
+    if (typeof entry !== 'string') return key;
+    return entry.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? numbers.format(value) : String(value);
+    });
+  };
+}
+
+export function formatNumber(locale, value, options) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+export function formatDate(locale, value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Intl.DateTimeFormat(locale, options).format(new Date(value));
+}
+
+// Translator for code that runs outside components (interceptors, the offline queue);
+// the locale provider keeps it on the active locale.
+let activeLocale = defaultLocale;
+let active = createTranslator(defaultLocale);
+
+export function setActiveLocale(locale) {
+  activeLocale = locale;
+  active = createTranslator(locale);
+}
+
+export function getActiveLocale() {
+  return activeLocale;
+}
+
+export function translate(key, params) {
+  return active(key, params);
+}
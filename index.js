@@ -1,6 +1,9 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { toast } from 'react-toastify';
+import * as serviceWorker from './serviceWorker';
+import { translate } from './i18n';
 import 'react-toastify/dist/ReactToastify.css'; // Importing CSS for toast notifications
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -9,3 +12,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Cache the app shell so it loads offline and can be installed
+serviceWorker.register({ onUpdate: () => toast.info(translate('offline.updateReady')) });
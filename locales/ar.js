@@ -0,0 +1,635 @@
+const ar = {
+  common: {
+    creating: 'جارٍ الإنشاء...',
+    saving: 'جارٍ الحفظ...',
+    backHome: '→ العودة إلى الرئيسية',
+    delete: 'حذف',
+    unknown: 'غير معروف',
+    cancel: 'إلغاء',
+    save: 'حفظ',
+    edit: 'تعديل'
+  },
+  auth: {
+    sessionExpired: 'انتهت جلستك. يرجى تسجيل الدخول مرة أخرى.',
+    welcomeGuest: 'مرحبًا، {name}!',
+    guestFailed: 'تعذّر الانضمام كضيف',
+    joinRoomTitle: 'الانضمام إلى الغرفة {roomCode}',
+    nickname: 'اسمك المستعار',
+    joining: 'جارٍ الانضمام...',
+    joinAsGuest: 'الانضمام كضيف',
+    haveAccount: 'لديك حساب بالفعل؟',
+    logIn: 'سجّل الدخول',
+    loggedIn: 'تم تسجيل الدخول!',
+    loginFailed: 'فشل تسجيل الدخول',
+    loginTitle: 'تسجيل الدخول',
+    email: 'البريد الإلكتروني',
+    password: 'كلمة المرور',
+    loggingIn: 'جارٍ تسجيل الدخول...',
+    noAccount: 'ليس لديك حساب؟',
+    signUp: 'أنشئ حسابًا',
+    justVisiting: 'مجرد زيارة؟',
+    joinAsAGuest: 'انضم كضيف',
+    accountCreatedGuest: 'تم إنشاء الحساب! احتفظنا بسجلك كضيف.',
+    accountCreated: 'تم إنشاء الحساب!',
+    signupFailed: 'فشل إنشاء الحساب',
+    createAccountTitle: 'أنشئ حسابك',
+    signupTitle: 'إنشاء حساب'
+  },
+  language: {
+    label: 'اللغة',
+    saveFailed: 'تعذّر حفظ لغتك'
+  },
+  offline: {
+    voteSyncFailed: 'تعذّرت مزامنة صوتك في الغرفة {roomCode}: {reason}',
+    optionSyncFailed: 'تعذّرت مزامنة خيارك في الغرفة {roomCode}: {reason}',
+    conflict: 'تعارض',
+    queueFailed: 'أنت غير متصل ولا يستطيع هذا المتصفح حفظ التغيير لوقت لاحق. حاول مجددًا عند عودة الاتصال.',
+    updateReady: 'يتوفر إصدار جديد. سيتم تحميله بعد إغلاق جميع علامات تبويب التطبيق.'
+  },
+  notifications: {
+    markReadFailed: 'تعذّر تعليم الإشعارات كمقروءة',
+    saveFailed: 'تعذّر حفظ إعدادات الإشعارات',
+    bellLabel: 'الإشعارات ({count} غير مقروءة)',
+    title: 'الإشعارات',
+    markAllRead: 'تعليم الكل كمقروء',
+    empty: 'لا شيء حتى الآن.',
+    settingsLink: 'إعدادات الإشعارات',
+    blocked: 'إشعارات المتصفح محظورة. فعّلها من إعدادات المتصفح.',
+    browserAlerts: 'تنبيهات المتصفح',
+    unsupported: '(غير مدعومة في هذا المتصفح)',
+    types: {
+      'option-added': 'أُضيف خيار جديد',
+      'voting-opened': 'بدأ التصويت',
+      'voting-closing': 'التصويت يُغلق قريبًا',
+      tie: 'هناك تعادل يجب حسمه',
+      decision: 'اتُّخذ القرار النهائي',
+      'room-invite': 'أُضفت إلى غرفة مجموعة',
+      'group-invite': 'دعوة إلى مجموعة'
+    },
+    mutedRooms: 'الغرف المكتومة:',
+    unmute: 'إلغاء الكتم'
+  },
+  profile: {
+    chooseImage: 'اختر ملف صورة',
+    uploadFailed: 'تعذّر رفع الصورة الرمزية',
+    saved: 'تم حفظ الملف الشخصي!',
+    saveFailed: 'تعذّر حفظ الملف الشخصي',
+    title: 'ملفك الشخصي',
+    avatarAlt: 'صورتك الرمزية',
+    displayName: 'الاسم المعروض',
+    save: 'حفظ الملف الشخصي'
+  },
+  myRooms: {
+    phases: {
+      options: 'جمع الخيارات',
+      voting: 'التصويت مفتوح',
+      tiebreaker: 'بانتظار كسر التعادل'
+    },
+    loadFailed: 'تعذّر تحميل غرفك',
+    archived: 'تمت أرشفة الغرفة',
+    archiveFailed: 'تعذّرت أرشفة الغرفة',
+    confirmDelete: 'حذف «{title}» للجميع؟ لا يمكن التراجع عن ذلك.',
+    deleted: 'تم حذف الغرفة',
+    deleteFailed: 'تعذّر حذف الغرفة',
+    title: 'غرفي',
+    notVoted: 'لم تصوّت بعد',
+    rejoin: 'العودة إلى الغرفة',
+    archive: 'أرشفة'
+  },
+  home: {
+    votingMode: 'طريقة التصويت',
+    ballotVisibility: 'ظهور الأصوات',
+    ballots: {
+      anonymous: 'اقتراع سري (لا أحد يرى من صوّت لماذا)',
+      'after-close': 'إظهار من صوّت لماذا بعد إغلاق التصويت',
+      open: 'اقتراع علني (تظهر الأصوات فور الإدلاء بها)'
+    },
+    optionCount: {
+      zero: 'لا خيارات',
+      one: 'خيار واحد',
+      two: 'خياران',
+      few: '{count} خيارات',
+      many: '{count} خيارًا',
+      other: '{count} خيار'
+    },
+    deleteTemplateLabel: 'حذف {name}',
+    templatesLoadFailed: 'تعذّر تحميل القوالب',
+    confirmDeleteTemplate: 'حذف القالب «{name}»؟',
+    templateDeleted: 'تم حذف القالب',
+    templateDeleteFailed: 'تعذّر حذف القالب',
+    titleRequired: 'عنوان الغرفة مطلوب',
+    deadlineInPast: 'يجب أن يكون موعد الخيارات في المستقبل',
+    roomCreated: 'تم إنشاء الغرفة! جارٍ التحويل...',
+    createFailed: 'تعذّر إنشاء الغرفة',
+    enterCode: 'أدخل رمز الغرفة',
+    waitlisted: 'الغرفة ممتلئة. ترتيبك {position} في قائمة الانتظار.',
+    joined: 'انضممت إلى الغرفة! جارٍ التحويل...',
+    joinFailed: 'تعذّر الانضمام إلى الغرفة',
+    greeting: 'مرحبًا،',
+    logout: 'تسجيل الخروج',
+    createTitle: 'إنشاء غرفة قرار',
+    fromTemplate: 'ابدأ من قالب:',
+    usingTemplate: {
+      zero: 'استخدام «{name}» بلا خيارات.',
+      one: 'استخدام «{name}» مع خيار واحد.',
+      two: 'استخدام «{name}» مع خيارين.',
+      few: 'استخدام «{name}» مع {count} خيارات.',
+      many: 'استخدام «{name}» مع {count} خيارًا.',
+      other: 'استخدام «{name}» مع {count} خيار.'
+    },
+    skipTemplateOptions: 'عدم إضافة خياراته',
+    roomTitle: 'عنوان الغرفة',
+    description: 'الوصف (اختياري)',
+    group: 'مجموعة الأصدقاء (اختياري)',
+    noGroup: 'بدون مجموعة',
+    groupOption: {
+      zero: '{name} (بلا أعضاء)',
+      one: '{name} (عضو واحد)',
+      two: '{name} (عضوان)',
+      few: '{name} ({count} أعضاء)',
+      many: '{name} ({count} عضوًا)',
+      other: '{name} ({count} عضو)'
+    },
+    groupHint: 'يُضاف جميع أعضاء المجموعة إلى الغرفة ويُبلَّغون بذلك.',
+    maxParticipants: 'الحد الأقصى للمشاركين (0 = بلا حد)',
+    roundMinutes: 'دقائق لكل جولة (0 = حتى يتقدّم المضيف)',
+    blind: 'تصويت أعمى (إخفاء النتائج حتى إغلاق التصويت)',
+    vetoes: 'حق النقض لكل مشارك (0 = لا شيء)',
+    optionsDeadline: 'موعد تقديم الخيارات (اختياري)',
+    votingMinutes: 'مدة التصويت بالدقائق (0 = حتى الإغلاق)',
+    autoClose: 'إغلاق التصويت تلقائيًا عندما يصوّت الجميع',
+    defaultTiebreaker: 'إذا لم يُحسم التعادل في الوقت المحدد، استخدم',
+    createRoom: 'إنشاء الغرفة',
+    joinTitle: 'الانضمام إلى غرفة',
+    enterCodePlaceholder: 'رمز الغرفة',
+    joinRoom: 'انضمام',
+    pastLink: 'عرض القرارات السابقة',
+    groupsLink: 'مجموعات الأصدقاء'
+  },
+  votingModes: {
+    plurality: 'الأغلبية (اختيار واحد لكل شخص)',
+    approval: 'الموافقة (اختر كل ما يعجبك)',
+    ranked: 'التصويت التفضيلي (جولة إعادة فورية)',
+    borda: 'عدّ بوردا (نقاط حسب الترتيب)',
+    tournament: 'بطولة (مواجهات إقصائية)'
+  },
+  tiebreakers: {
+    dice: 'رمي النرد',
+    spinner: 'العجلة الدوّارة',
+    coin: 'رمي العملة',
+    flipOf: 'الرمية {number} من {count}',
+    heads: 'وجه:',
+    tails: 'كتابة:',
+    headsShort: 'و',
+    tailsShort: 'ك',
+    wins: 'فاز {text}!',
+    result: 'نتيجة كسر التعادل:'
+  },
+  ballot: {
+    moveUp: 'نقل لأعلى',
+    moveDown: 'نقل لأسفل',
+    rankHint: 'اسحب الخيارات (أو استخدم الأسهم) لترتيبها، المفضّل أولًا.'
+  },
+  results: {
+    units: {
+      votes: {
+        zero: 'لا أصوات',
+        one: 'صوت واحد',
+        two: 'صوتان',
+        few: '{count} أصوات',
+        many: '{count} صوتًا',
+        other: '{count} صوت'
+      },
+      approvals: {
+        zero: 'لا موافقات',
+        one: 'موافقة واحدة',
+        two: 'موافقتان',
+        few: '{count} موافقات',
+        many: '{count} موافقة',
+        other: '{count} موافقة'
+      },
+      points: {
+        zero: 'لا نقاط',
+        one: 'نقطة واحدة',
+        two: 'نقطتان',
+        few: '{count} نقاط',
+        many: '{count} نقطة',
+        other: '{count} نقطة'
+      }
+    },
+    title: 'النتائج',
+    turnout: {
+      zero: 'صوّت {voted} من أصل لا مشاركين',
+      one: 'صوّت {voted} من أصل مشارك واحد',
+      two: 'صوّت {voted} من أصل مشاركَين',
+      few: 'صوّت {voted} من أصل {count} مشاركين',
+      many: 'صوّت {voted} من أصل {count} مشاركًا',
+      other: 'صوّت {voted} من أصل {count} مشارك'
+    },
+    votesCast: {
+      zero: 'لا أصوات بعد',
+      one: 'أُدلي بصوت واحد',
+      two: 'أُدلي بصوتين',
+      few: 'أُدلي بـ{count} أصوات',
+      many: 'أُدلي بـ{count} صوتًا',
+      other: 'أُدلي بـ{count} صوت'
+    },
+    blind: 'تصويت أعمى: تظهر النتائج عند إغلاق التصويت.',
+    bar: 'أعمدة',
+    pie: 'دائري',
+    weighted: 'تشمل النتائج وزن صوت كل مشارك.',
+    tied: 'تعادل: {options}',
+    eliminationRounds: 'جولات الإقصاء',
+    round: 'الجولة {number}',
+    eliminated: '(أُقصي)'
+  },
+  bracket: {
+    final: 'النهائي',
+    semifinals: 'نصف النهائي',
+    quarterfinals: 'ربع النهائي',
+    roundOf: 'دور الـ{count}',
+    bye: 'تأهل مباشر',
+    tbd: 'لم يُحدَّد بعد',
+    champion: 'البطل',
+    trophy: 'كأس',
+    title: 'جدول البطولة',
+    tieRule: 'عند التعادل في مواجهة يفوز الخيار الأعلى تصنيفًا.',
+    preview: 'معاينة جدول البطولة',
+    seeding: 'تُصنَّف الخيارات بترتيب تقديمها. يحصل الأعلى تصنيفًا على التأهل المباشر.'
+  },
+  roster: {
+    title: 'المشاركون ({count})',
+    titleWithMax: 'المشاركون ({count} / {max})',
+    online: 'متصل',
+    offline: 'غير متصل',
+    you: '(أنت)',
+    roles: {
+      creator: 'المنشئ',
+      'co-host': 'مضيف مشارك',
+      participant: 'مشارك',
+      spectator: 'مشاهد'
+    },
+    voted: 'صوّت ✓',
+    weight: 'وزن الصوت',
+    weightFor: 'وزن صوت {name}',
+    manage: 'إدارة {name}',
+    makeCoHost: 'تعيين مضيفًا مشاركًا',
+    makeParticipant: 'تعيين مشاركًا',
+    makeSpectator: 'تعيين مشاهدًا',
+    transfer: 'نقل الملكية',
+    remove: 'إزالة',
+    ban: 'حظر',
+    waitlist: 'قائمة الانتظار'
+  },
+  verify: {
+    verifying: 'جارٍ التحقق...',
+    button: 'تحقّق من هذه النتيجة',
+    verified: 'تم التحقق: الفائز المعاد حسابه هو',
+    mismatch: 'عدم تطابق: {reason}',
+    recomputed: 'الفائز المعاد حسابه:',
+    pending: 'لم يُكشف عن البذرة بعد.',
+    commitment: 'الالتزام',
+    revealedSeed: 'البذرة المكشوفة',
+    entropy: 'عشوائية المشاركين',
+    contributions: {
+      zero: 'لا مساهمات',
+      one: 'مساهمة واحدة',
+      two: 'مساهمتان',
+      few: '{count} مساهمات',
+      many: '{count} مساهمة',
+      other: '{count} مساهمة'
+    },
+    combinedSeed: 'البذرة المجمّعة'
+  },
+  optionForm: {
+    textRequired: 'أدخل نص الخيار',
+    invalidLink: 'أدخل رابط http(s) صالحًا',
+    text: 'نص الخيار',
+    hideDetails: 'إخفاء التفاصيل',
+    showDetails: 'إضافة تفاصيل (وصف، رابط، صورة، موقع)',
+    description: 'الوصف',
+    link: 'رابط (قائمة طعام، إعلان، موقع...)',
+    location: 'الموقع أو العنوان',
+    image: 'صورة (اختياري)',
+    locationLabel: 'الموقع'
+  },
+  export: {
+    failed: 'فشل التصدير',
+    ariaLabel: 'تصدير النتائج',
+    exporting: 'جارٍ التصدير...',
+    label: 'تصدير...',
+    image: 'بطاقة النتائج (صورة)',
+    pdf: 'ملخص للطباعة (PDF)',
+    csv: 'جدول بيانات (CSV)',
+    json: 'السجل الكامل (JSON)',
+    popupsBlocked: 'اسمح بالنوافذ المنبثقة لطباعة الملخص',
+    finalDecision: 'القرار النهائي',
+    option: 'الخيار',
+    units: {
+      votes: 'الأصوات',
+      approvals: 'الموافقات',
+      points: 'النقاط'
+    },
+    room: 'الغرفة {roomCode}',
+    tiebreaker: 'كسر التعادل: {method}',
+    closed: 'أُغلق {date}',
+    shareText: 'قررنا: {decision}'
+  },
+  countdown: {
+    anyMoment: 'في أي لحظة'
+  },
+  room: {
+    vote: 'تصويت',
+    loadFailed: 'تعذّر تحميل بيانات الغرفة',
+    group: 'المجموعة:',
+    banned: 'تم حظرك من هذه الغرفة',
+    removed: 'تمت إزالتك من هذه الغرفة',
+    votingIsOpen: 'التصويت مفتوح الآن!',
+    optionAdded: 'تمت إضافة الخيار!',
+    optionQueued: 'أنت غير متصل. سيُضاف الخيار عند عودة الاتصال.',
+    addOptionFailed: 'تعذّرت إضافة الخيار',
+    optionUpdated: 'تم تحديث الخيار!',
+    updateOptionFailed: 'تعذّر تحديث الخيار',
+    confirmWithdraw: 'سحب «{text}»؟',
+    optionWithdrawn: 'تم سحب الخيار',
+    withdrawFailed: 'تعذّر سحب الخيار',
+    confirmMerge: 'دمج «{source}» في «{target}»؟',
+    merged: 'تم دمج الخيارات',
+    mergeFailed: 'تعذّر دمج الخيارات',
+    votingOpened: 'بدأ التصويت!',
+    openFailed: 'تعذّر فتح التصويت',
+    selectOption: 'اختر خيارًا للتصويت',
+    voteChanged: 'تم تغيير الصوت!',
+    voteCast: 'تم الإدلاء بالصوت!',
+    voteQueued: 'أنت غير متصل. سيُرسل صوتك عند عودة الاتصال.',
+    voteFailed: 'تعذّر الإدلاء بالصوت',
+    champion: 'لدينا بطل!',
+    nextRound: 'إلى الجولة التالية!',
+    advanceFailed: 'تعذّر الانتقال إلى الجولة التالية',
+    votingClosed: 'أُغلق التصويت!',
+    tie: 'تعادل! اختر طريقة لكسر التعادل.',
+    decisionMade: 'اتُّخذ القرار!',
+    closeFailed: 'تعذّر إغلاق التصويت',
+    confirm: {
+      kick: 'إزالة {name} من الغرفة؟',
+      ban: 'حظر {name}؟ لن يتمكن من الانضمام مجددًا.',
+      transfer: 'جعل {name} مالك الغرفة؟ ستصبح مضيفًا مشاركًا.'
+    },
+    participantUpdated: 'تم تحديث المشارك',
+    participantFailed: 'تعذّر تحديث المشارك',
+    confirmVeto: 'استخدام حق النقض على «{text}»؟ سيُستهلك أحد أصوات النقض لديك ولا يمكن التراجع.',
+    vetoed: 'تم نقض الخيار',
+    vetoFailed: 'تعذّر نقض الخيار',
+    weightInvalid: 'يجب أن يكون الوزن صفرًا أو أكثر',
+    weightSet: 'أصبح صوت {name} يُحتسب ×{weight}',
+    weightFailed: 'تعذّر تعيين الوزن',
+    templateName: 'اسم القالب',
+    templateSaved: 'تم حفظ القالب!',
+    templateFailed: 'تعذّر حفظ القالب',
+    entropyRequired: 'أدخل بعض العشوائية',
+    entropyAdded: 'تمت إضافة العشوائية!',
+    entropyFailed: 'تعذّرت إضافة العشوائية',
+    tiebreakerFailed: 'تعذّر تنفيذ كسر التعادل',
+    tiebreakerDone: 'اكتمل كسر التعادل بـ{method}! الفائز: {winner}',
+    loading: 'جارٍ تحميل الغرفة...',
+    notFound: 'الغرفة غير موجودة',
+    unmuteRoom: 'إلغاء كتم هذه الغرفة',
+    muteRoom: 'كتم هذه الغرفة',
+    muted: 'مكتومة',
+    mute: 'كتم',
+    code: 'رمز الغرفة:',
+    offline: 'أنت غير متصل. تُحفظ الخيارات والأصوات وتُرسل عند عودة الاتصال.',
+    offlineCached: 'أنت غير متصل وتشاهد نسختك المحفوظة من هذه الغرفة. تُحفظ الخيارات والأصوات وتُرسل عند عودة الاتصال.',
+    polling: 'التحديثات المباشرة غير متاحة؛ يتم التحديث كل بضع ثوانٍ...',
+    syncing: 'جارٍ المزامنة:',
+    waitingToSync: 'بانتظار المزامنة:',
+    yourVotePending: 'صوتك',
+    optionsCloseIn: 'تُغلق الخيارات خلال',
+    votingClosesIn: 'يُغلق التصويت خلال',
+    roundClosesIn: 'تُغلق الجولة خلال',
+    autoCloseHint: 'يُغلق التصويت تلقائيًا عندما يصوّت الجميع.',
+    autoTiebreakerIn: 'التعادل لم يُحسم: كسر تلقائي بـ{method} خلال',
+    guestNote: 'أنت مشارك كضيف.',
+    guestSignup: 'أنشئ حسابًا لحفظ هذا القرار في سجلك.',
+    shareLink: 'رابط المشاركة:',
+    waitlistNote: 'هذه الغرفة ممتلئة. ترتيبك {position} في قائمة الانتظار ويمكنك المشاهدة حتى يتوفر مكان.',
+    spectating: 'أنت تشاهد هذه الغرفة كمشاهد.',
+    readOnly: 'هذا القرار مغلق. أنت تشاهده للقراءة فقط.',
+    submitOptions: 'قدّم الخيارات',
+    addOption: 'إضافة خيار',
+    options: 'الخيارات',
+    noOptions: 'لم تُقدَّم أي خيارات بعد.',
+    vetoAnOption: {
+      zero: 'نقض خيار (لم يتبقَّ شيء)...',
+      one: 'نقض خيار (تبقّى واحد)...',
+      two: 'نقض خيار (تبقّى اثنان)...',
+      few: 'نقض خيار (تبقّى {count})...',
+      many: 'نقض خيار (تبقّى {count})...',
+      other: 'نقض خيار (تبقّى {count})...'
+    },
+    withdraw: 'سحب',
+    mergeInto: 'دمج في...',
+    vetoedBy: 'نقضه {names}',
+    vetoedHidden: 'منقوض',
+    veto: {
+      zero: 'نقض (لم يتبقَّ شيء)',
+      one: 'نقض (تبقّى واحد)',
+      two: 'نقض (تبقّى اثنان)',
+      few: 'نقض (تبقّى {count})',
+      many: 'نقض (تبقّى {count})',
+      other: 'نقض (تبقّى {count})'
+    },
+    yourVote: '(صوتك)',
+    approved: '(موافَق عليه)',
+    yourRank: '(ترتيبك {rank})',
+    casting: 'جارٍ التصويت...',
+    updateVote: 'تحديث الصوت',
+    keepVote: 'الإبقاء على صوتي',
+    changeVote: 'تغيير صوتي',
+    startTournament: 'بدء البطولة',
+    openVoting: 'فتح التصويت',
+    saveTemplate: 'حفظ كقالب',
+    closing: 'جارٍ الإغلاق...',
+    closeVoting: 'إغلاق التصويت',
+    closingRound: 'جارٍ إغلاق الجولة...',
+    endRound: 'إنهاء الجولة الآن',
+    celebration: 'احتفال',
+    finalDecision: 'القرار النهائي:',
+    seedTitle: 'بذرة كسر التعادل',
+    seedCommitment: 'التزام البذرة:',
+    entropyMixed: 'تم دمج عشوائيتك. ستُكشف مع النتيجة.',
+    entropyPlaceholder: 'عشوائيتك (أي نص)',
+    random: 'عشوائي',
+    add: 'إضافة',
+    tiebreakerNeeded: 'يلزم كسر التعادل!',
+    chooseMethod: 'اختر طريقة لحسم التعادل:',
+    rolling: 'جارٍ الرمي...'
+  },
+  chat: {
+    title: 'النقاش',
+    lock: 'قفل الدردشة',
+    unlock: 'فتح الدردشة',
+    empty: 'لا رسائل بعد. دافع عن خيارك!',
+    placeholder: 'اكتب رسالة للغرفة',
+    send: 'إرسال',
+    readOnly: 'هذا القرار مغلق، لذا الدردشة للقراءة فقط.',
+    locked: 'قفل المضيف الدردشة.',
+    comments: {
+      zero: 'تعليق',
+      one: 'تعليق واحد',
+      two: 'تعليقان',
+      few: '{count} تعليقات',
+      many: '{count} تعليقًا',
+      other: '{count} تعليق'
+    },
+    commentPlaceholder: 'علّق على «{option}»',
+    react: {
+      zero: '{emoji}: لا تفاعلات',
+      one: '{emoji}: تفاعل واحد',
+      two: '{emoji}: تفاعلان',
+      few: '{emoji}: {count} تفاعلات',
+      many: '{emoji}: {count} تفاعلًا',
+      other: '{emoji}: {count} تفاعل'
+    },
+    confirmDelete: 'حذف هذه الرسالة؟',
+    sendFailed: 'تعذّر إرسال الرسالة',
+    deleteFailed: 'تعذّر حذف الرسالة',
+    lockFailed: 'تعذّر تغيير قفل الدردشة',
+    reactFailed: 'تعذّر التفاعل',
+    system: {
+      'voting-opened': 'بدأ التصويت.',
+      'voting-closed': 'أُغلق التصويت.',
+      tie: 'أُعلن التعادل بين {options}.',
+      decision: 'تم اختيار الفائز: {option}.'
+    }
+  },
+  a11y: {
+    highContrast: 'تباين عالٍ',
+    ballotLegend: {
+      plurality: 'ورقة اقتراعك: اختر خيارًا واحدًا',
+      approval: 'ورقة اقتراعك: وافق على كل خيار يعجبك',
+      ranked: 'ورقة اقتراعك: رتّب الخيارات'
+    },
+    shortcuts: 'لوحة المفاتيح: اضغط 1–9 لاختيار خيار، وV للتصويت.',
+    rankShortcuts: 'لوحة المفاتيح: استخدم زري النقل لأعلى ولأسفل لإعادة الترتيب، وV للتصويت.',
+    tie: 'انتهى التصويت بالتعادل بين {options}.',
+    tiebreakerRunning: 'جارٍ كسر التعادل باستخدام {method}…',
+    tiebreakerRegion: 'كسر التعادل',
+    decision: 'تم اتخاذ القرار: {option}.'
+  },
+  theme: {
+    label: 'المظهر',
+    modes: {
+      system: 'حسب النظام',
+      light: 'فاتح',
+      dark: 'داكن'
+    },
+    roomAccent: 'لون الغرفة',
+    accents: {
+      default: 'افتراضي',
+      ocean: 'محيط',
+      grape: 'عنب',
+      berry: 'توت',
+      forest: 'غابة',
+      lagoon: 'بحيرة',
+      sunset: 'غروب'
+    },
+    customAccent: 'لون مخصص',
+    saveFailed: 'تعذّر حفظ لون الغرفة'
+  },
+  past: {
+    loadFailed: 'تعذّر تحميل القرارات السابقة',
+    loading: 'جارٍ تحميل القرارات السابقة...',
+    empty: 'لا توجد قرارات سابقة.',
+    cloned: 'تم إنشاء غرفة جديدة! جارٍ التحويل...',
+    cloneFailed: 'تعذّرت الإعادة',
+    bracketFailed: 'تعذّر تحميل جدول البطولة',
+    title: 'القرارات السابقة',
+    exportAll: 'تصدير كل قراراتي...',
+    stats: {
+      decisions: {
+        zero: 'قرار متخذ',
+        one: 'قرار متخذ',
+        two: 'قراران متخذان',
+        few: 'قرارات متخذة',
+        many: 'قرارًا متخذًا',
+        other: 'قرار متخذ'
+      },
+      tieRate: 'احتاجت إلى كسر تعادل',
+      favouriteTiebreaker: 'طريقة كسر التعادل المفضلة',
+      topWinners: 'الأكثر فوزًا:'
+    },
+    search: 'البحث بالعنوان',
+    from: 'من',
+    to: 'إلى',
+    anyTiebreaker: 'أي طريقة كسر تعادل',
+    noTiebreaker: 'بلا كسر تعادل',
+    sort: {
+      newest: 'الأحدث أولًا',
+      oldest: 'الأقدم أولًا',
+      title: 'العنوان أ–ي'
+    },
+    noMatches: 'لا توجد قرارات تطابق عوامل التصفية.',
+    finalChoice: 'الاختيار النهائي:',
+    closed: 'أُغلق: {date}',
+    tiebreaker: 'كسر التعادل: {method}',
+    runAgain: 'إعادة التشغيل',
+    runAgainWithout: 'إعادة التشغيل بدون «{option}»',
+    hideBracket: 'إخفاء جدول البطولة',
+    viewBracket: 'عرض جدول البطولة',
+    loadMore: {
+      zero: 'تحميل المزيد',
+      one: 'تحميل المزيد (تبقّى واحد)',
+      two: 'تحميل المزيد (تبقّى اثنان)',
+      few: 'تحميل المزيد (تبقّى {count})',
+      many: 'تحميل المزيد (تبقّى {count})',
+      other: 'تحميل المزيد (تبقّى {count})'
+    }
+  },
+  groups: {
+    title: 'مجموعات الأصدقاء',
+    loading: 'جارٍ تحميل المجموعات...',
+    loadFailed: 'تعذّر تحميل المجموعات',
+    empty: 'لست في أي مجموعة بعد. أنشئ مجموعة للأشخاص الذين تتخذ القرارات معهم.',
+    memberCount: {
+      zero: 'بلا أعضاء',
+      one: 'عضو واحد',
+      two: 'عضوان',
+      few: '{count} أعضاء',
+      many: '{count} عضوًا',
+      other: '{count} عضو'
+    },
+    createTitle: 'إنشاء مجموعة',
+    name: 'اسم المجموعة',
+    nameRequired: 'اسم المجموعة مطلوب',
+    create: 'إنشاء المجموعة',
+    createFailed: 'تعذّر إنشاء المجموعة',
+    notFound: 'المجموعة غير موجودة',
+    backToGroups: 'العودة إلى المجموعات',
+    newRoom: 'غرفة جديدة مع هذه المجموعة',
+    members: 'الأعضاء ({count})',
+    owner: 'المالك',
+    remove: 'إزالة',
+    leave: 'مغادرة المجموعة',
+    confirmRemove: 'إزالة {name} من المجموعة؟',
+    confirmLeave: 'مغادرة "{name}"؟',
+    removeFailed: 'تعذّر تحديث المجموعة',
+    pending: 'المدعوون:',
+    inviteTitle: 'دعوة أشخاص',
+    inviteEmail: 'البريد الإلكتروني',
+    invite: 'إرسال الدعوة',
+    invited: 'أُرسلت الدعوة إلى {email}',
+    inviteFailed: 'تعذّر إرسال الدعوة',
+    inviteLink: 'رابط الدعوة:',
+    resetLink: 'إعادة تعيين الرابط',
+    confirmResetLink: 'إعادة تعيين رابط الدعوة؟ سيتوقف الرابط الحالي عن العمل.',
+    resetLinkFailed: 'تعذّرت إعادة تعيين رابط الدعوة',
+    history: 'القرارات',
+    noDecisions: 'لم تتخذ هذه المجموعة أي قرار بعد.',
+    joining: 'جارٍ الانضمام إلى المجموعة...',
+    joined: 'انضممت إلى المجموعة!',
+    joinFailed: 'تعذّر الانضمام إلى المجموعة'
+  }
+};
+
+export default ar;
@@ -0,0 +1,566 @@
+// English strings; the fallback for keys missing from other bundles.
+// Plural entries are keyed by Intl.PluralRules category (plus an optional exact `zero`).
+const en = {
+  common: {
+    creating: 'Creating...',
+    saving: 'Saving...',
+    backHome: '← Back to Home',
+    delete: 'Delete',
+    unknown: 'Unknown',
+    cancel: 'Cancel',
+    save: 'Save',
+    edit: 'Edit'
+  },
+  auth: {
+    sessionExpired: 'Your session expired. Please log in again.',
+    welcomeGuest: 'Welcome, {name}!',
+    guestFailed: 'Failed to join as guest',
+    joinRoomTitle: 'Join Room {roomCode}',
+    nickname: 'Your nickname',
+    joining: 'Joining...',
+    joinAsGuest: 'Join as Guest',
+    haveAccount: 'Have an account?',
+    logIn: 'Log in',
+    loggedIn: 'Logged in!',
+    loginFailed: 'Login failed',
+    loginTitle: 'Login',
+    email: 'Email',
+    password: 'Password',
+    loggingIn: 'Logging in...',
+    noAccount: 'No account?',
+    signUp: 'Sign up',
+    justVisiting: 'Just visiting?',
+    joinAsAGuest: 'Join as a guest',
+    accountCreatedGuest: 'Account created! Your guest history is kept.',
+    accountCreated: 'Account created!',
+    signupFailed: 'Signup failed',
+    createAccountTitle: 'Create Your Account',
+    signupTitle: 'Sign Up'
+  },
+  language: {
+    label: 'Language',
+    saveFailed: 'Failed to save your language'
+  },
+  offline: {
+    voteSyncFailed: 'Couldn\'t sync your vote in room {roomCode}: {reason}',
+    optionSyncFailed: 'Couldn\'t sync your option in room {roomCode}: {reason}',
+    conflict: 'conflict',
+    queueFailed: 'You\'re offline and this browser can\'t save the change for later. Try again once you\'re back online.',
+    updateReady: 'A new version is ready. It will load once every tab of the app is closed.'
+  },
+  notifications: {
+    markReadFailed: 'Failed to mark notifications read',
+    saveFailed: 'Failed to save notification settings',
+    bellLabel: 'Notifications ({count} unread)',
+    title: 'Notifications',
+    markAllRead: 'Mark all read',
+    empty: 'Nothing yet.',
+    settingsLink: 'Notification settings',
+    blocked: 'Browser notifications are blocked. Allow them in your browser settings.',
+    browserAlerts: 'Browser alerts',
+    unsupported: '(not supported in this browser)',
+    types: {
+      'option-added': 'New option added',
+      'voting-opened': 'Voting opened',
+      'voting-closing': 'Voting closing soon',
+      tie: 'Tie needs resolving',
+      decision: 'Final decision made',
+      'room-invite': 'Added to a group room',
+      'group-invite': 'Invited to a group'
+    },
+    mutedRooms: 'Muted rooms:',
+    unmute: 'Unmute'
+  },
+  profile: {
+    chooseImage: 'Choose an image file',
+    uploadFailed: 'Failed to upload avatar',
+    saved: 'Profile saved!',
+    saveFailed: 'Failed to save profile',
+    title: 'Your Profile',
+    avatarAlt: 'Your avatar',
+    displayName: 'Display name',
+    save: 'Save Profile'
+  },
+  myRooms: {
+    phases: {
+      options: 'Collecting options',
+      voting: 'Voting open',
+      tiebreaker: 'Awaiting tiebreaker'
+    },
+    loadFailed: 'Failed to load your rooms',
+    archived: 'Room archived',
+    archiveFailed: 'Failed to archive room',
+    confirmDelete: 'Delete "{title}" for everyone? This can\'t be undone.',
+    deleted: 'Room deleted',
+    deleteFailed: 'Failed to delete room',
+    title: 'My Rooms',
+    notVoted: 'You haven\'t voted yet',
+    rejoin: 'Rejoin',
+    archive: 'Archive'
+  },
+  home: {
+    votingMode: 'Voting method',
+    ballotVisibility: 'Ballot visibility',
+    ballots: {
+      anonymous: 'Secret ballot (nobody sees who voted for what)',
+      'after-close': 'Reveal who voted for what after voting closes',
+      open: 'Open ballot (votes visible as they come in)'
+    },
+    optionCount: {
+      one: '{count} option',
+      other: '{count} options'
+    },
+    deleteTemplateLabel: 'Delete {name}',
+    templatesLoadFailed: 'Failed to load templates',
+    confirmDeleteTemplate: 'Delete template "{name}"?',
+    templateDeleted: 'Template deleted',
+    templateDeleteFailed: 'Failed to delete template',
+    titleRequired: 'Room title is required',
+    deadlineInPast: 'Options deadline must be in the future',
+    roomCreated: 'Room created! Redirecting...',
+    createFailed: 'Failed to create room',
+    enterCode: 'Enter room code',
+    waitlisted: 'Room is full. You\'re #{position} on the waitlist.',
+    joined: 'Joined room! Redirecting...',
+    joinFailed: 'Failed to join room',
+    greeting: 'Hi,',
+    logout: 'Logout',
+    createTitle: 'Create Decision Room',
+    fromTemplate: 'Start from a template:',
+    usingTemplate: {
+      one: 'Using "{name}" with {count} option.',
+      other: 'Using "{name}" with {count} options.'
+    },
+    skipTemplateOptions: 'Don\'t add its options',
+    roomTitle: 'Room Title',
+    description: 'Description (optional)',
+    group: 'Friend group (optional)',
+    noGroup: 'No group',
+    groupOption: {
+      one: '{name} ({count} member)',
+      other: '{name} ({count} members)'
+    },
+    groupHint: 'Everyone in the group is added to the room and notified.',
+    maxParticipants: 'Max Participants (0 = no limit)',
+    roundMinutes: 'Minutes per round (0 = until the host advances)',
+    blind: 'Blind voting (hide the tally until voting closes)',
+    vetoes: 'Vetoes per participant (0 = none)',
+    optionsDeadline: 'Options deadline (optional)',
+    votingMinutes: 'Voting duration in minutes (0 = until closed)',
+    autoClose: 'Close voting automatically once everyone has voted',
+    defaultTiebreaker: 'If a tie isn\'t resolved in time, use',
+    createRoom: 'Create Room',
+    joinTitle: 'Join a Room',
+    enterCodePlaceholder: 'Enter Room Code',
+    joinRoom: 'Join Room',
+    pastLink: 'View Past Decisions',
+    groupsLink: 'Friend Groups'
+  },
+  votingModes: {
+    plurality: 'Plurality (one pick each)',
+    approval: 'Approval (pick any you like)',
+    ranked: 'Ranked choice (instant runoff)',
+    borda: 'Borda count (points by rank)',
+    tournament: 'Tournament (head-to-head bracket)'
+  },
+  tiebreakers: {
+    dice: 'Dice Roll',
+    spinner: 'Spinner',
+    coin: 'Coin Flip',
+    flipOf: 'Flip {number} of {count}',
+    heads: 'Heads:',
+    tails: 'Tails:',
+    headsShort: 'H',
+    tailsShort: 'T',
+    wins: '{text} wins!',
+    result: 'Tiebreaker result:'
+  },
+  ballot: {
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    rankHint: 'Drag options (or use the arrows) to rank them, favourite first.'
+  },
+  results: {
+    units: {
+      votes: {
+        one: '{count} vote',
+        other: '{count} votes'
+      },
+      approvals: {
+        one: '{count} approval',
+        other: '{count} approvals'
+      },
+      points: {
+        one: '{count} point',
+        other: '{count} points'
+      }
+    },
+    title: 'Results',
+    turnout: {
+      one: '{voted} of {count} participant has voted',
+      other: '{voted} of {count} participants have voted'
+    },
+    votesCast: {
+      zero: 'No votes cast yet',
+      one: '{count} vote cast',
+      other: '{count} votes cast'
+    },
+    blind: 'Blind voting: the tally is revealed when voting closes.',
+    bar: 'Bar',
+    pie: 'Pie',
+    weighted: 'Counts include each participant\'s vote weight.',
+    tied: 'Tied: {options}',
+    eliminationRounds: 'Elimination Rounds',
+    round: 'Round {number}',
+    eliminated: '(eliminated)'
+  },
+  bracket: {
+    final: 'Final',
+    semifinals: 'Semifinals',
+    quarterfinals: 'Quarterfinals',
+    roundOf: 'Round of {count}',
+    bye: 'Bye',
+    tbd: 'TBD',
+    champion: 'Champion',
+    trophy: 'trophy',
+    title: 'Bracket',
+    tieRule: 'Ties within a match go to the higher seed.',
+    preview: 'Bracket preview',
+    seeding: 'Options are seeded in the order they were submitted. Top seeds get any byes.'
+  },
+  roster: {
+    title: 'Participants ({count})',
+    titleWithMax: 'Participants ({count} / {max})',
+    online: 'Online',
+    offline: 'Offline',
+    you: '(you)',
+    roles: {
+      creator: 'Creator',
+      'co-host': 'Co-host',
+      participant: 'Participant',
+      spectator: 'Spectator'
+    },
+    voted: 'voted ✓',
+    weight: 'Vote weight',
+    weightFor: 'Vote weight for {name}',
+    manage: 'Manage {name}',
+    makeCoHost: 'Make co-host',
+    makeParticipant: 'Make participant',
+    makeSpectator: 'Make spectator',
+    transfer: 'Transfer ownership',
+    remove: 'Remove',
+    ban: 'Ban',
+    waitlist: 'Waitlist'
+  },
+  verify: {
+    verifying: 'Verifying...',
+    button: 'Verify this result',
+    verified: 'Verified: recomputed winner is',
+    mismatch: 'Mismatch: {reason}',
+    recomputed: 'recomputed winner:',
+    pending: 'The seed has not been revealed yet.',
+    commitment: 'Commitment',
+    revealedSeed: 'Revealed seed',
+    entropy: 'Participant entropy',
+    contributions: {
+      one: '{count} contribution',
+      other: '{count} contributions'
+    },
+    combinedSeed: 'Combined seed'
+  },
+  optionForm: {
+    textRequired: 'Enter option text',
+    invalidLink: 'Enter a valid http(s) link',
+    text: 'Option text',
+    hideDetails: 'Hide details',
+    showDetails: 'Add details (description, link, image, location)',
+    description: 'Description',
+    link: 'Link (menu, trailer, website...)',
+    location: 'Location or address',
+    image: 'Image (optional)',
+    locationLabel: 'location'
+  },
+  export: {
+    failed: 'Export failed',
+    ariaLabel: 'Export results',
+    exporting: 'Exporting...',
+    label: 'Export...',
+    image: 'Results card (image)',
+    pdf: 'Printable summary (PDF)',
+    csv: 'Spreadsheet (CSV)',
+    json: 'Full history (JSON)',
+    popupsBlocked: 'Allow pop-ups to print the summary',
+    finalDecision: 'Final decision',
+    option: 'Option',
+    units: {
+      votes: 'Votes',
+      approvals: 'Approvals',
+      points: 'Points'
+    },
+    room: 'Room {roomCode}',
+    tiebreaker: 'Tiebreaker: {method}',
+    closed: 'Closed {date}',
+    shareText: 'We decided: {decision}'
+  },
+  countdown: {
+    anyMoment: 'any moment now'
+  },
+  room: {
+    vote: 'Vote',
+    loadFailed: 'Failed to load room data',
+    group: 'Group:',
+    banned: 'You have been banned from this room',
+    removed: 'You were removed from this room',
+    votingIsOpen: 'Voting is open!',
+    optionAdded: 'Option added!',
+    optionQueued: 'You\'re offline. The option will be added when you reconnect.',
+    addOptionFailed: 'Failed to add option',
+    optionUpdated: 'Option updated!',
+    updateOptionFailed: 'Failed to update option',
+    confirmWithdraw: 'Withdraw "{text}"?',
+    optionWithdrawn: 'Option withdrawn',
+    withdrawFailed: 'Failed to withdraw option',
+    confirmMerge: 'Merge "{source}" into "{target}"?',
+    merged: 'Options merged',
+    mergeFailed: 'Failed to merge options',
+    votingOpened: 'Voting opened!',
+    openFailed: 'Failed to open voting',
+    selectOption: 'Select an option to vote',
+    voteChanged: 'Vote changed!',
+    voteCast: 'Vote cast!',
+    voteQueued: 'You\'re offline. Your vote will be sent when you reconnect.',
+    voteFailed: 'Failed to vote',
+    champion: 'We have a champion!',
+    nextRound: 'On to the next round!',
+    advanceFailed: 'Failed to advance the round',
+    votingClosed: 'Voting closed!',
+    tie: 'It\'s a tie! Please choose a tiebreaker.',
+    decisionMade: 'Decision made!',
+    closeFailed: 'Failed to close voting',
+    confirm: {
+      kick: 'Remove {name} from the room?',
+      ban: 'Ban {name}? They won\'t be able to rejoin.',
+      transfer: 'Make {name} the room owner? You will become a co-host.'
+    },
+    participantUpdated: 'Participant updated',
+    participantFailed: 'Failed to update participant',
+    confirmVeto: 'Veto "{text}"? This uses one of your vetoes and can\'t be undone.',
+    vetoed: 'Option vetoed',
+    vetoFailed: 'Failed to veto option',
+    weightInvalid: 'Weight must be zero or more',
+    weightSet: '{name} now counts ×{weight}',
+    weightFailed: 'Failed to set weight',
+    templateName: 'Template name',
+    templateSaved: 'Template saved!',
+    templateFailed: 'Failed to save template',
+    entropyRequired: 'Enter some entropy',
+    entropyAdded: 'Entropy added!',
+    entropyFailed: 'Failed to add entropy',
+    tiebreakerFailed: 'Failed to trigger tiebreaker',
+    tiebreakerDone: '{method} tiebreaker done! Winner: {winner}',
+    loading: 'Loading room...',
+    notFound: 'Room not found',
+    unmuteRoom: 'Unmute this room',
+    muteRoom: 'Mute this room',
+    muted: 'Muted',
+    mute: 'Mute',
+    code: 'Room Code:',
+    offline: 'You\'re offline. Options and votes are saved and sent when you reconnect.',
+    offlineCached: 'You\'re offline, showing your saved copy of this room. Options and votes are saved and sent when you reconnect.',
+    polling: 'Live updates unavailable, refreshing every few seconds...',
+    syncing: 'Syncing:',
+    waitingToSync: 'Waiting to sync:',
+    yourVotePending: 'your vote',
+    optionsCloseIn: 'Options close in',
+    votingClosesIn: 'Voting closes in',
+    roundClosesIn: 'Round closes in',
+    autoCloseHint: 'Voting closes automatically once everyone has voted.',
+    autoTiebreakerIn: 'Unresolved tie: automatic {method} tiebreaker in',
+    guestNote: 'You\'re joining as a guest.',
+    guestSignup: 'Create an account to keep this decision in your history.',
+    shareLink: 'Shareable Link:',
+    waitlistNote: 'This room is full. You\'re #{position} on the waitlist and can watch until a spot opens.',
+    spectating: 'You are spectating this room.',
+    readOnly: 'This decision is closed. You\'re viewing it read-only.',
+    submitOptions: 'Submit Options',
+    addOption: 'Add Option',
+    options: 'Options',
+    noOptions: 'No options submitted yet.',
+    vetoAnOption: 'Veto an option ({count} left)...',
+    withdraw: 'Withdraw',
+    mergeInto: 'Merge into...',
+    vetoedBy: 'Vetoed by {names}',
+    vetoedHidden: 'Vetoed',
+    veto: 'Veto ({count} left)',
+    yourVote: '(Your vote)',
+    approved: '(Approved)',
+    yourRank: '(Your #{rank})',
+    casting: 'Casting vote...',
+    updateVote: 'Update Vote',
+    keepVote: 'Keep my vote',
+    changeVote: 'Change my vote',
+    startTournament: 'Start Tournament',
+    openVoting: 'Open Voting',
+    saveTemplate: 'Save as Template',
+    closing: 'Closing...',
+    closeVoting: 'Close Voting',
+    closingRound: 'Closing round...',
+    endRound: 'End Round Now',
+    celebration: 'celebration',
+    finalDecision: 'Final Decision:',
+    seedTitle: 'Tiebreaker seed',
+    seedCommitment: 'Seed commitment:',
+    entropyMixed: 'Your entropy is mixed in. It will be revealed with the result.',
+    entropyPlaceholder: 'Your entropy (any text)',
+    random: 'Random',
+    add: 'Add',
+    tiebreakerNeeded: 'Tiebreaker needed!',
+    chooseMethod: 'Choose a method to resolve the tie:',
+    rolling: 'Rolling...'
+  },
+  chat: {
+    title: 'Discussion',
+    lock: 'Lock chat',
+    unlock: 'Unlock chat',
+    empty: 'No messages yet. Make the case for your option!',
+    placeholder: 'Message the room',
+    send: 'Send',
+    readOnly: 'This decision is closed, so the chat is read-only.',
+    locked: 'The host has locked the chat.',
+    comments: {
+      zero: 'Comment',
+      one: '{count} comment',
+      other: '{count} comments'
+    },
+    commentPlaceholder: 'Comment on "{option}"',
+    react: {
+      one: '{emoji}: {count} reaction',
+      other: '{emoji}: {count} reactions'
+    },
+    confirmDelete: 'Delete this message?',
+    sendFailed: 'Failed to send message',
+    deleteFailed: 'Failed to delete message',
+    lockFailed: 'Failed to change chat lock',
+    reactFailed: 'Failed to react',
+    system: {
+      'voting-opened': 'Voting opened.',
+      'voting-closed': 'Voting closed.',
+      tie: 'Tie declared between {options}.',
+      decision: 'Winner chosen: {option}.'
+    }
+  },
+  a11y: {
+    highContrast: 'High contrast',
+    ballotLegend: {
+      plurality: 'Your ballot: pick one option',
+      approval: 'Your ballot: approve every option you like',
+      ranked: 'Your ballot: rank the options'
+    },
+    shortcuts: 'Keyboard: press 1–9 to choose an option, V to cast your vote.',
+    rankShortcuts: 'Keyboard: use the move up and move down buttons to reorder, V to cast your vote.',
+    tie: 'Voting ended in a tie between {options}.',
+    tiebreakerRunning: 'Breaking the tie with the {method}…',
+    tiebreakerRegion: 'Tiebreaker',
+    decision: 'Decision made: {option}.'
+  },
+  theme: {
+    label: 'Theme',
+    modes: {
+      system: 'Match system',
+      light: 'Light',
+      dark: 'Dark'
+    },
+    roomAccent: 'Room colour',
+    accents: {
+      default: 'Default',
+      ocean: 'Ocean',
+      grape: 'Grape',
+      berry: 'Berry',
+      forest: 'Forest',
+      lagoon: 'Lagoon',
+      sunset: 'Sunset'
+    },
+    customAccent: 'Custom colour',
+    saveFailed: 'Failed to save the room colour'
+  },
+  past: {
+    loadFailed: 'Failed to load past decisions',
+    loading: 'Loading past decisions...',
+    empty: 'No past decisions found.',
+    cloned: 'New room created! Redirecting...',
+    cloneFailed: 'Failed to run again',
+    bracketFailed: 'Failed to load bracket',
+    title: 'Past Decisions',
+    exportAll: 'Export all my decisions...',
+    stats: {
+      decisions: {
+        one: 'decision made',
+        other: 'decisions made'
+      },
+      tieRate: 'needed a tiebreaker',
+      favouriteTiebreaker: 'favourite tiebreaker',
+      topWinners: 'Most frequent winners:'
+    },
+    search: 'Search by title',
+    from: 'From',
+    to: 'To',
+    anyTiebreaker: 'Any tiebreaker',
+    noTiebreaker: 'No tiebreaker',
+    sort: {
+      newest: 'Newest first',
+      oldest: 'Oldest first',
+      title: 'Title A–Z'
+    },
+    noMatches: 'No decisions match your filters.',
+    finalChoice: 'Final choice:',
+    closed: 'Closed: {date}',
+    tiebreaker: 'Tiebreaker: {method}',
+    runAgain: 'Run again',
+    runAgainWithout: 'Run again without "{option}"',
+    hideBracket: 'Hide bracket',
+    viewBracket: 'View bracket',
+    loadMore: 'Load more ({count} left)'
+  },
+  groups: {
+    title: 'Friend Groups',
+    loading: 'Loading groups...',
+    loadFailed: 'Failed to load groups',
+    empty: 'You\'re not in any groups yet. Create one for the people you decide things with.',
+    memberCount: {
+      one: '{count} member',
+      other: '{count} members'
+    },
+    createTitle: 'Create a Group',
+    name: 'Group name',
+    nameRequired: 'Group name is required',
+    create: 'Create Group',
+    createFailed: 'Failed to create group',
+    notFound: 'Group not found',
+    backToGroups: 'Back to groups',
+    newRoom: 'New room with this group',
+    members: 'Members ({count})',
+    owner: 'owner',
+    remove: 'Remove',
+    leave: 'Leave group',
+    confirmRemove: 'Remove {name} from the group?',
+    confirmLeave: 'Leave "{name}"?',
+    removeFailed: 'Failed to update the group',
+    pending: 'Invited:',
+    inviteTitle: 'Invite People',
+    inviteEmail: 'Email',
+    invite: 'Send Invite',
+    invited: 'Invite sent to {email}',
+    inviteFailed: 'Failed to send invite',
+    inviteLink: 'Invite link:',
+    resetLink: 'Reset link',
+    confirmResetLink: 'Reset the invite link? The current link will stop working.',
+    resetLinkFailed: 'Failed to reset the invite link',
+    history: 'Decisions',
+    noDecisions: 'This group has not made any decisions yet.',
+    joining: 'Joining group...',
+    joined: 'Joined the group!',
+    joinFailed: 'Failed to join the group'
+  }
+};
+
+export default en;
@@ -0,0 +1,573 @@
+const es = {
+  common: {
+    creating: 'Creando...',
+    saving: 'Guardando...',
+    backHome: '← Volver al inicio',
+    delete: 'Eliminar',
+    unknown: 'Desconocido',
+    cancel: 'Cancelar',
+    save: 'Guardar',
+    edit: 'Editar'
+  },
+  auth: {
+    sessionExpired: 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+    welcomeGuest: '¡Bienvenido, {name}!',
+    guestFailed: 'No se pudo entrar como invitado',
+    joinRoomTitle: 'Unirse a la sala {roomCode}',
+    nickname: 'Tu apodo',
+    joining: 'Uniéndote...',
+    joinAsGuest: 'Entrar como invitado',
+    haveAccount: '¿Ya tienes cuenta?',
+    logIn: 'Inicia sesión',
+    loggedIn: '¡Sesión iniciada!',
+    loginFailed: 'No se pudo iniciar sesión',
+    loginTitle: 'Iniciar sesión',
+    email: 'Correo electrónico',
+    password: 'Contraseña',
+    loggingIn: 'Iniciando sesión...',
+    noAccount: '¿No tienes cuenta?',
+    signUp: 'Regístrate',
+    justVisiting: '¿Solo de visita?',
+    joinAsAGuest: 'Entra como invitado',
+    accountCreatedGuest: '¡Cuenta creada! Conservamos tu historial de invitado.',
+    accountCreated: '¡Cuenta creada!',
+    signupFailed: 'No se pudo completar el registro',
+    createAccountTitle: 'Crea tu cuenta',
+    signupTitle: 'Registrarse'
+  },
+  language: {
+    label: 'Idioma',
+    saveFailed: 'No se pudo guardar tu idioma'
+  },
+  offline: {
+    voteSyncFailed: 'No se pudo sincronizar tu voto en la sala {roomCode}: {reason}',
+    optionSyncFailed: 'No se pudo sincronizar tu opción en la sala {roomCode}: {reason}',
+    conflict: 'conflicto',
+    queueFailed: 'Estás sin conexión y este navegador no puede guardar el cambio para más tarde. Vuelve a intentarlo cuando tengas conexión.',
+    updateReady: 'Hay una nueva versión lista. Se cargará cuando cierres todas las pestañas de la aplicación.'
+  },
+  notifications: {
+    markReadFailed: 'No se pudieron marcar las notificaciones como leídas',
+    saveFailed: 'No se pudo guardar la configuración de notificaciones',
+    bellLabel: 'Notificaciones ({count} sin leer)',
+    title: 'Notificaciones',
+    markAllRead: 'Marcar todo como leído',
+    empty: 'Nada todavía.',
+    settingsLink: 'Configuración de notificaciones',
+    blocked: 'Las notificaciones del navegador están bloqueadas. Actívalas en la configuración del navegador.',
+    browserAlerts: 'Alertas del navegador',
+    unsupported: '(no compatible con este navegador)',
+    types: {
+      'option-added': 'Nueva opción añadida',
+      'voting-opened': 'Votación abierta',
+      'voting-closing': 'La votación cierra pronto',
+      tie: 'Hay un empate por resolver',
+      decision: 'Decisión final tomada',
+      'room-invite': 'Te añadieron a una sala del grupo',
+      'group-invite': 'Invitación a un grupo'
+    },
+    mutedRooms: 'Salas silenciadas:',
+    unmute: 'Reactivar'
+  },
+  profile: {
+    chooseImage: 'Elige un archivo de imagen',
+    uploadFailed: 'No se pudo subir el avatar',
+    saved: '¡Perfil guardado!',
+    saveFailed: 'No se pudo guardar el perfil',
+    title: 'Tu perfil',
+    avatarAlt: 'Tu avatar',
+    displayName: 'Nombre visible',
+    save: 'Guardar perfil'
+  },
+  myRooms: {
+    phases: {
+      options: 'Recogiendo opciones',
+      voting: 'Votación abierta',
+      tiebreaker: 'Pendiente de desempate'
+    },
+    loadFailed: 'No se pudieron cargar tus salas',
+    archived: 'Sala archivada',
+    archiveFailed: 'No se pudo archivar la sala',
+    confirmDelete: '¿Eliminar "{title}" para todos? Esta acción no se puede deshacer.',
+    deleted: 'Sala eliminada',
+    deleteFailed: 'No se pudo eliminar la sala',
+    title: 'Mis salas',
+    notVoted: 'Aún no has votado',
+    rejoin: 'Volver a entrar',
+    archive: 'Archivar'
+  },
+  home: {
+    votingMode: 'Método de votación',
+    ballotVisibility: 'Visibilidad de los votos',
+    ballots: {
+      anonymous: 'Voto secreto (nadie ve quién votó qué)',
+      'after-close': 'Mostrar quién votó qué al cerrar la votación',
+      open: 'Voto abierto (los votos se ven a medida que llegan)'
+    },
+    optionCount: {
+      one: '{count} opción',
+      other: '{count} opciones'
+    },
+    deleteTemplateLabel: 'Eliminar {name}',
+    templatesLoadFailed: 'No se pudieron cargar las plantillas',
+    confirmDeleteTemplate: '¿Eliminar la plantilla "{name}"?',
+    templateDeleted: 'Plantilla eliminada',
+    templateDeleteFailed: 'No se pudo eliminar la plantilla',
+    titleRequired: 'El título de la sala es obligatorio',
+    deadlineInPast: 'El plazo de opciones debe estar en el futuro',
+    roomCreated: '¡Sala creada! Redirigiendo...',
+    createFailed: 'No se pudo crear la sala',
+    enterCode: 'Introduce el código de la sala',
+    waitlisted: 'La sala está llena. Eres el n.º {position} en la lista de espera.',
+    joined: '¡Te has unido a la sala! Redirigiendo...',
+    joinFailed: 'No se pudo unir a la sala',
+    greeting: 'Hola,',
+    logout: 'Cerrar sesión',
+    createTitle: 'Crear sala de decisión',
+    fromTemplate: 'Empezar desde una plantilla:',
+    usingTemplate: {
+      one: 'Usando "{name}" con {count} opción.',
+      other: 'Usando "{name}" con {count} opciones.'
+    },
+    skipTemplateOptions: 'No añadir sus opciones',
+    roomTitle: 'Título de la sala',
+    description: 'Descripción (opcional)',
+    group: 'Grupo de amigos (opcional)',
+    noGroup: 'Sin grupo',
+    groupOption: {
+      one: '{name} ({count} miembro)',
+      other: '{name} ({count} miembros)'
+    },
+    groupHint: 'Todos los miembros del grupo se añaden a la sala y reciben un aviso.',
+    maxParticipants: 'Máximo de participantes (0 = sin límite)',
+    roundMinutes: 'Minutos por ronda (0 = hasta que el anfitrión avance)',
+    blind: 'Votación a ciegas (ocultar el recuento hasta que cierre la votación)',
+    vetoes: 'Vetos por participante (0 = ninguno)',
+    optionsDeadline: 'Plazo para opciones (opcional)',
+    votingMinutes: 'Duración de la votación en minutos (0 = hasta cerrarla)',
+    autoClose: 'Cerrar la votación automáticamente cuando todos hayan votado',
+    defaultTiebreaker: 'Si un empate no se resuelve a tiempo, usar',
+    createRoom: 'Crear sala',
+    joinTitle: 'Unirse a una sala',
+    enterCodePlaceholder: 'Código de la sala',
+    joinRoom: 'Unirse',
+    pastLink: 'Ver decisiones anteriores',
+    groupsLink: 'Grupos de amigos'
+  },
+  votingModes: {
+    plurality: 'Mayoría simple (una elección cada uno)',
+    approval: 'Aprobación (elige todas las que te gusten)',
+    ranked: 'Voto preferencial (segunda vuelta instantánea)',
+    borda: 'Recuento Borda (puntos por posición)',
+    tournament: 'Torneo (eliminatorias cara a cara)'
+  },
+  tiebreakers: {
+    dice: 'Tirada de dados',
+    spinner: 'Ruleta',
+    coin: 'Lanzar moneda',
+    flipOf: 'Lanzamiento {number} de {count}',
+    heads: 'Cara:',
+    tails: 'Cruz:',
+    headsShort: 'C',
+    tailsShort: 'X',
+    wins: '¡Gana {text}!',
+    result: 'Resultado del desempate:'
+  },
+  ballot: {
+    moveUp: 'Subir',
+    moveDown: 'Bajar',
+    rankHint: 'Arrastra las opciones (o usa las flechas) para ordenarlas, tu favorita primero.'
+  },
+  results: {
+    units: {
+      votes: {
+        one: '{count} voto',
+        other: '{count} votos'
+      },
+      approvals: {
+        one: '{count} aprobación',
+        other: '{count} aprobaciones'
+      },
+      points: {
+        one: '{count} punto',
+        other: '{count} puntos'
+      }
+    },
+    title: 'Resultados',
+    turnout: {
+      one: '{voted} de {count} participante ha votado',
+      other: '{voted} de {count} participantes han votado'
+    },
+    votesCast: {
+      zero: 'Aún no hay votos',
+      one: '{count} voto emitido',
+      other: '{count} votos emitidos'
+    },
+    blind: 'Votación a ciegas: el recuento se revela al cerrar la votación.',
+    bar: 'Barras',
+    pie: 'Circular',
+    weighted: 'Los recuentos incluyen el peso del voto de cada participante.',
+    tied: 'Empate: {options}',
+    eliminationRounds: 'Rondas de eliminación',
+    round: 'Ronda {number}',
+    eliminated: '(eliminada)'
+  },
+  bracket: {
+    final: 'Final',
+    semifinals: 'Semifinales',
+    quarterfinals: 'Cuartos de final',
+    roundOf: 'Ronda de {count}',
+    bye: 'Pase directo',
+    tbd: 'Por decidir',
+    champion: 'Campeona',
+    trophy: 'trofeo',
+    title: 'Cuadro',
+    tieRule: 'Los empates en un enfrentamiento los gana la opción mejor sembrada.',
+    preview: 'Vista previa del cuadro',
+    seeding: 'Las opciones se siembran en el orden en que se enviaron. Las mejores reciben los pases directos.'
+  },
+  roster: {
+    title: 'Participantes ({count})',
+    titleWithMax: 'Participantes ({count} / {max})',
+    online: 'En línea',
+    offline: 'Desconectado',
+    you: '(tú)',
+    roles: {
+      creator: 'Creador',
+      'co-host': 'Coanfitrión',
+      participant: 'Participante',
+      spectator: 'Espectador'
+    },
+    voted: 'ha votado ✓',
+    weight: 'Peso del voto',
+    weightFor: 'Peso del voto de {name}',
+    manage: 'Gestionar a {name}',
+    makeCoHost: 'Hacer coanfitrión',
+    makeParticipant: 'Hacer participante',
+    makeSpectator: 'Hacer espectador',
+    transfer: 'Transferir la propiedad',
+    remove: 'Quitar',
+    ban: 'Vetar acceso',
+    waitlist: 'Lista de espera'
+  },
+  verify: {
+    verifying: 'Verificando...',
+    button: 'Verificar este resultado',
+    verified: 'Verificado: la ganadora recalculada es',
+    mismatch: 'No coincide: {reason}',
+    recomputed: 'ganadora recalculada:',
+    pending: 'La semilla aún no se ha revelado.',
+    commitment: 'Compromiso',
+    revealedSeed: 'Semilla revelada',
+    entropy: 'Entropía de los participantes',
+    contributions: {
+      one: '{count} aportación',
+      other: '{count} aportaciones'
+    },
+    combinedSeed: 'Semilla combinada'
+  },
+  optionForm: {
+    textRequired: 'Escribe el texto de la opción',
+    invalidLink: 'Introduce un enlace http(s) válido',
+    text: 'Texto de la opción',
+    hideDetails: 'Ocultar detalles',
+    showDetails: 'Añadir detalles (descripción, enlace, imagen, ubicación)',
+    description: 'Descripción',
+    link: 'Enlace (menú, tráiler, web...)',
+    location: 'Ubicación o dirección',
+    image: 'Imagen (opcional)',
+    locationLabel: 'ubicación'
+  },
+  export: {
+    failed: 'No se pudo exportar',
+    ariaLabel: 'Exportar resultados',
+    exporting: 'Exportando...',
+    label: 'Exportar...',
+    image: 'Tarjeta de resultados (imagen)',
+    pdf: 'Resumen imprimible (PDF)',
+    csv: 'Hoja de cálculo (CSV)',
+    json: 'Historial completo (JSON)',
+    popupsBlocked: 'Permite las ventanas emergentes para imprimir el resumen',
+    finalDecision: 'Decisión final',
+    option: 'Opción',
+    units: {
+      votes: 'Votos',
+      approvals: 'Aprobaciones',
+      points: 'Puntos'
+    },
+    room: 'Sala {roomCode}',
+    tiebreaker: 'Desempate: {method}',
+    closed: 'Cerrada el {date}',
+    shareText: 'Decidimos: {decision}'
+  },
+  countdown: {
+    anyMoment: 'en cualquier momento'
+  },
+  room: {
+    vote: 'Votar',
+    loadFailed: 'No se pudieron cargar los datos de la sala',
+    group: 'Grupo:',
+    banned: 'Se te ha vetado el acceso a esta sala',
+    removed: 'Te han quitado de esta sala',
+    votingIsOpen: '¡La votación está abierta!',
+    optionAdded: '¡Opción añadida!',
+    optionQueued: 'Estás sin conexión. La opción se añadirá cuando vuelvas a conectarte.',
+    addOptionFailed: 'No se pudo añadir la opción',
+    optionUpdated: '¡Opción actualizada!',
+    updateOptionFailed: 'No se pudo actualizar la opción',
+    confirmWithdraw: '¿Retirar "{text}"?',
+    optionWithdrawn: 'Opción retirada',
+    withdrawFailed: 'No se pudo retirar la opción',
+    confirmMerge: '¿Fusionar "{source}" con "{target}"?',
+    merged: 'Opciones fusionadas',
+    mergeFailed: 'No se pudieron fusionar las opciones',
+    votingOpened: '¡Votación abierta!',
+    openFailed: 'No se pudo abrir la votación',
+    selectOption: 'Selecciona una opción para votar',
+    voteChanged: '¡Voto cambiado!',
+    voteCast: '¡Voto emitido!',
+    voteQueued: 'Estás sin conexión. Tu voto se enviará cuando vuelvas a conectarte.',
+    voteFailed: 'No se pudo votar',
+    champion: '¡Tenemos campeona!',
+    nextRound: '¡A la siguiente ronda!',
+    advanceFailed: 'No se pudo avanzar de ronda',
+    votingClosed: '¡Votación cerrada!',
+    tie: '¡Empate! Elige un método de desempate.',
+    decisionMade: '¡Decisión tomada!',
+    closeFailed: 'No se pudo cerrar la votación',
+    confirm: {
+      kick: '¿Quitar a {name} de la sala?',
+      ban: '¿Vetar a {name}? No podrá volver a entrar.',
+      transfer: '¿Hacer a {name} propietario de la sala? Tú pasarás a ser coanfitrión.'
+    },
+    participantUpdated: 'Participante actualizado',
+    participantFailed: 'No se pudo actualizar al participante',
+    confirmVeto: '¿Vetar "{text}"? Gastarás uno de tus vetos y no se puede deshacer.',
+    vetoed: 'Opción vetada',
+    vetoFailed: 'No se pudo vetar la opción',
+    weightInvalid: 'El peso debe ser cero o más',
+    weightSet: '{name} ahora cuenta ×{weight}',
+    weightFailed: 'No se pudo fijar el peso',
+    templateName: 'Nombre de la plantilla',
+    templateSaved: '¡Plantilla guardada!',
+    templateFailed: 'No se pudo guardar la plantilla',
+    entropyRequired: 'Introduce algo de entropía',
+    entropyAdded: '¡Entropía añadida!',
+    entropyFailed: 'No se pudo añadir la entropía',
+    tiebreakerFailed: 'No se pudo lanzar el desempate',
+    tiebreakerDone: '¡Desempate con {method} terminado! Ganadora: {winner}',
+    loading: 'Cargando sala...',
+    notFound: 'Sala no encontrada',
+    unmuteRoom: 'Reactivar esta sala',
+    muteRoom: 'Silenciar esta sala',
+    muted: 'Silenciada',
+    mute: 'Silenciar',
+    code: 'Código de sala:',
+    offline: 'Estás sin conexión. Las opciones y los votos se guardan y se envían al reconectar.',
+    offlineCached: 'Estás sin conexión; ves tu copia guardada de esta sala. Las opciones y los votos se guardan y se envían al reconectar.',
+    polling: 'Actualizaciones en directo no disponibles; actualizando cada pocos segundos...',
+    syncing: 'Sincronizando:',
+    waitingToSync: 'Pendiente de sincronizar:',
+    yourVotePending: 'tu voto',
+    optionsCloseIn: 'Las opciones cierran en',
+    votingClosesIn: 'La votación cierra en',
+    roundClosesIn: 'La ronda cierra en',
+    autoCloseHint: 'La votación se cierra automáticamente cuando todos hayan votado.',
+    autoTiebreakerIn: 'Empate sin resolver: desempate automático con {method} en',
+    guestNote: 'Participas como invitado.',
+    guestSignup: 'Crea una cuenta para guardar esta decisión en tu historial.',
+    shareLink: 'Enlace para compartir:',
+    waitlistNote: 'Esta sala está llena. Eres el n.º {position} en la lista de espera y puedes mirar hasta que quede un hueco.',
+    spectating: 'Estás viendo esta sala como espectador.',
+    readOnly: 'Esta decisión está cerrada. La ves en modo de solo lectura.',
+    submitOptions: 'Enviar opciones',
+    addOption: 'Añadir opción',
+    options: 'Opciones',
+    noOptions: 'Aún no se han enviado opciones.',
+    vetoAnOption: {
+      one: 'Vetar una opción (te queda {count})...',
+      other: 'Vetar una opción (te quedan {count})...'
+    },
+    withdraw: 'Retirar',
+    mergeInto: 'Fusionar con...',
+    vetoedBy: 'Vetada por {names}',
+    vetoedHidden: 'Vetada',
+    veto: {
+      one: 'Vetar (te queda {count})',
+      other: 'Vetar (te quedan {count})'
+    },
+    yourVote: '(Tu voto)',
+    approved: '(Aprobada)',
+    yourRank: '(Tu n.º {rank})',
+    casting: 'Emitiendo voto...',
+    updateVote: 'Actualizar voto',
+    keepVote: 'Mantener mi voto',
+    changeVote: 'Cambiar mi voto',
+    startTournament: 'Empezar torneo',
+    openVoting: 'Abrir votación',
+    saveTemplate: 'Guardar como plantilla',
+    closing: 'Cerrando...',
+    closeVoting: 'Cerrar votación',
+    closingRound: 'Cerrando ronda...',
+    endRound: 'Terminar la ronda ya',
+    celebration: 'celebración',
+    finalDecision: 'Decisión final:',
+    seedTitle: 'Semilla del desempate',
+    seedCommitment: 'Compromiso de la semilla:',
+    entropyMixed: 'Tu entropía ya está incluida. Se revelará con el resultado.',
+    entropyPlaceholder: 'Tu entropía (cualquier texto)',
+    random: 'Aleatoria',
+    add: 'Añadir',
+    tiebreakerNeeded: '¡Hace falta un desempate!',
+    chooseMethod: 'Elige un método para resolver el empate:',
+    rolling: 'Tirando...'
+  },
+  chat: {
+    title: 'Conversación',
+    lock: 'Bloquear chat',
+    unlock: 'Desbloquear chat',
+    empty: 'Aún no hay mensajes. ¡Defiende tu opción!',
+    placeholder: 'Escribe a la sala',
+    send: 'Enviar',
+    readOnly: 'Esta decisión está cerrada, así que el chat es de solo lectura.',
+    locked: 'El anfitrión ha bloqueado el chat.',
+    comments: {
+      zero: 'Comentar',
+      one: '{count} comentario',
+      other: '{count} comentarios'
+    },
+    commentPlaceholder: 'Comenta "{option}"',
+    react: {
+      one: '{emoji}: {count} reacción',
+      other: '{emoji}: {count} reacciones'
+    },
+    confirmDelete: '¿Eliminar este mensaje?',
+    sendFailed: 'No se pudo enviar el mensaje',
+    deleteFailed: 'No se pudo eliminar el mensaje',
+    lockFailed: 'No se pudo cambiar el bloqueo del chat',
+    reactFailed: 'No se pudo reaccionar',
+    system: {
+      'voting-opened': 'Se abrió la votación.',
+      'voting-closed': 'Se cerró la votación.',
+      tie: 'Empate entre {options}.',
+      decision: 'Ganadora elegida: {option}.'
+    }
+  },
+  a11y: {
+    highContrast: 'Alto contraste',
+    ballotLegend: {
+      plurality: 'Tu voto: elige una opción',
+      approval: 'Tu voto: aprueba todas las opciones que te gusten',
+      ranked: 'Tu voto: ordena las opciones'
+    },
+    shortcuts: 'Teclado: pulsa 1–9 para elegir una opción y V para votar.',
+    rankShortcuts: 'Teclado: usa los botones subir y bajar para reordenar y V para votar.',
+    tie: 'La votación terminó en empate entre {options}.',
+    tiebreakerRunning: 'Desempatando con {method}…',
+    tiebreakerRegion: 'Desempate',
+    decision: 'Decisión tomada: {option}.'
+  },
+  theme: {
+    label: 'Tema',
+    modes: {
+      system: 'Según el sistema',
+      light: 'Claro',
+      dark: 'Oscuro'
+    },
+    roomAccent: 'Color de la sala',
+    accents: {
+      default: 'Predeterminado',
+      ocean: 'Océano',
+      grape: 'Uva',
+      berry: 'Frambuesa',
+      forest: 'Bosque',
+      lagoon: 'Laguna',
+      sunset: 'Atardecer'
+    },
+    customAccent: 'Color personalizado',
+    saveFailed: 'No se pudo guardar el color de la sala'
+  },
+  past: {
+    loadFailed: 'No se pudieron cargar las decisiones anteriores',
+    loading: 'Cargando decisiones anteriores...',
+    empty: 'No hay decisiones anteriores.',
+    cloned: '¡Sala nueva creada! Redirigiendo...',
+    cloneFailed: 'No se pudo repetir',
+    bracketFailed: 'No se pudo cargar el cuadro',
+    title: 'Decisiones anteriores',
+    exportAll: 'Exportar todas mis decisiones...',
+    stats: {
+      decisions: {
+        one: 'decisión tomada',
+        other: 'decisiones tomadas'
+      },
+      tieRate: 'necesitaron desempate',
+      favouriteTiebreaker: 'desempate favorito',
+      topWinners: 'Ganadoras más frecuentes:'
+    },
+    search: 'Buscar por título',
+    from: 'Desde',
+    to: 'Hasta',
+    anyTiebreaker: 'Cualquier desempate',
+    noTiebreaker: 'Sin desempate',
+    sort: {
+      newest: 'Más recientes primero',
+      oldest: 'Más antiguas primero',
+      title: 'Título A–Z'
+    },
+    noMatches: 'Ninguna decisión coincide con tus filtros.',
+    finalChoice: 'Elección final:',
+    closed: 'Cerrada: {date}',
+    tiebreaker: 'Desempate: {method}',
+    runAgain: 'Repetir',
+    runAgainWithout: 'Repetir sin "{option}"',
+    hideBracket: 'Ocultar cuadro',
+    viewBracket: 'Ver cuadro',
+    loadMore: {
+      one: 'Cargar más (queda {count})',
+      other: 'Cargar más (quedan {count})'
+    }
+  },
+  groups: {
+    title: 'Grupos de amigos',
+    loading: 'Cargando grupos...',
+    loadFailed: 'No se pudieron cargar los grupos',
+    empty: 'Aún no estás en ningún grupo. Crea uno con las personas con las que decides cosas.',
+    memberCount: {
+      one: '{count} miembro',
+      other: '{count} miembros'
+    },
+    createTitle: 'Crear un grupo',
+    name: 'Nombre del grupo',
+    nameRequired: 'El nombre del grupo es obligatorio',
+    create: 'Crear grupo',
+    createFailed: 'No se pudo crear el grupo',
+    notFound: 'Grupo no encontrado',
+    backToGroups: 'Volver a los grupos',
+    newRoom: 'Nueva sala con este grupo',
+    members: 'Miembros ({count})',
+    owner: 'propietario',
+    remove: 'Quitar',
+    leave: 'Salir del grupo',
+    confirmRemove: '¿Quitar a {name} del grupo?',
+    confirmLeave: '¿Salir de "{name}"?',
+    removeFailed: 'No se pudo actualizar el grupo',
+    pending: 'Invitados:',
+    inviteTitle: 'Invitar a personas',
+    inviteEmail: 'Correo electrónico',
+    invite: 'Enviar invitación',
+    invited: 'Invitación enviada a {email}',
+    inviteFailed: 'No se pudo enviar la invitación',
+    inviteLink: 'Enlace de invitación:',
+    resetLink: 'Restablecer enlace',
+    confirmResetLink: '¿Restablecer el enlace de invitación? El enlace actual dejará de funcionar.',
+    resetLinkFailed: 'No se pudo restablecer el enlace de invitación',
+    history: 'Decisiones',
+    noDecisions: 'Este grupo aún no ha tomado ninguna decisión.',
+    joining: 'Uniéndote al grupo...',
+    joined: '¡Te uniste al grupo!',
+    joinFailed: 'No se pudo unir al grupo'
+  }
+};
+
+export default es;
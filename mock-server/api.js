@@ -0,0 +1,973 @@
+// In-memory mock of the REST API under /api, enough to run a room from creation to decision
+// without the real backend. State lives for the life of the process; nothing is persisted.
+//
+// Covered: /auth/* (signup, login, guest, refresh, logout, me, upgrade), /rooms, /rooms/join,
+// /rooms/mine, /rooms/code/:code, archive, delete and clone, options (edit, withdraw, merge,
+// reactions), open/close voting, votes, vote weights, vetoes, roster roles, kick, ban and
+// ownership transfer, entropy, tiebreaker, room chat (delete, lock), room accent colour,
+// /rooms/past/rooms, templates, friend groups, notifications and tournament matches and rounds.
+// Anything else answers 404 so gaps are obvious.
+// Not simulated: avatar uploads, presence, option and voting deadlines, tournament round timers.
+// Ranked and Borda ballots are counted by first preference.
+const crypto = require('crypto');
+
+const accessTtlMs = 15 * 60 * 1000;
+
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function base64Url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function randomId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function randomRoomCode() {
+  return crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function accentColor(value) {
+  if (value == null) return null;
+  if (!/^#[0-9a-f]{6}$/i.test(value)) throw new ApiError(400, 'Accent colour must be #rrggbb');
+  return value.toLowerCase();
+}
+
+// Same commit–reveal draws as fairness.js so the client's VerifyPanel agrees with the mock
+function drawer(combinedSeed) {
+  let i = 0;
+  return () => parseInt(sha256Hex(`${combinedSeed}:${i++}`).slice(0, 8), 16) / 0x100000000;
+}
+
+const tiebreakers = {
+  dice: (ids, draw) => ids[Math.floor(draw() * ids.length)],
+  spinner: (ids, draw, weights = {}) => {
+    const total = ids.reduce((sum, id) => sum + (weights[id] || 1), 0);
+    let point = draw() * total;
+    for (const id of ids) {
+      point -= weights[id] || 1;
+      if (point < 0) return id;
+    }
+    return ids[ids.length - 1];
+  },
+  coin: (ids, draw) => {
+    let field = ids;
+    while (field.length > 1) {
+      const next = [];
+      for (let i = 0; i < field.length; i += 2) {
+        next.push(field[i + 1] && draw() >= 0.5 ? field[i + 1] : field[i]);
+      }
+      field = next;
+    }
+    return field[0];
+  }
+};
+
+function createMockApi({ broadcast = () => {} } = {}) {
+  const users = new Map(); // email -> user
+  const sessions = new Map(); // access token -> email
+  const refreshTokens = new Map(); // refresh token -> email
+  const rooms = new Map(); // _id -> room
+  const groups = new Map(); // _id -> group
+  const notifications = new Map(); // email -> notifications, newest first
+  const templates = new Map(); // _id -> template
+
+  function issueTokens(email) {
+    const token = `${base64Url({ alg: 'none', typ: 'JWT' })}.${base64Url({ sub: email, exp: Math.floor((Date.now() + accessTtlMs) / 1000) })}.mock`;
+    const refreshToken = randomId();
+    sessions.set(token, email);
+    refreshTokens.set(refreshToken, email);
+    return { token, refreshToken };
+  }
+
+  function currentUser(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const email = sessions.get(token);
+    if (!email) throw new ApiError(401, 'Not signed in');
+    return users.get(email);
+  }
+
+  function profile(user) {
+    return {
+      email: user.email,
+      name: user.name,
+      avatarUrl: user.avatarUrl || null,
+      guest: Boolean(user.guest),
+      roomCode: user.roomCode || null,
+      notificationPrefs: user.notificationPrefs,
+      locale: user.locale || null
+    };
+  }
+
+  function roomById(id, user) {
+    const room = rooms.get(id);
+    if (!room) throw new ApiError(404, 'Room not found');
+    // Guest tokens only reach the room they joined
+    if (user.guest && room.roomCode !== user.roomCode) throw new ApiError(403, 'Guests can only access their own room');
+    return room;
+  }
+
+  function roomByCode(code, user) {
+    const room = [...rooms.values()].find(r => r.roomCode === String(code).toUpperCase());
+    if (!room) throw new ApiError(404, 'Room not found');
+    return roomById(room._id, user);
+  }
+
+  function participantOf(room, user) {
+    const p = room.participants.find(p => p.email === user.email);
+    if (!p) throw new ApiError(403, 'Join the room first');
+    return p;
+  }
+
+  function requireHost(room, user) {
+    const role = participantOf(room, user).role;
+    if (role !== 'creator' && role !== 'co-host') throw new ApiError(403, 'Only the host can do that');
+  }
+
+  function addParticipant(room, user) {
+    if (room.participants.some(p => p.email === user.email)) return { joined: true };
+    if (room.banned.includes(user.email)) throw new ApiError(403, 'You have been removed from this room');
+    const voters = room.participants.filter(p => p.role !== 'spectator').length;
+    if (room.maxParticipants && voters >= room.maxParticipants) {
+      if (!room.waitlist.some(p => p.email === user.email)) room.waitlist.push({ email: user.email, name: user.name });
+      return { waitlisted: true, position: room.waitlist.findIndex(p => p.email === user.email) + 1 };
+    }
+    const participant = { email: user.email, name: user.name, role: 'participant', weight: 1 };
+    room.participants.push(participant);
+    broadcast(room.roomCode, { type: 'participant-joined', payload: { participant } });
+    return { joined: true };
+  }
+
+  function requireCreator(room, user, message = 'Only the room creator can do that') {
+    if (room.creatorId !== user.email) throw new ApiError(403, message);
+  }
+
+  function voterCount(room) {
+    return room.participants.filter(p => p.role !== 'spectator').length;
+  }
+
+  // A freed seat goes to the head of the waitlist
+  function promoteWaitlist(room) {
+    while (room.waitlist.length && (!room.maxParticipants || voterCount(room) < room.maxParticipants)) {
+      const next = room.waitlist.shift();
+      const participant = { email: next.email, name: next.name, role: 'participant', weight: 1 };
+      room.participants.push(participant);
+      broadcast(room.roomCode, { type: 'participant-joined', payload: { participant } });
+    }
+  }
+
+  function removeParticipant(room, email, banned) {
+    const participant = room.participants.find(p => p.email === email);
+    if (!participant) throw new ApiError(404, 'Not in this room');
+    if (participant.role === 'creator') throw new ApiError(400, 'The creator cannot be removed');
+    room.participants = room.participants.filter(p => p !== participant);
+    if (!room.votingClosedAt) room.ballots.delete(email);
+    if (banned) room.banned.push(email);
+    broadcast(room.roomCode, { type: 'participant-left', payload: { email, banned } });
+    promoteWaitlist(room);
+    return { ok: true };
+  }
+
+  function newOption(fields, submittedBy) {
+    return {
+      _id: randomId(),
+      text: fields.text.trim(),
+      description: fields.description || '',
+      url: fields.url || '',
+      submittedBy,
+      vetoedBy: [],
+      reactions: {} // emoji -> emails
+    };
+  }
+
+  function optionById(room, id) {
+    const option = room.options.find(o => o._id === id);
+    if (!option) throw new ApiError(404, 'Option not found');
+    return option;
+  }
+
+  function broadcastOption(room, option) {
+    broadcast(room.roomCode, { type: 'option-updated', payload: { option: optionView(room, option, counts(room)) } });
+  }
+
+  function broadcastCounts(room) {
+    if (room.votingOpen && room.tallyVisibility !== 'blind') {
+      broadcast(room.roomCode, { type: 'vote-count', payload: { counts: counts(room), votesCast: room.ballots.size } });
+    }
+  }
+
+  function notify(email, notification) {
+    if (!notifications.has(email)) notifications.set(email, []);
+    notifications.get(email).unshift({ _id: randomId(), read: false, createdAt: new Date().toISOString(), ...notification });
+  }
+
+  function groupById(id, user) {
+    const group = groups.get(id);
+    if (!group) throw new ApiError(404, 'Group not found');
+    if (!group.members.some(m => m.email === user.email)) throw new ApiError(403, 'You are not in this group');
+    return group;
+  }
+
+  function groupView(group) {
+    return {
+      _id: group._id,
+      name: group.name,
+      ownerEmail: group.ownerEmail,
+      members: group.members,
+      invites: group.invites,
+      inviteCode: group.inviteCode,
+      createdAt: group.createdAt
+    };
+  }
+
+  function systemMessage(room, event, params = {}) {
+    const message = { _id: randomId(), kind: 'system', event, params, createdAt: new Date().toISOString() };
+    room.messages.push(message);
+    broadcast(room.roomCode, { type: 'chat-message', payload: { message } });
+  }
+
+  // First-round counts; ranked and Borda ballots count their first preference
+  function counts(room) {
+    const result = Object.fromEntries(room.options.map(o => [o._id, 0]));
+    room.ballots.forEach((ballot, email) => {
+      const weight = room.participants.find(p => p.email === email)?.weight ?? 1;
+      const picks = ballot.optionIds || (ballot.ranking ? ballot.ranking.slice(0, 1) : [ballot.optionId]);
+      picks.filter(id => id in result).forEach(id => (result[id] += weight));
+    });
+    return result;
+  }
+
+  function optionView(room, option, liveCounts) {
+    const closed = !room.votingOpen && Boolean(room.votingClosedAt);
+    const showVoters = room.ballotVisibility === 'open' || (room.ballotVisibility === 'after-close' && closed);
+    const hideCounts = room.votingOpen && room.tallyVisibility === 'blind';
+    return {
+      ...option,
+      votes: hideCounts ? 0 : liveCounts[option._id] || 0,
+      voters: showVoters
+        ? room.participants
+          .filter(p => {
+            const b = room.ballots.get(p.email);
+            return b && (b.optionId === option._id || b.optionIds?.includes(option._id) || b.ranking?.[0] === option._id);
+          })
+          .map(p => ({ email: p.email, name: p.name }))
+        : []
+    };
+  }
+
+  function roomSummary(room, user) {
+    return {
+      _id: room._id,
+      roomCode: room.roomCode,
+      title: room.title,
+      description: room.description,
+      creatorId: room.creatorId,
+      participants: room.participants.map(p => ({ ...p, hasVoted: room.ballots.has(p.email) })),
+      waitlist: room.waitlist,
+      maxParticipants: room.maxParticipants,
+      votingMode: room.votingMode,
+      tallyVisibility: room.tallyVisibility,
+      ballotVisibility: room.ballotVisibility,
+      vetoBudget: room.vetoBudget,
+      autoCloseWhenAllVoted: room.autoCloseWhenAllVoted,
+      defaultTiebreaker: room.defaultTiebreaker,
+      accentColor: room.accentColor,
+      bracket: bracketView(room, user),
+      groupId: room.groupId,
+      groupName: room.groupName,
+      votingOpen: room.votingOpen,
+      votingClosedAt: room.votingClosedAt,
+      awaitingTiebreaker: Boolean(room.tiedOptionIds),
+      finalDecision: room.finalDecision,
+      tiebreakerUsed: room.tiebreakerUsed,
+      fairness: room.fairness,
+      chatLocked: room.chatLocked,
+      votesCast: room.ballots.size,
+      hasVoted: user ? room.ballots.has(user.email) : false,
+      createdAt: room.createdAt
+    };
+  }
+
+  function roomData(room, user) {
+    const liveCounts = counts(room);
+    const closed = !room.votingOpen && Boolean(room.votingClosedAt);
+    return {
+      room: roomSummary(room, user),
+      options: room.options.map(o => optionView(room, o, liveCounts)),
+      hasVoted: room.ballots.has(user.email),
+      myBallot: room.ballots.get(user.email) || null,
+      // Ballots are published without voter identities once voting closes
+      ballots: closed
+        ? [...room.ballots].map(([email, b]) => ({ ...b, weight: room.participants.find(p => p.email === email)?.weight ?? 1 }))
+        : [],
+      messages: room.messages
+    };
+  }
+
+  function decide(room, optionId, method = null) {
+    room.finalDecision = { optionId, method };
+    room.tiebreakerUsed = method;
+    room.tiedOptionIds = null;
+    const option = room.options.find(o => o._id === optionId);
+    systemMessage(room, 'decision', { option: option?.text || '' });
+  }
+
+  function closeVoting(room) {
+    room.votingOpen = false;
+    room.votingClosedAt = new Date().toISOString();
+    // Vetoed options can neither win nor tie
+    const liveCounts = Object.fromEntries(
+      Object.entries(counts(room)).filter(([id]) => !room.options.find(o => o._id === id).vetoedBy.length)
+    );
+    const top = Math.max(0, ...Object.values(liveCounts));
+    const leaders = Object.keys(liveCounts).filter(id => liveCounts[id] === top);
+    const tie = leaders.length > 1;
+    if (tie) {
+      // Commit to a seed now; it is revealed when the tiebreaker runs
+      room.serverSeed = crypto.randomBytes(32).toString('hex');
+      room.tiedOptionIds = leaders;
+      room.fairness = { seedHash: sha256Hex(room.serverSeed), entropy: [] };
+      systemMessage(room, 'tie', { options: room.options.filter(o => leaders.includes(o._id)).map(o => o.text).join(', ') });
+    } else {
+      decide(room, leaders[0]);
+    }
+    broadcast(room.roomCode, { type: 'voting-closed', payload: { tie, tiedOptionIds: tie ? leaders : [] } });
+    return tie ? { tie, tiedOptionIds: leaders } : { tie, winnerOptionId: leaders[0] };
+  }
+
+  // Single elimination seeded in option order, as bracket.js previews it: byes go to the top
+  // seeds and a tied match to the higher seed
+  function startBracket(room) {
+    const ids = room.options.map(o => o._id);
+    let size = 2;
+    while (size < ids.length) size *= 2;
+    let order = [1];
+    while (order.length < size) order = order.flatMap(seed => [seed, order.length * 2 + 1 - seed]);
+    const slots = order.map(seed => ids[seed - 1] ?? null);
+    const rounds = [];
+    for (let matches = size / 2, r = 0; matches >= 1; matches /= 2, r++) {
+      rounds.push(
+        Array.from({ length: matches }, (_, i) => {
+          const optionIds = r === 0 ? [slots[i * 2], slots[i * 2 + 1]] : [null, null];
+          const bye = r === 0 && optionIds.includes(null);
+          return { _id: `r${r}m${i}`, optionIds, ballots: new Map(), winnerId: bye ? optionIds.find(Boolean) : null };
+        })
+      );
+    }
+    room.bracket = { rounds, currentRound: 0, championId: null, roundClosesAt: null };
+  }
+
+  function matchVotes(room, match) {
+    const votes = Object.fromEntries(match.optionIds.filter(Boolean).map(id => [id, 0]));
+    match.ballots.forEach((optionId, email) => {
+      votes[optionId] += room.participants.find(p => p.email === email)?.weight ?? 1;
+    });
+    return votes;
+  }
+
+  // Without a user this is the broadcast copy, which can't say which side each viewer picked
+  function bracketView(room, user) {
+    if (!room.bracket) return null;
+    return {
+      ...room.bracket,
+      rounds: room.bracket.rounds.map(matches =>
+        matches.map(({ ballots, ...match }) => ({
+          ...match,
+          votes: matchVotes(room, { ...match, ballots }),
+          ...(user && { myVote: ballots.get(user.email) || null })
+        }))
+      )
+    };
+  }
+
+  function advanceRound(room) {
+    const { rounds, currentRound } = room.bracket;
+    const seed = id => room.options.findIndex(o => o._id === id);
+    rounds[currentRound].forEach(match => {
+      if (match.winnerId) return;
+      const [a, b] = match.optionIds;
+      const votes = matchVotes(room, match);
+      match.winnerId = votes[a] !== votes[b] ? (votes[a] > votes[b] ? a : b) : seed(a) < seed(b) ? a : b;
+    });
+    const winners = rounds[currentRound].map(m => m.winnerId);
+    if (currentRound === rounds.length - 1) {
+      room.bracket.championId = winners[0];
+      room.votingOpen = false;
+      room.votingClosedAt = new Date().toISOString();
+      decide(room, winners[0]);
+    } else {
+      rounds[currentRound + 1].forEach((match, i) => (match.optionIds = [winners[i * 2], winners[i * 2 + 1]]));
+      room.bracket.currentRound += 1;
+    }
+    broadcast(room.roomCode, { type: 'bracket-updated', payload: { bracket: bracketView(room) } });
+    if (room.bracket.championId) {
+      broadcast(room.roomCode, { type: 'voting-closed', payload: { tie: false, tiedOptionIds: [] } });
+    }
+    return { championId: room.bracket.championId, currentRound: room.bracket.currentRound };
+  }
+
+  function createRoom(user, body) {
+    if (!String(body.title || '').trim()) throw new ApiError(400, 'Room title is required');
+    const group = body.groupId ? groupById(body.groupId, user) : null;
+    let roomCode = randomRoomCode();
+    while ([...rooms.values()].some(r => r.roomCode === roomCode)) roomCode = randomRoomCode();
+    const room = {
+      _id: randomId(),
+      roomCode,
+      title: body.title.trim(),
+      description: body.description || '',
+      creatorId: user.email,
+      participants: [{ email: user.email, name: user.name, role: 'creator', weight: 1 }],
+      waitlist: [],
+      maxParticipants: body.maxParticipants || 0,
+      votingMode: body.votingMode || 'plurality',
+      tallyVisibility: body.tallyVisibility || 'live',
+      ballotVisibility: body.ballotVisibility || 'anonymous',
+      vetoBudget: body.vetoBudget || 0,
+      autoCloseWhenAllVoted: Boolean(body.autoCloseWhenAllVoted),
+      defaultTiebreaker: body.defaultTiebreaker || 'dice',
+      accentColor: accentColor(body.accentColor),
+      bracket: null,
+      groupId: group?._id || null,
+      groupName: group?.name || null,
+      votingOpen: false,
+      votingClosedAt: null,
+      finalDecision: null,
+      tiebreakerUsed: null,
+      tiedOptionIds: null,
+      fairness: null,
+      chatLocked: false,
+      archived: false,
+      banned: [],
+      options: (body.options || []).map(o => newOption(o, user.email)),
+      ballots: new Map(), // email -> ballot
+      messages: [],
+      createdAt: new Date().toISOString()
+    };
+    rooms.set(room._id, room);
+    // Group rooms start with every member already in; each is told where to go
+    group?.members
+      .filter(m => m.email !== user.email)
+      .forEach(m => {
+        addParticipant(room, users.get(m.email) || m);
+        notify(m.email, {
+          type: 'room-invite',
+          roomCode,
+          roomTitle: room.title,
+          groupId: group._id,
+          groupName: group.name,
+          message: `${user.name} started a decision in ${group.name}`
+        });
+      });
+    return { _id: room._id, roomCode };
+  }
+
+  // The settings a "Run again" copy carries over
+  function roomSettings(room) {
+    return {
+      title: room.title,
+      description: room.description,
+      maxParticipants: room.maxParticipants,
+      votingMode: room.votingMode,
+      tallyVisibility: room.tallyVisibility,
+      ballotVisibility: room.ballotVisibility,
+      vetoBudget: room.vetoBudget,
+      autoCloseWhenAllVoted: room.autoCloseWhenAllVoted,
+      defaultTiebreaker: room.defaultTiebreaker,
+      accentColor: room.accentColor,
+      groupId: room.groupId
+    };
+  }
+
+  const routes = [
+    ['POST', /^\/auth\/signup$/, ({ body }) => {
+      const email = String(body.email || '').trim().toLowerCase();
+      if (!email || !body.password) throw new ApiError(400, 'Email and password are required');
+      if (users.has(email)) throw new ApiError(409, 'An account with that email already exists');
+      users.set(email, { email, password: body.password, name: email.split('@')[0], notificationPrefs: null });
+      return { email, ...issueTokens(email) };
+    }],
+    ['POST', /^\/auth\/login$/, ({ body }) => {
+      const email = String(body.email || '').trim().toLowerCase();
+      const user = users.get(email);
+      if (!user || user.guest || user.password !== body.password) throw new ApiError(401, 'Invalid email or password');
+      return { email, ...issueTokens(email) };
+    }],
+    ['POST', /^\/auth\/guest$/, ({ body }) => {
+      const nickname = String(body.nickname || '').trim();
+      if (!nickname) throw new ApiError(400, 'Pick a nickname');
+      const room = [...rooms.values()].find(r => r.roomCode === String(body.roomCode || '').toUpperCase());
+      if (!room) throw new ApiError(404, 'Room not found');
+      const guestId = `guest-${randomId()}`;
+      const user = { email: guestId, name: nickname, guest: true, roomCode: room.roomCode, notificationPrefs: null };
+      users.set(guestId, user);
+      addParticipant(room, user);
+      return { guestId, ...issueTokens(guestId) };
+    }],
+    ['POST', /^\/auth\/refresh$/, ({ body }) => {
+      const email = refreshTokens.get(body.refreshToken);
+      if (!email) throw new ApiError(401, 'Session expired');
+      refreshTokens.delete(body.refreshToken);
+      return issueTokens(email);
+    }],
+    ['POST', /^\/auth\/logout$/, ({ body }) => {
+      refreshTokens.delete(body.refreshToken);
+      return { ok: true };
+    }],
+    ['GET', /^\/auth\/me$/, ({ user }) => profile(user)],
+    ['PUT', /^\/auth\/me$/, ({ user, body }) => {
+      ['name', 'avatarUrl', 'notificationPrefs', 'locale'].forEach(key => {
+        if (body[key] !== undefined) user[key] = body[key];
+      });
+      return profile(user);
+    }],
+    // A guest keeps their rooms and ballots when they sign up
+    ['POST', /^\/auth\/upgrade$/, ({ user, body }) => {
+      if (!user.guest) throw new ApiError(400, 'Already signed up');
+      const email = String(body.email || '').trim().toLowerCase();
+      if (!email || !body.password) throw new ApiError(400, 'Email and password are required');
+      if (users.has(email)) throw new ApiError(409, 'An account with that email already exists');
+      rooms.forEach(room => {
+        room.participants.forEach(p => {
+          if (p.email === user.email) p.email = email;
+        });
+        if (room.ballots.has(user.email)) {
+          room.ballots.set(email, room.ballots.get(user.email));
+          room.ballots.delete(user.email);
+        }
+      });
+      users.delete(user.email);
+      users.set(email, { email, password: body.password, name: user.name, notificationPrefs: null });
+      return { email, ...issueTokens(email) };
+    }],
+    ['GET', /^\/notifications$/, ({ user }) => notifications.get(user.email) || []],
+    ['POST', /^\/notifications\/read$/, ({ user, body }) => {
+      (notifications.get(user.email) || []).forEach(n => {
+        if (!body.ids || body.ids.includes(n._id)) n.read = true;
+      });
+      return { ok: true };
+    }],
+    ['GET', /^\/groups$/, ({ user }) =>
+      [...groups.values()]
+        .filter(g => g.members.some(m => m.email === user.email))
+        .map(g => ({ _id: g._id, name: g.name, ownerEmail: g.ownerEmail, memberCount: g.members.length }))
+    ],
+    ['POST', /^\/groups$/, ({ user, body }) => {
+      if (user.guest) throw new ApiError(403, 'Sign up to create groups');
+      if (!String(body.name || '').trim()) throw new ApiError(400, 'Group name is required');
+      const group = {
+        _id: randomId(),
+        name: body.name.trim(),
+        ownerEmail: user.email,
+        members: [{ email: user.email, name: user.name, role: 'owner' }],
+        invites: [],
+        inviteCode: randomId(),
+        createdAt: new Date().toISOString()
+      };
+      groups.set(group._id, group);
+      return groupView(group);
+    }],
+    ['POST', /^\/groups\/join$/, ({ user, body }) => {
+      if (user.guest) throw new ApiError(403, 'Sign up to join groups');
+      const group = [...groups.values()].find(g => g.inviteCode === body.inviteCode);
+      if (!group) throw new ApiError(404, 'This invite link is no longer valid');
+      if (!group.members.some(m => m.email === user.email)) {
+        group.members.push({ email: user.email, name: user.name, role: 'member' });
+      }
+      group.invites = group.invites.filter(i => i.email !== user.email);
+      return { groupId: group._id };
+    }],
+    ['GET', /^\/groups\/([^/]+)$/, ({ user, params }) => groupView(groupById(params[0], user))],
+    ['POST', /^\/groups\/([^/]+)\/invites$/, ({ user, params, body }) => {
+      const group = groupById(params[0], user);
+      const email = String(body.email || '').trim().toLowerCase();
+      if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new ApiError(400, 'Enter a valid email');
+      if (group.members.some(m => m.email === email)) throw new ApiError(409, 'Already in the group');
+      if (!group.invites.some(i => i.email === email)) group.invites.push({ email, invitedBy: user.email });
+      // The real backend also emails the link; here only existing accounts see it, in their notifications
+      notify(email, {
+        type: 'group-invite',
+        groupId: group._id,
+        groupName: group.name,
+        inviteCode: group.inviteCode,
+        message: `${user.name} invited you to ${group.name}`
+      });
+      return groupView(group);
+    }],
+    ['POST', /^\/groups\/([^/]+)\/invite-link$/, ({ user, params }) => {
+      const group = groupById(params[0], user);
+      if (group.ownerEmail !== user.email) throw new ApiError(403, 'Only the group owner can do that');
+      group.inviteCode = randomId();
+      return groupView(group);
+    }],
+    ['DELETE', /^\/groups\/([^/]+)\/members\/([^/]+)$/, ({ user, params }) => {
+      const group = groupById(params[0], user);
+      const email = params[1];
+      if (email !== user.email && group.ownerEmail !== user.email) throw new ApiError(403, 'Only the group owner can do that');
+      if (email === group.ownerEmail) throw new ApiError(400, 'The owner cannot leave the group');
+      group.members = group.members.filter(m => m.email !== email);
+      group.invites = group.invites.filter(i => i.email !== email);
+      return groupView(group);
+    }],
+    ['GET', /^\/templates$/, ({ user }) => [...templates.values()].filter(tpl => tpl.ownerEmail === user.email)],
+    ['POST', /^\/templates$/, ({ user, body }) => {
+      if (user.guest) throw new ApiError(403, 'Sign up to save templates');
+      if (!String(body.name || '').trim()) throw new ApiError(400, 'Template name is required');
+      const template = {
+        _id: randomId(),
+        name: body.name.trim(),
+        ownerEmail: user.email,
+        settings: body.settings || {},
+        options: (body.options || []).filter(o => String(o.text || '').trim()),
+        createdAt: new Date().toISOString()
+      };
+      templates.set(template._id, template);
+      return template;
+    }],
+    ['DELETE', /^\/templates\/([^/]+)$/, ({ user, params }) => {
+      const template = templates.get(params[0]);
+      if (!template || template.ownerEmail !== user.email) throw new ApiError(404, 'Template not found');
+      templates.delete(template._id);
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms$/, ({ user, body }) => {
+      if (user.guest) throw new ApiError(403, 'Sign up to create rooms');
+      return createRoom(user, body);
+    }],
+    ['POST', /^\/rooms\/join$/, ({ user, body }) => {
+      const room = roomByCode(body.roomCode || '', user);
+      if (room.finalDecision) throw new ApiError(400, 'This decision is already closed');
+      return addParticipant(room, user);
+    }],
+    ['GET', /^\/rooms\/mine$/, ({ user }) =>
+      [...rooms.values()]
+        .filter(r => !r.archived && r.participants.some(p => p.email === user.email))
+        .map(r => roomSummary(r, user))
+    ],
+    ['GET', /^\/rooms\/past\/rooms$/, ({ user }) =>
+      [...rooms.values()]
+        .filter(r => r.finalDecision && r.participants.some(p => p.email === user.email))
+        .map(r => ({
+          id: r._id,
+          roomCode: r.roomCode,
+          title: r.title,
+          votingMode: r.votingMode,
+          groupId: r.groupId,
+          finalChosenOption: r.options.find(o => o._id === r.finalDecision.optionId)?.text || null,
+          votingClosedAt: r.votingClosedAt,
+          tiebreakerUsed: r.tiebreakerUsed,
+          fairness: r.fairness
+        }))
+    ],
+    ['POST', /^\/rooms\/([^/]+)\/archive$/, ({ user, params }) => {
+      const room = roomById(params[0], user);
+      requireCreator(room, user);
+      room.archived = true;
+      return { ok: true };
+    }],
+    ['DELETE', /^\/rooms\/([^/]+)$/, ({ user, params }) => {
+      const room = roomById(params[0], user);
+      requireCreator(room, user);
+      rooms.delete(room._id);
+      return { ok: true };
+    }],
+    // "Run again": same settings and options under a fresh room code, optionally without the last winner
+    ['POST', /^\/rooms\/([^/]+)\/clone$/, ({ user, params, body }) => {
+      const source = roomById(params[0], user);
+      participantOf(source, user);
+      if (user.guest) throw new ApiError(403, 'Sign up to create rooms');
+      const winnerId = body.excludeWinner ? source.finalDecision?.optionId : null;
+      return createRoom(user, {
+        ...roomSettings(source),
+        options: source.options.filter(o => o._id !== winnerId)
+      });
+    }],
+    ['GET', /^\/rooms\/code\/([^/]+)$/, ({ user, params }) => roomData(roomByCode(params[0], user), user)],
+    ['POST', /^\/rooms\/([^/]+)\/options$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      if (participantOf(room, user).role === 'spectator') throw new ApiError(403, 'Spectators cannot add options');
+      if (room.votingOpen || room.votingClosedAt) throw new ApiError(400, 'Options are closed');
+      if (!String(body.text || '').trim()) throw new ApiError(400, 'Option text is required');
+      const option = newOption(body, user.email);
+      room.options.push(option);
+      broadcast(room.roomCode, { type: 'option-added', payload: { option } });
+      return { option };
+    }],
+    ['PUT', /^\/rooms\/([^/]+)\/options\/([^/]+)$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      const option = optionById(room, params[1]);
+      if (option.submittedBy !== user.email) throw new ApiError(403, 'You can only edit your own options');
+      if (room.votingOpen || room.votingClosedAt) throw new ApiError(400, 'Options are closed');
+      ['text', 'description', 'url'].forEach(key => {
+        if (body[key] !== undefined) option[key] = body[key];
+      });
+      broadcast(room.roomCode, { type: 'option-updated', payload: { option } });
+      return { option };
+    }],
+    ['DELETE', /^\/rooms\/([^/]+)\/options\/([^/]+)$/, ({ user, params }) => {
+      const room = roomById(params[0], user);
+      const option = optionById(room, params[1]);
+      if (option.submittedBy !== user.email) throw new ApiError(403, 'You can only withdraw your own options');
+      if (room.votingOpen || room.votingClosedAt) throw new ApiError(400, 'Options are closed');
+      room.options = room.options.filter(o => o !== option);
+      broadcast(room.roomCode, { type: 'option-removed', payload: { optionId: option._id } });
+      return { ok: true };
+    }],
+    // Duplicates fold into the target, which keeps their reactions
+    ['POST', /^\/rooms\/([^/]+)\/options\/merge$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      requireCreator(room, user, 'Only the room creator can merge options');
+      if (room.votingOpen || room.votingClosedAt) throw new ApiError(400, 'Options are closed');
+      const target = optionById(room, body.targetId);
+      const sources = (body.sourceIds || []).filter(id => id !== target._id).map(id => optionById(room, id));
+      if (!sources.length) throw new ApiError(400, 'Pick an option to merge');
+      sources.forEach(source => {
+        Object.entries(source.reactions).forEach(([emoji, emails]) => {
+          target.reactions[emoji] = [...new Set([...(target.reactions[emoji] || []), ...emails])];
+        });
+        room.options = room.options.filter(o => o !== source);
+        broadcast(room.roomCode, { type: 'option-removed', payload: { optionId: source._id } });
+      });
+      broadcastOption(room, target);
+      return { option: target };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/options\/([^/]+)\/reactions$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      participantOf(room, user);
+      if (room.finalDecision) throw new ApiError(400, 'This decision is closed');
+      const option = optionById(room, params[1]);
+      const emoji = String(body.emoji || '');
+      if (!emoji) throw new ApiError(400, 'Pick a reaction');
+      const who = option.reactions[emoji] || [];
+      option.reactions[emoji] = who.includes(user.email) ? who.filter(e => e !== user.email) : [...who, user.email];
+      if (!option.reactions[emoji].length) delete option.reactions[emoji];
+      broadcastOption(room, option);
+      return { option: optionView(room, option, counts(room)) };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/open-voting$/, ({ user, params }) => {
+      const room = roomById(params[0], user);
+      requireHost(room, user);
+      if (room.votingOpen || room.votingClosedAt) throw new ApiError(400, 'Voting has already started');
+      if (!room.options.length) throw new ApiError(400, 'Add at least one option first');
+      if (room.votingMode === 'tournament' && room.options.length < 2) throw new ApiError(400, 'A tournament needs at least two options');
+      room.votingOpen = true;
+      broadcast(room.roomCode, { type: 'voting-opened', payload: {} });
+      if (room.votingMode === 'tournament') {
+        startBracket(room);
+        broadcast(room.roomCode, { type: 'bracket-updated', payload: { bracket: bracketView(room) } });
+      }
+      systemMessage(room, 'voting-opened');
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/theme$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      if (room.creatorId !== user.email) throw new ApiError(403, 'Only the room creator can change its colour');
+      if (room.finalDecision) throw new ApiError(400, 'This decision is closed');
+      room.accentColor = accentColor(body.accentColor);
+      broadcast(room.roomCode, { type: 'room-theme', payload: { accentColor: room.accentColor } });
+      return { accentColor: room.accentColor };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/weights$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      requireCreator(room, user, 'Only the room creator can set vote weights');
+      if (room.votingClosedAt) throw new ApiError(400, 'Voting has closed');
+      const participant = room.participants.find(p => p.email === body.email);
+      if (!participant || participant.role === 'spectator') throw new ApiError(404, 'Not a voter in this room');
+      const weight = Number(body.weight);
+      if (!(weight >= 0)) throw new ApiError(400, 'Weight must be zero or more');
+      participant.weight = weight;
+      broadcast(room.roomCode, { type: 'participant-updated', payload: { participant: { email: participant.email, weight } } });
+      broadcastCounts(room);
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/veto$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      if (participantOf(room, user).role === 'spectator') throw new ApiError(403, 'Spectators cannot veto');
+      if (!room.votingOpen || room.bracket) throw new ApiError(400, 'Voting is not open');
+      const option = optionById(room, body.optionId);
+      if (option.vetoedBy.length) throw new ApiError(409, 'That option is already vetoed');
+      const used = room.options.filter(o => o.vetoedBy.includes(user.email)).length;
+      if (used >= room.vetoBudget) throw new ApiError(400, 'You have no vetoes left');
+      if (room.options.filter(o => !o.vetoedBy.length).length < 2) throw new ApiError(400, 'At least one option has to stay in play');
+      option.vetoedBy.push(user.email);
+      broadcastOption(room, option);
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/(kick|ban)$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      requireCreator(room, user);
+      return removeParticipant(room, body.email, params[1] === 'ban');
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/transfer$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      requireCreator(room, user);
+      const next = room.participants.find(p => p.email === body.email);
+      if (!next || next.email === user.email) throw new ApiError(404, 'Not in this room');
+      if (users.get(next.email)?.guest) throw new ApiError(400, 'Guests cannot own a room');
+      room.participants.find(p => p.email === user.email).role = 'co-host';
+      next.role = 'creator';
+      room.creatorId = next.email;
+      broadcast(room.roomCode, { type: 'owner-changed', payload: { creatorId: next.email } });
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/role$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      requireCreator(room, user);
+      if (!['co-host', 'participant', 'spectator'].includes(body.role)) throw new ApiError(400, `Unknown role: ${body.role}`);
+      const participant = room.participants.find(p => p.email === body.email);
+      if (!participant) throw new ApiError(404, 'Not in this room');
+      if (participant.role === 'creator') throw new ApiError(400, "The creator's role can't change");
+      if (participant.role === 'spectator' && body.role !== 'spectator' && room.maxParticipants && voterCount(room) >= room.maxParticipants) {
+        throw new ApiError(400, 'The room is full');
+      }
+      participant.role = body.role;
+      // Spectators don't vote, so an open ballot is withdrawn and the seat can go to the waitlist
+      if (body.role === 'spectator') {
+        if (room.votingOpen && room.ballots.delete(participant.email)) broadcastCounts(room);
+        promoteWaitlist(room);
+      }
+      broadcast(room.roomCode, { type: 'participant-updated', payload: { participant: { email: participant.email, role: participant.role } } });
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/vote$/, ctx => castVote(ctx, false)],
+    ['PUT', /^\/rooms\/([^/]+)\/vote$/, ctx => castVote(ctx, true)],
+    ['POST', /^\/rooms\/([^/]+)\/close-voting$/, ({ user, params }) => {
+      const room = roomById(params[0], user);
+      requireHost(room, user);
+      if (!room.votingOpen) throw new ApiError(400, 'Voting is not open');
+      if (room.bracket) throw new ApiError(400, 'Advance the tournament round instead');
+      return closeVoting(room);
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/matches\/([^/]+)\/vote$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      if (participantOf(room, user).role === 'spectator') throw new ApiError(403, 'Spectators cannot vote');
+      if (!room.votingOpen || !room.bracket) throw new ApiError(400, 'Voting is not open');
+      const match = room.bracket.rounds[room.bracket.currentRound].find(m => m._id === params[1]);
+      if (!match || match.winnerId) throw new ApiError(400, 'This match is not being played');
+      if (!match.optionIds.includes(body.optionId)) throw new ApiError(400, 'Unknown option');
+      if (match.ballots.has(user.email)) throw new ApiError(409, 'You have already voted in this match');
+      match.ballots.set(user.email, body.optionId);
+      broadcast(room.roomCode, { type: 'bracket-updated', payload: { bracket: bracketView(room) } });
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/advance-round$/, ({ user, params }) => {
+      const room = roomById(params[0], user);
+      requireHost(room, user);
+      if (!room.votingOpen || !room.bracket) throw new ApiError(400, 'Voting is not open');
+      return advanceRound(room);
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/entropy$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      participantOf(room, user);
+      if (!room.tiedOptionIds) throw new ApiError(400, 'There is no tie to break');
+      room.fairness.entropy.push(String(body.entropy || ''));
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/tiebreaker$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      requireHost(room, user);
+      if (!room.tiedOptionIds) throw new ApiError(400, 'There is no tie to break');
+      const method = body.method;
+      if (!tiebreakers[method]) throw new ApiError(400, `Unknown tiebreaker method: ${method}`);
+      const tiedOptionIds = room.tiedOptionIds;
+      const { entropy } = room.fairness;
+      // Wheel segments are sized by each tied option's weighted votes
+      const liveCounts = counts(room);
+      const weights = method === 'spinner' ? Object.fromEntries(tiedOptionIds.map(id => [id, liveCounts[id] || 1])) : undefined;
+      const combinedSeed = sha256Hex(JSON.stringify([room.serverSeed, ...[...entropy].sort()]));
+      const winnerOptionId = tiebreakers[method](tiedOptionIds, drawer(combinedSeed), weights);
+      room.fairness = { ...room.fairness, serverSeed: room.serverSeed, method, tiedOptionIds, weights, winnerOptionId };
+      // The revealed seed lets every client animate the same coin flips it can verify
+      broadcast(room.roomCode, { type: 'tiebreaker-result', payload: { method, winnerOptionId, tiedOptionIds, weights, fairness: room.fairness } });
+      decide(room, winnerOptionId, method);
+      return { winnerOptionId, weights, fairness: room.fairness };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/chat$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      const me = participantOf(room, user);
+      if (room.finalDecision) throw new ApiError(400, 'This decision is closed');
+      if (room.chatLocked && me.role !== 'creator' && me.role !== 'co-host') throw new ApiError(403, 'The host has locked the chat');
+      if (!String(body.text || '').trim()) throw new ApiError(400, 'Message is empty');
+      const message = {
+        _id: randomId(),
+        kind: 'user',
+        authorEmail: user.email,
+        authorName: user.name,
+        text: body.text.trim(),
+        optionId: body.optionId || null,
+        createdAt: new Date().toISOString()
+      };
+      room.messages.push(message);
+      broadcast(room.roomCode, { type: 'chat-message', payload: { message } });
+      return { message };
+    }],
+    // Authors can delete their own messages; the creator and co-hosts can delete any
+    ['DELETE', /^\/rooms\/([^/]+)\/chat\/([^/]+)$/, ({ user, params }) => {
+      const room = roomById(params[0], user);
+      const me = participantOf(room, user);
+      const message = room.messages.find(m => m._id === params[1] && m.kind === 'user');
+      if (!message) throw new ApiError(404, 'Message not found');
+      if (message.authorEmail !== user.email && me.role !== 'creator' && me.role !== 'co-host') {
+        throw new ApiError(403, 'You can only delete your own messages');
+      }
+      room.messages = room.messages.filter(m => m !== message);
+      broadcast(room.roomCode, { type: 'chat-message-removed', payload: { messageId: message._id } });
+      return { ok: true };
+    }],
+    ['POST', /^\/rooms\/([^/]+)\/chat\/lock$/, ({ user, params, body }) => {
+      const room = roomById(params[0], user);
+      requireHost(room, user);
+      room.chatLocked = Boolean(body.locked);
+      broadcast(room.roomCode, { type: 'chat-locked', payload: { locked: room.chatLocked } });
+      return { locked: room.chatLocked };
+    }]
+  ];
+
+  function castVote({ user, params, body }, replace) {
+    const room = roomById(params[0], user);
+    const me = participantOf(room, user);
+    if (me.role === 'spectator') throw new ApiError(403, 'Spectators cannot vote');
+    if (!room.votingOpen) throw new ApiError(400, 'Voting is not open');
+    if (room.bracket) throw new ApiError(400, 'Vote in the tournament matches instead');
+    if (room.ballots.has(user.email) && !replace) throw new ApiError(409, 'You have already voted');
+    const ids = room.options.map(o => o._id);
+    const picks = body.optionIds || body.ranking || [body.optionId];
+    if (!picks.length || !picks.every(id => ids.includes(id))) throw new ApiError(400, 'Unknown option');
+    const ballot = body.optionIds ? { optionIds: body.optionIds } : body.ranking ? { ranking: body.ranking } : { optionId: body.optionId };
+    room.ballots.set(user.email, ballot);
+    if (room.tallyVisibility !== 'blind') {
+      broadcast(room.roomCode, { type: 'vote-count', payload: { counts: counts(room), votesCast: room.ballots.size } });
+    }
+    const voters = room.participants.filter(p => p.role !== 'spectator');
+    if (room.autoCloseWhenAllVoted && voters.every(p => room.ballots.has(p.email))) closeVoting(room);
+    return { ok: true };
+  }
+
+  // Handles one /api request; `path` has the /api prefix already removed
+  async function handle(method, path, headers, body) {
+    const route = routes.find(([m, pattern]) => m === method && pattern.test(path));
+    if (!route) return { status: 404, body: { message: `${method} ${path} is not implemented in the mock API` } };
+    try {
+      const publicAuth = /^\/auth\/(signup|login|guest|refresh|logout)$/.test(path);
+      const user = publicAuth ? null : currentUser({ headers });
+      const params = path.match(route[1]).slice(1).map(decodeURIComponent);
+      return { status: 200, body: await route[2]({ user, params, body: body || {} }) };
+    } catch (err) {
+      if (err instanceof ApiError) return { status: err.status, body: { message: err.message } };
+      throw err;
+    }
+  }
+
+  return { handle, reset: () => [users, sessions, refreshTokens, rooms, groups, notifications].forEach(map => map.clear()) };
+}
+
+module.exports = { createMockApi };
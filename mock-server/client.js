@@ -0,0 +1,49 @@
+// A test-side client for the mock backend: JSON requests against /api as one signed-in browser.
+const http = require('http');
+
+function mockUser(port) {
+  let token = null;
+  const client = {
+    get token() {
+      return token;
+    },
+    request(method, path, body) {
+      return new Promise((resolve, reject) => {
+        const req = http.request(
+          {
+            port,
+            method,
+            path: `/api${path}`,
+            headers: {
+              'Content-Type': 'application/json',
+              ...(token && { Authorization: `Bearer ${token}` })
+            }
+          },
+          res => {
+            let data = '';
+            res.on('data', chunk => (data += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, data: data ? JSON.parse(data) : null }));
+          }
+        );
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+      });
+    },
+    async call(method, path, body) {
+      const res = await client.request(method, path, body);
+      if (res.status !== 200) throw new Error(`${method} ${path} failed with ${res.status}: ${res.data?.message}`);
+      return res.data;
+    },
+    async signUp(email) {
+      ({ token } = await client.call('POST', '/auth/signup', { email, password: 'secret' }));
+      return client;
+    },
+    async joinAsGuest(roomCode, nickname) {
+      ({ token } = await client.call('POST', '/auth/guest', { roomCode, nickname }));
+      return client;
+    }
+  };
+  return client;
+}
+
+module.exports = { mockUser };
@@ -0,0 +1,87 @@
+// Local mock backend for running the app without the real server.
+//
+//   npm run mock
+//
+// Serves the REST API under http://localhost:5000/api (see api.js) and the room live channel
+// on ws://localhost:5000/ws (see socket.js), the app's default URLs. Push an arbitrary event
+// to every client in a room with:
+//
+//   curl -X POST localhost:5000/rooms/ABC123/events \
+//     -H 'Content-Type: application/json' \
+//     -d '{"type":"option-added","payload":{"option":{"_id":"o1","text":"Pizza"}}}'
+const http = require('http');
+const { createMockApi } = require('./api');
+const { attachRoomSocket } = require('./socket');
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : null);
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+// An http.Server with the mock API and socket attached; call listen() on it
+function createMockServer() {
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders).end();
+      return;
+    }
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      sendJson(res, 400, { message: 'Invalid JSON' });
+      return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+      try {
+        const result = await api.handle(req.method, pathname.slice(4), req.headers, body);
+        sendJson(res, result.status, result.body);
+      } catch (err) {
+        console.error(err);
+        sendJson(res, 500, { message: 'Mock API error' });
+      }
+      return;
+    }
+
+    const match = req.method === 'POST' && pathname.match(/^\/rooms\/([^/]+)\/events$/);
+    if (match && body) {
+      const delivered = socket.broadcast(match[1].toUpperCase(), { type: body.type, payload: body.payload });
+      sendJson(res, 200, { delivered });
+      return;
+    }
+    sendJson(res, 404, { message: 'Not found' });
+  });
+
+  const socket = attachRoomSocket(server);
+  const api = createMockApi({ broadcast: socket.broadcast });
+  server.on('close', socket.close);
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_PORT) || 5000;
+  createMockServer().listen(port, () => console.log(`Mock backend on http://localhost:${port}/api and ws://localhost:${port}/ws`));
+}
+
+module.exports = { createMockServer };
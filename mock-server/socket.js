@@ -0,0 +1,32 @@
+// Mock of the room live channel. Clients connect to ws://<host>/ws?roomCode=ABC123
+// (the same URL as roomSocket.js); the mock API and the /rooms/:code/events route push through broadcast().
+const { WebSocketServer } = require('ws');
+
+function attachRoomSocket(server) {
+  const rooms = new Map(); // roomCode -> Set of sockets
+
+  function broadcast(roomCode, message) {
+    const clients = rooms.get(roomCode);
+    if (!clients) return 0;
+    const data = JSON.stringify(message);
+    clients.forEach(ws => ws.send(data));
+    return clients.size;
+  }
+
+  const wss = new WebSocketServer({ server, path: '/ws' });
+  wss.on('connection', (ws, req) => {
+    const roomCode = (new URL(req.url, 'http://localhost').searchParams.get('roomCode') || '').toUpperCase();
+    if (!roomCode) return ws.close(1008, 'roomCode required');
+    if (!rooms.has(roomCode)) rooms.set(roomCode, new Set());
+    rooms.get(roomCode).add(ws);
+
+    ws.on('close', () => {
+      rooms.get(roomCode).delete(ws);
+      if (rooms.get(roomCode).size === 0) rooms.delete(roomCode);
+    });
+  });
+
+  return { broadcast, close: () => wss.close() };
+}
+
+module.exports = { attachRoomSocket };
@@ -0,0 +1,50 @@
+// Browser (Notification API) alerts for room lifecycle events and group invites
+
+// Labels live in the locale bundles under notifications.types
+export const notificationTypes = ['option-added', 'voting-opened', 'voting-closing', 'tie', 'decision', 'room-invite', 'group-invite'];
+
+export const defaultNotificationPrefs = {
+  browser: false,
+  types: Object.fromEntries(notificationTypes.map(type => [type, true])),
+  mutedRooms: []
+};
+
+export function browserNotificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+export async function requestBrowserPermission() {
+  if (!browserNotificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// Whether a notification should raise a browser alert under the user's preferences
+export function shouldAlert(notification, prefs) {
+  return (
+    prefs.browser &&
+    prefs.types[notification.type] !== false &&
+    !prefs.mutedRooms.includes(notification.roomCode) &&
+    browserNotificationsSupported() &&
+    Notification.permission === 'granted'
+  );
+}
+
+// Where a notification leads: the invite link for group invites, otherwise its room
+export function notificationPath(notification) {
+  if (notification.type === 'group-invite') return `/groups/join/${notification.inviteCode}`;
+  return `/room/${notification.roomCode}`;
+}
+
+export function showBrowserNotification(notification, onClick) {
+  const alert = new Notification(notification.roomTitle || notification.groupName || 'DiceyDecisions', {
+    body: notification.message,
+    icon: '/icon.svg',
+    tag: notification._id
+  });
+  alert.onclick = () => {
+    window.focus();
+    onClick?.();
+    alert.close();
+  };
+}
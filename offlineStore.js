@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react';
+
+// IndexedDB copies of opened rooms plus a queue of writes made while offline
+const dbName = 'diceyOffline';
+const dbVersion = 1;
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, dbVersion);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('rooms', { keyPath: 'roomCode' });
+        db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function run(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export function saveRoom(roomCode, data) {
+  return run('rooms', 'readwrite', store => store.put({ roomCode, data, savedAt: Date.now() }));
+}
+
+export async function loadSavedRoom(roomCode) {
+  const entry = await run('rooms', 'readonly', store => store.get(roomCode));
+  return entry?.data || null;
+}
+
+const listeners = new Set();
+function notify() {
+  listeners.forEach(fn => fn());
+}
+
+// entry: { kind: 'option' | 'vote', roomCode, url, body }
+export async function enqueue(entry) {
+  await run('queue', 'readwrite', store => store.add({ ...entry, queuedAt: Date.now() }));
+  notify();
+}
+
+export function listQueue() {
+  return run('queue', 'readonly', store => store.getAll());
+}
+
+export async function removeQueued(id) {
+  await run('queue', 'readwrite', store => store.delete(id));
+  notify();
+}
+
+export function subscribeQueue(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener('online', up);
+    window.addEventListener('offline', down);
+    return () => {
+      window.removeEventListener('online', up);
+      window.removeEventListener('offline', down);
+    };
+  }, []);
+  return online;
+}
+
+// Queued writes, optionally only those for one room
+export function usePendingQueue(roomCode) {
+  const [pending, setPending] = useState([]);
+  useEffect(() => {
+    let active = true;
+    const refresh = () =>
+      listQueue()
+        .then(items => active && setPending(roomCode ? items.filter(i => i.roomCode === roomCode) : items))
+        .catch(() => {});
+    refresh();
+    const unsubscribe = subscribeQueue(refresh);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [roomCode]);
+  return pending;
+}
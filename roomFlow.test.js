@@ -0,0 +1,447 @@
+/**
+ * @jest-environment node
+ */
+// Integration tests: several users drive rooms end to end against the mock backend
+// (mock-server/), over real HTTP and the room socket, checked with the app's own tally and fairness code.
+import WebSocket from 'ws';
+import { createMockServer } from './mock-server';
+import { mockUser } from './mock-server/client';
+import { tally } from './tally';
+import { verifyTiebreaker, combineSeed, deriveOutcome } from './fairness';
+import { keepMyVotes } from './bracket';
+
+// fairness.js hashes with Web Crypto, which older Node test environments don't expose globally
+if (!global.crypto?.subtle) global.crypto = require('crypto').webcrypto;
+
+let server;
+let port;
+
+beforeAll(done => {
+  server = createMockServer().listen(0, () => {
+    port = server.address().port;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+const user = () => mockUser(port);
+
+// Records every event pushed to a room; waitFor resolves with the first event of a type (that passes `test`)
+function watchRoom(roomCode) {
+  const events = [];
+  const waiting = [];
+  const socket = new WebSocket(`ws://localhost:${port}/ws?roomCode=${roomCode}`);
+  socket.on('message', data => {
+    const event = JSON.parse(data);
+    events.push(event);
+    waiting.filter(w => w.type === event.type && w.test(event)).forEach(w => w.resolve(event));
+  });
+  return {
+    events,
+    opened: new Promise(resolve => socket.on('open', resolve)),
+    waitFor: (type, test = () => true) =>
+      new Promise(resolve => {
+        const seen = events.find(e => e.type === type && test(e));
+        if (seen) resolve(seen);
+        else waiting.push({ type, test, resolve });
+      }),
+    close: () => socket.close()
+  };
+}
+
+async function createRoom(host, settings = {}) {
+  const { _id, roomCode } = await host.call('POST', '/rooms', {
+    title: 'Friday dinner',
+    votingMode: 'plurality',
+    ballotVisibility: 'anonymous',
+    autoCloseWhenAllVoted: false,
+    ...settings
+  });
+  return { _id, roomCode };
+}
+
+async function addOption(member, room, text) {
+  const { option } = await member.call('POST', `/rooms/${room._id}/options`, { text });
+  return option;
+}
+
+test('a host, a member and a guest take a room from options to a decision', async () => {
+  const alice = await user().signUp('alice@example.com');
+  const bob = await user().signUp('bob@example.com');
+  const room = await createRoom(alice);
+  const live = watchRoom(room.roomCode);
+  await live.opened;
+
+  expect(await bob.call('POST', '/rooms/join', { roomCode: room.roomCode })).toEqual({ joined: true });
+  const carol = await user().joinAsGuest(room.roomCode, 'Carol');
+  await live.waitFor('participant-joined');
+
+  const pizza = await addOption(alice, room, 'Pizza');
+  const sushi = await addOption(bob, room, 'Sushi');
+  await addOption(carol, room, 'Tacos');
+  await live.waitFor('option-added');
+
+  // Only the host opens voting
+  expect((await bob.request('POST', `/rooms/${room._id}/open-voting`)).status).toBe(403);
+  await alice.call('POST', `/rooms/${room._id}/open-voting`);
+  await live.waitFor('voting-opened');
+  expect((await carol.request('POST', `/rooms/${room._id}/options`, { text: 'Curry' })).status).toBe(400);
+
+  await alice.call('POST', `/rooms/${room._id}/vote`, { optionId: pizza._id });
+  await bob.call('POST', `/rooms/${room._id}/vote`, { optionId: sushi._id });
+  await carol.call('POST', `/rooms/${room._id}/vote`, { optionId: sushi._id });
+  // Carol changes her mind; the second ballot replaces the first
+  await carol.call('PUT', `/rooms/${room._id}/vote`, { optionId: pizza._id });
+
+  const { room: voting, options } = await bob.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(voting.votesCast).toBe(3);
+  expect(options.find(o => o._id === pizza._id).votes).toBe(2);
+
+  expect(await alice.call('POST', `/rooms/${room._id}/close-voting`)).toEqual({ tie: false, winnerOptionId: pizza._id });
+  await live.waitFor('voting-closed');
+
+  // Published ballots reproduce the decision with the client's tally
+  const closed = await carol.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(closed.room.finalDecision.optionId).toBe(pizza._id);
+  expect(tally('plurality', closed.ballots, closed.options.map(o => o._id)).winners).toEqual([pizza._id]);
+  expect(closed.messages.map(m => m.event)).toEqual(['voting-opened', 'decision']);
+
+  // The room is now history: listed under past decisions and its chat is frozen
+  const past = await bob.call('GET', '/rooms/past/rooms');
+  expect(past).toEqual([expect.objectContaining({ roomCode: room.roomCode, finalChosenOption: 'Pizza', tiebreakerUsed: null })]);
+  expect((await bob.request('POST', `/rooms/${room._id}/chat`, { text: 'Nice' })).status).toBe(400);
+
+  live.close();
+});
+
+test('a tie is settled by a tiebreaker everyone can verify', async () => {
+  const dana = await user().signUp('dana@example.com');
+  const eli = await user().signUp('eli@example.com');
+  const room = await createRoom(dana, { title: 'Movie night' });
+  const live = watchRoom(room.roomCode);
+  await live.opened;
+  await eli.call('POST', '/rooms/join', { roomCode: room.roomCode });
+
+  const comedy = await addOption(dana, room, 'Comedy');
+  const horror = await addOption(eli, room, 'Horror');
+  await dana.call('POST', `/rooms/${room._id}/open-voting`);
+  await dana.call('POST', `/rooms/${room._id}/vote`, { optionId: comedy._id });
+  await eli.call('POST', `/rooms/${room._id}/vote`, { optionId: horror._id });
+
+  const result = await dana.call('POST', `/rooms/${room._id}/close-voting`);
+  expect(result.tie).toBe(true);
+  expect([...result.tiedOptionIds].sort()).toEqual([comedy._id, horror._id].sort());
+
+  // The seed is committed before anyone can influence it, then mixed with participant entropy
+  const tied = await eli.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(tied.room.awaitingTiebreaker).toBe(true);
+  expect(tied.room.fairness.seedHash).toMatch(/^[0-9a-f]{64}$/);
+  expect(tied.room.fairness.serverSeed).toBeUndefined();
+  await eli.call('POST', `/rooms/${room._id}/entropy`, { entropy: 'eli-was-here' });
+
+  expect((await eli.request('POST', `/rooms/${room._id}/tiebreaker`, { method: 'coin' })).status).toBe(403);
+  const { winnerOptionId } = await dana.call('POST', `/rooms/${room._id}/tiebreaker`, { method: 'coin' });
+  const pushed = await live.waitFor('tiebreaker-result');
+  expect(pushed.payload.winnerOptionId).toBe(winnerOptionId);
+  // The broadcast reveals the seed, so watchers animate the very flip that verification proves
+  const { serverSeed, entropy } = pushed.payload.fairness;
+  const flips = await deriveOutcome('coin', result.tiedOptionIds, await combineSeed(serverSeed, entropy));
+  expect(flips.matches).toEqual([expect.objectContaining({ winner: winnerOptionId })]);
+
+  const decided = await eli.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(decided.room.finalDecision).toEqual({ optionId: winnerOptionId, method: 'coin' });
+  expect(decided.room.tiebreakerUsed).toBe('coin');
+  const check = await verifyTiebreaker(decided.room.fairness);
+  expect(check.status).toBe('verified');
+  expect(check.winnerOptionId).toBe(winnerOptionId);
+  // Seed parts are kept apart, so a ':' inside entropy can't stand in for a separate entry
+  expect(await combineSeed('seed', ['a:b'])).not.toBe(await combineSeed('seed', ['a', 'b']));
+
+  const [past] = await dana.call('GET', '/rooms/past/rooms');
+  expect(past).toEqual(expect.objectContaining({ title: 'Movie night', tiebreakerUsed: 'coin' }));
+
+  live.close();
+});
+
+test('voting closes by itself once every voter has voted', async () => {
+  const fay = await user().signUp('fay@example.com');
+  const room = await createRoom(fay, { autoCloseWhenAllVoted: true });
+  const gus = await user().joinAsGuest(room.roomCode, 'Gus');
+  const option = await addOption(fay, room, 'Bowling');
+  await fay.call('POST', `/rooms/${room._id}/open-voting`);
+
+  await fay.call('POST', `/rooms/${room._id}/vote`, { optionId: option._id });
+  expect((await gus.call('GET', `/rooms/code/${room.roomCode}`)).room.votingOpen).toBe(true);
+  await gus.call('POST', `/rooms/${room._id}/vote`, { optionId: option._id });
+
+  const { room: closed } = await gus.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(closed.votingOpen).toBe(false);
+  expect(closed.finalDecision.optionId).toBe(option._id);
+
+  // A guest's token only reaches the room they joined
+  const other = await createRoom(fay, { title: 'Somewhere else' });
+  expect((await gus.request('GET', `/rooms/code/${other.roomCode}`)).status).toBe(403);
+});
+
+test("the creator's room colour reaches everyone in the room", async () => {
+  const hal = await user().signUp('hal@example.com');
+  const room = await createRoom(hal, { accentColor: '#6F42C1' });
+  const ivy = await user().joinAsGuest(room.roomCode, 'Ivy');
+  expect((await ivy.call('GET', `/rooms/code/${room.roomCode}`)).room.accentColor).toBe('#6f42c1');
+
+  const live = watchRoom(room.roomCode);
+  await live.opened;
+  expect((await ivy.request('POST', `/rooms/${room._id}/theme`, { accentColor: '#000000' })).status).toBe(403);
+  expect((await hal.request('POST', `/rooms/${room._id}/theme`, { accentColor: 'purple' })).status).toBe(400);
+  await hal.call('POST', `/rooms/${room._id}/theme`, { accentColor: '#0b7285' });
+  expect((await live.waitFor('room-theme')).payload).toEqual({ accentColor: '#0b7285' });
+
+  // Clearing it falls back to the viewer's own theme
+  await hal.call('POST', `/rooms/${room._id}/theme`, { accentColor: null });
+  expect((await ivy.call('GET', `/rooms/code/${room.roomCode}`)).room.accentColor).toBeNull();
+  live.close();
+});
+
+test('a tournament runs round by round and each voter keeps their own picks', async () => {
+  const nia = await user().signUp('nia@example.com');
+  const oz = await user().signUp('oz@example.com');
+  const room = await createRoom(nia, { title: 'Best snack', votingMode: 'tournament' });
+  await oz.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  const chips = await addOption(nia, room, 'Chips');
+  const nuts = await addOption(oz, room, 'Nuts');
+  const fruit = await addOption(nia, room, 'Fruit');
+  const live = watchRoom(room.roomCode);
+  await live.opened;
+  await nia.call('POST', `/rooms/${room._id}/open-voting`);
+
+  // Three options: the top seed gets a bye, seeds 2 and 3 meet
+  const { room: started } = await oz.call('GET', `/rooms/code/${room.roomCode}`);
+  const [bye, semi] = started.bracket.rounds[0];
+  expect(bye).toEqual(expect.objectContaining({ optionIds: [chips._id, null], winnerId: chips._id }));
+  expect(semi.optionIds).toEqual([nuts._id, fruit._id]);
+  expect((await oz.request('POST', `/rooms/${room._id}/vote`, { optionId: nuts._id })).status).toBe(400);
+
+  await oz.call('POST', `/rooms/${room._id}/matches/${semi._id}/vote`, { optionId: fruit._id });
+  expect((await oz.request('POST', `/rooms/${room._id}/matches/${semi._id}/vote`, { optionId: nuts._id })).status).toBe(409);
+  const { room: voted } = await oz.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(voted.bracket.rounds[0][1].myVote).toBe(fruit._id);
+
+  // Nia's vote goes out to everyone without Oz's pick, which Oz's copy keeps
+  await nia.call('POST', `/rooms/${room._id}/matches/${semi._id}/vote`, { optionId: fruit._id });
+  const { payload } = await live.waitFor('bracket-updated', e => e.payload.bracket.rounds[0][1].votes[fruit._id] === 2);
+  const pushed = payload.bracket;
+  expect(pushed.rounds[0][1].myVote).toBeUndefined();
+  expect(keepMyVotes(pushed, voted.bracket).rounds[0][1].myVote).toBe(fruit._id);
+
+  expect((await oz.request('POST', `/rooms/${room._id}/advance-round`)).status).toBe(403);
+  expect(await nia.call('POST', `/rooms/${room._id}/advance-round`)).toEqual({ championId: null, currentRound: 1 });
+  const { room: final } = await nia.call('GET', `/rooms/code/${room.roomCode}`);
+  const [finalMatch] = final.bracket.rounds[1];
+  expect(finalMatch.optionIds).toEqual([chips._id, fruit._id]);
+
+  // A split final goes to the higher seed
+  await nia.call('POST', `/rooms/${room._id}/matches/${finalMatch._id}/vote`, { optionId: fruit._id });
+  await oz.call('POST', `/rooms/${room._id}/matches/${finalMatch._id}/vote`, { optionId: chips._id });
+  expect((await nia.call('POST', `/rooms/${room._id}/advance-round`)).championId).toBe(chips._id);
+  await live.waitFor('voting-closed');
+  const { room: decided } = await oz.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(decided.votingOpen).toBe(false);
+  expect(decided.finalDecision.optionId).toBe(chips._id);
+  live.close();
+});
+
+test('a friend group fills a new room and its members are told', async () => {
+  const jo = await user().signUp('jo@example.com');
+  const kit = await user().signUp('kit@example.com');
+  const lee = await user().signUp('lee@example.com');
+  const group = await jo.call('POST', '/groups', { name: 'Book club' });
+
+  // Kit is invited by email and finds the link in their notifications; Lee uses the shared link
+  await jo.call('POST', `/groups/${group._id}/invites`, { email: 'kit@example.com' });
+  const [invite] = await kit.call('GET', '/notifications');
+  expect(invite).toEqual(expect.objectContaining({ type: 'group-invite', groupName: 'Book club' }));
+  await kit.call('POST', '/groups/join', { inviteCode: invite.inviteCode });
+  await lee.call('POST', '/groups/join', { inviteCode: group.inviteCode });
+  expect(await lee.call('GET', '/groups')).toEqual([expect.objectContaining({ name: 'Book club', memberCount: 3 })]);
+
+  // A reset link stops working; members stay
+  await jo.call('POST', `/groups/${group._id}/invite-link`);
+  const max = await user().signUp('max@example.com');
+  expect((await max.request('POST', '/groups/join', { inviteCode: group.inviteCode })).status).toBe(404);
+
+  const room = await createRoom(jo, { title: 'Next book', groupId: group._id });
+  const { room: opened } = await kit.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(opened).toEqual(expect.objectContaining({ groupId: group._id, groupName: 'Book club' }));
+  expect(opened.participants.map(p => p.email)).toEqual(['jo@example.com', 'kit@example.com', 'lee@example.com']);
+  const [roomInvite] = await lee.call('GET', '/notifications');
+  expect(roomInvite).toEqual(expect.objectContaining({ type: 'room-invite', roomCode: room.roomCode, roomTitle: 'Next book' }));
+
+  // Leaving the group keeps Lee out of its next room
+  await lee.call('DELETE', `/groups/${group._id}/members/lee@example.com`);
+  expect((await lee.request('GET', `/groups/${group._id}`)).status).toBe(403);
+  expect((await jo.request('DELETE', `/groups/${group._id}/members/jo@example.com`)).status).toBe(400);
+  const later = await createRoom(jo, { title: 'Book after that', groupId: group._id });
+  const { room: next } = await jo.call('GET', `/rooms/code/${later.roomCode}`);
+  expect(next.participants.map(p => p.email)).toEqual(['jo@example.com', 'kit@example.com']);
+});
+
+test('vote weights and vetoes decide the result', async () => {
+  const pam = await user().signUp('pam@example.com');
+  const quin = await user().signUp('quin@example.com');
+  const ros = await user().signUp('ros@example.com');
+  const room = await createRoom(pam, { vetoBudget: 1 });
+  await quin.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  await ros.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  const pizza = await addOption(pam, room, 'Pizza');
+  const sushi = await addOption(quin, room, 'Sushi');
+  const tacos = await addOption(ros, room, 'Tacos');
+
+  expect((await quin.request('POST', `/rooms/${room._id}/weights`, { email: 'quin@example.com', weight: 5 })).status).toBe(403);
+  await pam.call('POST', `/rooms/${room._id}/weights`, { email: 'quin@example.com', weight: 2 });
+  await pam.call('POST', `/rooms/${room._id}/weights`, { email: 'ros@example.com', weight: 3 });
+  await pam.call('POST', `/rooms/${room._id}/open-voting`);
+
+  // Tacos would win on Ros's weight alone, but Pam spends her veto on it
+  await pam.call('POST', `/rooms/${room._id}/vote`, { optionId: pizza._id });
+  await quin.call('POST', `/rooms/${room._id}/vote`, { optionId: sushi._id });
+  await ros.call('POST', `/rooms/${room._id}/vote`, { optionId: tacos._id });
+  await pam.call('POST', `/rooms/${room._id}/veto`, { optionId: tacos._id });
+  expect((await pam.request('POST', `/rooms/${room._id}/veto`, { optionId: sushi._id })).status).toBe(400);
+  await ros.call('PUT', `/rooms/${room._id}/vote`, { optionId: pizza._id });
+
+  const result = await pam.call('POST', `/rooms/${room._id}/close-voting`);
+  expect(result).toEqual({ tie: false, winnerOptionId: pizza._id });
+  const { options, ballots } = await quin.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(options.find(o => o._id === tacos._id).vetoedBy).toEqual(['pam@example.com']);
+  const inPlay = options.filter(o => !o.vetoedBy.length).map(o => o._id);
+  expect(tally('plurality', ballots, inPlay).rounds[0].counts).toEqual({ [pizza._id]: 4, [sushi._id]: 2 });
+});
+
+test('a weighted tie is spun on a wheel everyone can verify', async () => {
+  const sal = await user().signUp('sal@example.com');
+  const tom = await user().signUp('tom@example.com');
+  const uma = await user().signUp('uma@example.com');
+  const room = await createRoom(sal, { vetoBudget: 1 });
+  const live = watchRoom(room.roomCode);
+  await live.opened;
+  await tom.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  await uma.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  const hike = await addOption(sal, room, 'Hike');
+  const museum = await addOption(tom, room, 'Museum');
+  const beach = await addOption(uma, room, 'Beach');
+  await sal.call('POST', `/rooms/${room._id}/weights`, { email: 'tom@example.com', weight: 2 });
+  await sal.call('POST', `/rooms/${room._id}/open-voting`);
+
+  // Beach leads until it is vetoed, which leaves Hike (1 + 1) level with Museum (2)
+  await sal.call('POST', `/rooms/${room._id}/vote`, { optionId: hike._id });
+  await tom.call('POST', `/rooms/${room._id}/vote`, { optionId: beach._id });
+  await uma.call('POST', `/rooms/${room._id}/vote`, { optionId: hike._id });
+  await sal.call('POST', `/rooms/${room._id}/veto`, { optionId: beach._id });
+  await tom.call('PUT', `/rooms/${room._id}/vote`, { optionId: museum._id });
+  const result = await sal.call('POST', `/rooms/${room._id}/close-voting`);
+  expect(result.tie).toBe(true);
+  expect([...result.tiedOptionIds].sort()).toEqual([hike._id, museum._id].sort());
+
+  const { winnerOptionId, weights } = await sal.call('POST', `/rooms/${room._id}/tiebreaker`, { method: 'spinner' });
+  expect(weights).toEqual({ [hike._id]: 2, [museum._id]: 2 });
+  const pushed = await live.waitFor('tiebreaker-result');
+  expect(pushed.payload).toEqual(expect.objectContaining({ winnerOptionId, weights }));
+  const check = await verifyTiebreaker(pushed.payload.fairness);
+  expect(check.status).toBe('verified');
+  expect(check.winnerOptionId).toBe(winnerOptionId);
+  live.close();
+});
+
+test('the creator manages the roster and the waitlist fills freed seats', async () => {
+  const vic = await user().signUp('vic@example.com');
+  const wes = await user().signUp('wes@example.com');
+  const xan = await user().signUp('xan@example.com');
+  const room = await createRoom(vic, { maxParticipants: 2 });
+  const live = watchRoom(room.roomCode);
+  await live.opened;
+  await wes.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  expect(await xan.call('POST', '/rooms/join', { roomCode: room.roomCode })).toEqual({ waitlisted: true, position: 1 });
+
+  // Making Wes a spectator frees a voting seat for Xan
+  expect((await wes.request('POST', `/rooms/${room._id}/role`, { email: 'wes@example.com', role: 'co-host' })).status).toBe(403);
+  await vic.call('POST', `/rooms/${room._id}/role`, { email: 'wes@example.com', role: 'spectator' });
+  await live.waitFor('participant-joined', e => e.payload.participant.email === 'xan@example.com');
+  expect((await vic.request('POST', `/rooms/${room._id}/role`, { email: 'wes@example.com', role: 'participant' })).status).toBe(400);
+
+  // A ban keeps Xan out; ownership moves to Wes, and Vic stays on as co-host
+  await vic.call('POST', `/rooms/${room._id}/ban`, { email: 'xan@example.com' });
+  expect((await live.waitFor('participant-left')).payload).toEqual({ email: 'xan@example.com', banned: true });
+  expect((await xan.request('POST', '/rooms/join', { roomCode: room.roomCode })).status).toBe(403);
+  await vic.call('POST', `/rooms/${room._id}/transfer`, { email: 'wes@example.com' });
+  expect((await live.waitFor('owner-changed')).payload).toEqual({ creatorId: 'wes@example.com' });
+  const { room: after } = await wes.call('GET', `/rooms/code/${room.roomCode}`);
+  expect(after.participants.map(p => [p.email, p.role])).toEqual([
+    ['vic@example.com', 'co-host'],
+    ['wes@example.com', 'creator']
+  ]);
+  live.close();
+});
+
+test('templates, archiving and "run again" carry a room forward', async () => {
+  const yul = await user().signUp('yul@example.com');
+  const zed = await user().signUp('zed@example.com');
+  const tpl = await yul.call('POST', '/templates', {
+    name: 'Friday lunch',
+    settings: { title: "Where's lunch?", votingMode: 'approval' },
+    options: [{ text: 'Ramen' }, { text: 'Salad' }]
+  });
+  expect(await yul.call('GET', '/templates')).toEqual([tpl]);
+  expect(await zed.call('GET', '/templates')).toEqual([]);
+
+  const room = await createRoom(yul, { ...tpl.settings, options: tpl.options });
+  await zed.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  const { options } = await zed.call('GET', `/rooms/code/${room.roomCode}`);
+  const [ramen, salad] = options;
+  await yul.call('POST', `/rooms/${room._id}/open-voting`);
+  await yul.call('POST', `/rooms/${room._id}/vote`, { optionIds: [ramen._id] });
+  await yul.call('POST', `/rooms/${room._id}/close-voting`);
+
+  const again = await yul.call('POST', `/rooms/${room._id}/clone`, { excludeWinner: true });
+  expect(again.roomCode).not.toBe(room.roomCode);
+  const { room: copy, options: copyOptions } = await yul.call('GET', `/rooms/code/${again.roomCode}`);
+  expect(copy).toEqual(expect.objectContaining({ title: "Where's lunch?", votingMode: 'approval', votingOpen: false }));
+  expect(copyOptions.map(o => o.text)).toEqual([salad.text]);
+
+  expect((await zed.request('POST', `/rooms/${again._id}/archive`)).status).toBe(403);
+  await yul.call('POST', `/rooms/${again._id}/archive`);
+  expect((await yul.call('GET', '/rooms/mine')).map(r => r.roomCode)).toEqual([room.roomCode]);
+  await yul.call('DELETE', `/rooms/${again._id}`);
+  expect((await yul.request('GET', `/rooms/code/${again.roomCode}`)).status).toBe(404);
+  await yul.call('DELETE', `/templates/${tpl._id}`);
+  expect(await yul.call('GET', '/templates')).toEqual([]);
+});
+
+test('reactions, merges and chat moderation reach everyone in the room', async () => {
+  const ada = await user().signUp('ada@example.com');
+  const bo = await user().signUp('bo@example.com');
+  const room = await createRoom(ada);
+  const live = watchRoom(room.roomCode);
+  await live.opened;
+  await bo.call('POST', '/rooms/join', { roomCode: room.roomCode });
+  const park = await addOption(ada, room, 'Park');
+  const dupe = await addOption(bo, room, 'The park');
+
+  const { option: reacted } = await bo.call('POST', `/rooms/${room._id}/options/${dupe._id}/reactions`, { emoji: '👍' });
+  expect(reacted.reactions).toEqual({ '👍': ['bo@example.com'] });
+  expect((await bo.request('POST', `/rooms/${room._id}/options/merge`, { sourceIds: [dupe._id], targetId: park._id })).status).toBe(403);
+  const { option: merged } = await ada.call('POST', `/rooms/${room._id}/options/merge`, { sourceIds: [dupe._id], targetId: park._id });
+  expect(merged.reactions).toEqual({ '👍': ['bo@example.com'] });
+  expect((await live.waitFor('option-removed')).payload).toEqual({ optionId: dupe._id });
+
+  const { message } = await bo.call('POST', `/rooms/${room._id}/chat`, { text: 'Park it is' });
+  await ada.call('DELETE', `/rooms/${room._id}/chat/${message._id}`);
+  expect((await live.waitFor('chat-message-removed')).payload).toEqual({ messageId: message._id });
+  expect((await bo.request('POST', `/rooms/${room._id}/chat/lock`, { locked: true })).status).toBe(403);
+  await ada.call('POST', `/rooms/${room._id}/chat/lock`, { locked: true });
+  expect((await live.waitFor('chat-locked')).payload).toEqual({ locked: true });
+  expect((await bo.request('POST', `/rooms/${room._id}/chat`, { text: 'Wait' })).status).toBe(403);
+  live.close();
+});
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment jsdom-fourteen
+ */
+// The room flow through the real Room screen: the host opens voting, votes, closes the tie
+// and runs the tiebreaker from the UI against the mock backend, while a second member votes over the API.
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { createMockServer } from './mock-server';
+import { mockUser } from './mock-server/client';
+
+// jsdom lacks the encoding and Web Crypto globals fairness.js relies on
+if (!global.TextEncoder) global.TextEncoder = require('util').TextEncoder;
+if (!global.crypto?.subtle) Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto });
+
+// Reduced motion swaps the tiebreaker animation for its static result, which keeps the test short
+window.matchMedia = query => ({
+  matches: query.includes('prefers-reduced-motion'),
+  addEventListener: () => {},
+  removeEventListener: () => {}
+});
+
+let server;
+let port;
+let App;
+
+beforeAll(done => {
+  server = createMockServer().listen(0, () => {
+    port = server.address().port;
+    // The API and socket URLs are read when the app loads, so point them at the mock first
+    process.env.REACT_APP_API_URL = `http://localhost:${port}/api`;
+    process.env.REACT_APP_SOCKET_URL = `ws://localhost:${port}/ws`;
+    App = require('./App').default;
+    done();
+  });
+});
+
+afterAll(done => {
+  // jsdom keeps its HTTP connections alive, which would hold close() open
+  server.closeAllConnections();
+  server.close(done);
+});
+
+test('the host votes, closes a tie and runs a verifiable tiebreaker from the room screen', async () => {
+  const host = await mockUser(port).signUp('ui-host@example.com');
+  const member = await mockUser(port).signUp('ui-member@example.com');
+  const { _id, roomCode } = await host.call('POST', '/rooms', {
+    title: 'Game night',
+    votingMode: 'plurality',
+    ballotVisibility: 'anonymous',
+    autoCloseWhenAllVoted: false,
+    options: [{ text: 'Chess' }, { text: 'Poker' }]
+  });
+  await member.call('POST', '/rooms/join', { roomCode });
+  const { options } = await host.call('GET', `/rooms/code/${roomCode}`);
+  const poker = options.find(o => o.text === 'Poker');
+
+  localStorage.setItem('diceyAuth', host.token);
+  window.history.pushState({}, '', `/room/${roomCode}`);
+  render(<App />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Open Voting' }));
+  const ballot = await screen.findByRole('group', { name: /your ballot/i });
+  fireEvent.click(within(ballot).getByRole('radio', { name: /chess/i }));
+  fireEvent.click(screen.getByRole('button', { name: 'Vote' }));
+  await waitFor(async () => expect((await host.call('GET', `/rooms/code/${roomCode}`)).hasVoted).toBe(true));
+  await act(() => member.call('POST', `/rooms/${_id}/vote`, { optionId: poker._id }));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Close Voting' }));
+  await screen.findByRole('heading', { name: 'Tiebreaker needed!' });
+  fireEvent.click(screen.getByRole('button', { name: /coin flip/i }));
+
+  // The screen lands on the same winner the server decided, and the result verifies
+  await screen.findByText('Tiebreaker result:');
+  const decision = await screen.findByText('Final Decision:', {}, { timeout: 4000 });
+  const { room } = await host.call('GET', `/rooms/code/${roomCode}`);
+  const winner = options.find(o => o._id === room.finalDecision.optionId);
+  expect(within(decision).getByText(winner.text)).toBeTruthy();
+  expect(room.tiebreakerUsed).toBe('coin');
+  // The revealed seed arrives with the reload that follows the animation
+  fireEvent.click(await screen.findByRole('button', { name: 'Verify this result' }));
+  expect((await screen.findByText(/recomputed winner is/)).parentElement.textContent).toContain(winner.text);
+});
@@ -0,0 +1,88 @@
+import { useEffect, useRef, useState } from 'react';
+
+export const socketUrl = process.env.REACT_APP_SOCKET_URL || 'ws://localhost:5000/ws';
+
+// Events the server pushes for a room; anything else is ignored
+export const roomEvents = [
+  'option-added',
+  'option-updated',
+  'option-removed',
+  'participant-joined',
+  'participant-updated',
+  'participant-left',
+  'presence',
+  'owner-changed',
+  'voting-opened',
+  'voting-closed',
+  'vote-count',
+  'bracket-updated',
+  'chat-message',
+  'chat-message-removed',
+  'chat-locked',
+  'room-theme',
+  'tiebreaker-result'
+];
+
+const minReconnectDelay = 1000;
+const maxReconnectDelay = 30000;
+
+// Subscribe to the live channel for a room. onEvent receives ({ type, payload }).
+// Reconnects with exponential backoff; `connected` lets callers fall back to polling.
+export function useRoomSocket(roomCode, token, onEvent) {
+  const [connected, setConnected] = useState(false);
+  const handlerRef = useRef(onEvent);
+
+  // Keep latest handler without re-opening the socket on every render
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!roomCode || typeof WebSocket === 'undefined') return;
+    let socket = null;
+    let retryTimer = null;
+    let delay = minReconnectDelay;
+    let closedByUs = false;
+
+    function connect() {
+      const params = new URLSearchParams({ roomCode });
+      if (token) params.set('token', token);
+      socket = new WebSocket(`${socketUrl}?${params}`);
+
+      socket.onopen = () => {
+        delay = minReconnectDelay;
+        setConnected(true);
+      };
+
+      socket.onmessage = e => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        if (!roomEvents.includes(message?.type)) return;
+        handlerRef.current?.(message);
+      };
+
+      socket.onclose = () => {
+        setConnected(false);
+        if (closedByUs) return;
+        retryTimer = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, maxReconnectDelay);
+      };
+
+      // onclose follows onerror, so reconnect is handled there
+      socket.onerror = () => socket.close();
+    }
+
+    connect();
+    return () => {
+      closedByUs = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+    };
+  }, [roomCode, token]);
+
+  return { connected };
+}
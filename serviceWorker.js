@@ -0,0 +1,67 @@
+// Registers the service worker that the production build generates (service-worker.js),
+// which precaches the app shell so the app loads and installs as a PWA offline.
+// Rooms and queued writes are handled separately in offlineStore.js.
+// Nothing is logged: `onUpdate` lets the app tell the user a new version is waiting, and going
+// offline is already shown by the room's offline banner.
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    window.location.hostname === '[::1]' ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+export function register({ onUpdate } = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // Our service worker won't work if PUBLIC_URL is on a different origin
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, onUpdate);
+    } else {
+      registerValidSW(swUrl, onUpdate);
+    }
+  });
+}
+
+// Registration failures are ignored: the app still works online without a worker
+function registerValidSW(swUrl, onUpdate) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then(registration => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) onUpdate?.(registration);
+        };
+      };
+    })
+    .catch(() => {});
+}
+
+// On localhost, make sure a stale worker from another project isn't served
+function checkValidServiceWorker(swUrl, onUpdate) {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then(response => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+        navigator.serviceWorker.ready.then(registration => {
+          registration.unregister().then(() => window.location.reload());
+        });
+      } else {
+        registerValidSW(swUrl, onUpdate);
+      }
+    })
+    // Offline: keep serving the cached shell
+    .catch(() => {});
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready.then(registration => registration.unregister());
+  }
+}
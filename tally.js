@@ -0,0 +1,112 @@
+// Client-side tallying for the room voting modes.
+// Ballot shapes by mode:
+//   plurality: { optionId }
+//   approval:  { optionIds: [] }
+//   ranked / borda: { ranking: [] } (most preferred first)
+// Any ballot may carry a `weight` (default 1) set by the room creator.
+
+// Labels live in the locale bundles under votingModes.*.
+// 'tournament' is a head-to-head bracket run by the server (see bracket.js) and isn't tallied here.
+export const votingModes = ['plurality', 'approval', 'ranked', 'borda', 'tournament'];
+
+// What a count measures in each mode; locale keys under results.units, pluralised by count
+const tallyUnits = { plurality: 'votes', approval: 'approvals', ranked: 'votes', borda: 'points' };
+
+export function tallyUnit(mode) {
+  return tallyUnits[mode] || 'votes';
+}
+
+export function isRankedMode(mode) {
+  return mode === 'ranked' || mode === 'borda';
+}
+
+function weightOf(ballot) {
+  return ballot.weight ?? 1;
+}
+
+function emptyCounts(optionIds) {
+  return Object.fromEntries(optionIds.map(id => [id, 0]));
+}
+
+// Option ids sharing the highest (or lowest) count
+function extremes(counts, pick) {
+  const ids = Object.keys(counts);
+  if (ids.length === 0) return [];
+  const target = pick(...ids.map(id => counts[id]));
+  return ids.filter(id => counts[id] === target);
+}
+
+function tallyPlurality(ballots, optionIds) {
+  const counts = emptyCounts(optionIds);
+  ballots.forEach(b => {
+    if (b.optionId in counts) counts[b.optionId] += weightOf(b);
+  });
+  return { rounds: [{ counts, eliminated: [] }], winners: extremes(counts, Math.max) };
+}
+
+function tallyApproval(ballots, optionIds) {
+  const counts = emptyCounts(optionIds);
+  ballots.forEach(b => {
+    new Set(b.optionIds || []).forEach(id => {
+      if (id in counts) counts[id] += weightOf(b);
+    });
+  });
+  return { rounds: [{ counts, eliminated: [] }], winners: extremes(counts, Math.max) };
+}
+
+function tallyBorda(ballots, optionIds) {
+  const counts = emptyCounts(optionIds);
+  const n = optionIds.length;
+  ballots.forEach(b => {
+    (b.ranking || []).filter(id => id in counts).forEach((id, i) => {
+      counts[id] += (n - 1 - i) * weightOf(b);
+    });
+  });
+  return { rounds: [{ counts, eliminated: [] }], winners: extremes(counts, Math.max) };
+}
+
+// Instant runoff: drop the last-placed option(s) each round until one has a majority
+function tallyInstantRunoff(ballots, optionIds) {
+  let remaining = [...optionIds];
+  const rounds = [];
+
+  while (remaining.length > 0) {
+    const counts = emptyCounts(remaining);
+    let active = 0;
+    ballots.forEach(b => {
+      const choice = (b.ranking || []).find(id => id in counts);
+      if (choice) {
+        counts[choice] += weightOf(b);
+        active += weightOf(b);
+      }
+    });
+
+    const leaders = extremes(counts, Math.max);
+    const trailing = extremes(counts, Math.min);
+    const majority = leaders.length === 1 && counts[leaders[0]] * 2 > active;
+    // Everyone left is level, so nothing more can be eliminated
+    const deadlock = trailing.length === remaining.length;
+
+    if (majority || deadlock) {
+      rounds.push({ counts, eliminated: [] });
+      return { rounds, winners: leaders };
+    }
+    rounds.push({ counts, eliminated: trailing });
+    remaining = remaining.filter(id => !trailing.includes(id));
+  }
+  return { rounds, winners: [] };
+}
+
+const tallies = {
+  plurality: tallyPlurality,
+  approval: tallyApproval,
+  ranked: tallyInstantRunoff,
+  borda: tallyBorda
+};
+
+// Returns { rounds: [{ counts, eliminated }], winners }; more than one winner means a tie.
+// Leave vetoed options out of optionIds so they can neither win nor tie.
+export function tally(mode, ballots, optionIds) {
+  const fn = tallies[mode] || tallyPlurality;
+  return fn(ballots || [], optionIds);
+}
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for the client-side tally the results panel and the exports are built on.
+import { tally } from './tally';
+
+const ids = ['a', 'b', 'c'];
+
+describe('plurality', () => {
+  test('counts one vote per ballot and ignores options that are not in play', () => {
+    const result = tally('plurality', [{ optionId: 'a' }, { optionId: 'a' }, { optionId: 'b' }, { optionId: 'vetoed' }], ids);
+    expect(result.rounds).toEqual([{ counts: { a: 2, b: 1, c: 0 }, eliminated: [] }]);
+    expect(result.winners).toEqual(['a']);
+  });
+
+  test('reports every leader on a tie', () => {
+    expect(tally('plurality', [{ optionId: 'a' }, { optionId: 'c' }], ids).winners).toEqual(['a', 'c']);
+  });
+
+  test('weights can turn the result', () => {
+    const result = tally('plurality', [{ optionId: 'a', weight: 2.5 }, { optionId: 'b' }, { optionId: 'b' }], ids);
+    expect(result.rounds[0].counts).toEqual({ a: 2.5, b: 2, c: 0 });
+    expect(result.winners).toEqual(['a']);
+  });
+
+  test('is the fallback for unknown modes and missing ballots', () => {
+    expect(tally('mystery', [{ optionId: 'b' }], ids).winners).toEqual(['b']);
+    expect(tally('plurality', null, ids).winners).toEqual(ids);
+  });
+});
+
+describe('approval', () => {
+  test('counts each approved option once per ballot, weighted', () => {
+    const ballots = [{ optionIds: ['a', 'b', 'a'] }, { optionIds: ['b'], weight: 2 }, { optionIds: [] }, {}];
+    const result = tally('approval', ballots, ids);
+    expect(result.rounds[0].counts).toEqual({ a: 1, b: 3, c: 0 });
+    expect(result.winners).toEqual(['b']);
+  });
+});
+
+describe('borda', () => {
+  test('gives n-1 points for a first preference down to 0 for the last', () => {
+    const ballots = [{ ranking: ['a', 'b', 'c'] }, { ranking: ['b', 'c', 'a'] }, { ranking: ['b', 'a', 'c'] }];
+    const result = tally('borda', ballots, ids);
+    expect(result.rounds).toEqual([{ counts: { a: 3, b: 5, c: 1 }, eliminated: [] }]);
+    expect(result.winners).toEqual(['b']);
+  });
+
+  test('scores truncated ballots from the top and skips options out of play', () => {
+    const ballots = [{ ranking: ['vetoed', 'c'] }, { ranking: ['a'], weight: 2 }];
+    expect(tally('borda', ballots, ids).rounds[0].counts).toEqual({ a: 4, b: 0, c: 2 });
+  });
+
+  test('ties on points share the win', () => {
+    const ballots = [{ ranking: ['a', 'b', 'c'] }, { ranking: ['b', 'a', 'c'] }];
+    expect(tally('borda', ballots, ids).winners).toEqual(['a', 'b']);
+  });
+});
+
+describe('ranked (instant runoff)', () => {
+  test('a first-round majority wins outright', () => {
+    const ballots = [{ ranking: ['a', 'b'] }, { ranking: ['a'] }, { ranking: ['b', 'a'] }];
+    const result = tally('ranked', ballots, ids);
+    expect(result.rounds).toEqual([{ counts: { a: 2, b: 1, c: 0 }, eliminated: [] }]);
+    expect(result.winners).toEqual(['a']);
+  });
+
+  test("the last-placed option's ballots move to their next choice", () => {
+    const ballots = [{ ranking: ['a'] }, { ranking: ['a'] }, { ranking: ['b', 'c'] }, { ranking: ['c'] }, { ranking: ['c'] }];
+    const result = tally('ranked', ballots, ids);
+    expect(result.rounds).toEqual([
+      { counts: { a: 2, b: 1, c: 2 }, eliminated: ['b'] },
+      { counts: { a: 2, c: 3 }, eliminated: [] }
+    ]);
+    expect(result.winners).toEqual(['c']);
+  });
+
+  test('options tied for last are eliminated together', () => {
+    const ballots = [{ ranking: ['a'] }, { ranking: ['a'] }, { ranking: ['a'] }, { ranking: ['b'] }, { ranking: ['b'] }, { ranking: ['c'] }, { ranking: ['c'] }];
+    const result = tally('ranked', ballots, ids);
+    expect(result.rounds[0]).toEqual({ counts: { a: 3, b: 2, c: 2 }, eliminated: ['b', 'c'] });
+    // b's and c's ballots are exhausted, so a's 3 is a majority of the ballots still in play
+    expect(result.rounds[1]).toEqual({ counts: { a: 3 }, eliminated: [] });
+    expect(result.winners).toEqual(['a']);
+  });
+
+  test('exhausted ballots can leave a tie that no elimination resolves', () => {
+    const ballots = [{ ranking: ['a'] }, { ranking: ['a'] }, { ranking: ['b'] }, { ranking: ['b'] }, { ranking: ['c'] }];
+    const result = tally('ranked', ballots, ids);
+    expect(result.rounds).toEqual([
+      { counts: { a: 2, b: 2, c: 1 }, eliminated: ['c'] },
+      { counts: { a: 2, b: 2 }, eliminated: [] }
+    ]);
+    expect(result.winners).toEqual(['a', 'b']);
+  });
+
+  test('weights count toward the majority', () => {
+    const ballots = [{ ranking: ['a'], weight: 3 }, { ranking: ['b'] }, { ranking: ['b'] }];
+    expect(tally('ranked', ballots, ids).winners).toEqual(['a']);
+  });
+
+  test('with no ballots every option is level', () => {
+    expect(tally('ranked', [], ids)).toEqual({ rounds: [{ counts: { a: 0, b: 0, c: 0 }, eliminated: [] }], winners: ids });
+  });
+});
@@ -0,0 +1,177 @@
+import { useEffect, useState } from 'react';
+
+// Design tokens. Colour and layout tokens are CSS custom properties: ThemeProvider (App.js)
+// writes the active palette and layout onto <html>, and a room's accent overrides the accent
+// variables on the room's own element, so the same `styles` serve every theme.
+
+export const themeModes = ['system', 'light', 'dark'];
+export const themeStorageKey = 'diceyTheme';
+
+export const palettes = {
+  light: {
+    background: '#ffffff',
+    surface: '#ffffff',
+    surfaceAlt: '#fafafa',
+    text: '#212529',
+    strong: '#222222',
+    muted: '#555555',
+    subtle: '#6c757d',
+    border: '#cccccc',
+    divider: '#eeeeee',
+    accent: '#0069d9',
+    onAccent: '#ffffff',
+    accentSoft: '#e7f1ff',
+    link: '#0062cc',
+    onFill: '#ffffff',
+    success: '#1e7e34',
+    successText: '#1e7e34',
+    danger: '#dc3545',
+    dangerText: '#dc3545',
+    warning: '#ffc107',
+    onWarning: '#222222',
+    warningText: '#b36b00',
+    neutral: '#6c757d',
+    shadow: 'rgba(0,0,0,0.1)',
+    chart1: '#007bff',
+    chart2: '#28a745',
+    chart3: '#ffc107',
+    chart4: '#dc3545',
+    chart5: '#6f42c1',
+    chart6: '#17a2b8',
+    chart7: '#fd7e14',
+    chart8: '#20c997',
+    dieFace: '#ffffff',
+    dieInk: '#222222',
+    coinFace: '#f4c542',
+    coinEdge: '#c99a06',
+    coinInk: '#7a5c00'
+  },
+  dark: {
+    background: '#121417',
+    surface: '#1c1f24',
+    surfaceAlt: '#24282e',
+    text: '#e9ecef',
+    strong: '#f8f9fa',
+    muted: '#adb5bd',
+    subtle: '#8f99a3',
+    border: '#495057',
+    divider: '#343a40',
+    accent: '#1a73e8',
+    onAccent: '#ffffff',
+    accentSoft: 'rgba(26,115,232,0.2)',
+    link: '#6ea8fe',
+    onFill: '#ffffff',
+    success: '#1e7e34',
+    successText: '#75b798',
+    danger: '#dc3545',
+    dangerText: '#ea868f',
+    warning: '#ffc107',
+    onWarning: '#222222',
+    warningText: '#ffda6a',
+    neutral: '#6c757d',
+    shadow: 'rgba(0,0,0,0.6)',
+    chart1: '#4dabf7',
+    chart2: '#51cf66',
+    chart3: '#ffd43b',
+    chart4: '#ff6b6b',
+    chart5: '#b197fc',
+    chart6: '#3bc9db',
+    chart7: '#ffa94d',
+    chart8: '#38d9a9',
+    dieFace: '#2b3035',
+    dieInk: '#f8f9fa',
+    coinFace: '#d4a72c',
+    coinEdge: '#a67c00',
+    coinInk: '#3d2e00'
+  }
+};
+
+// Phones get tighter page margins and the room sidebar drops below the main column
+export const breakpoints = { phone: 600 };
+
+const layouts = {
+  regular: { gutter: '20px', pageMargin: '30px', pagePadding: '0px', sidebarWidth: '220px' },
+  compact: { gutter: '12px', pageMargin: '8px', pagePadding: '8px', sidebarWidth: '100%' }
+};
+
+const cssVar = name => `--dd-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+
+const references = names => Object.fromEntries(names.map(name => [name, `var(${cssVar(name)})`]));
+
+// Token references for styles, e.g. color.accent === 'var(--dd-accent)'
+export const color = references(Object.keys(palettes.light));
+export const space = references(Object.keys(layouts.regular));
+
+// Series colours for results charts and the tiebreaker wheel, cycled by option order
+export const chartColors = [1, 2, 3, 4, 5, 6, 7, 8].map(i => color[`chart${i}`]);
+
+export const font = {
+  family: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  size: { xs: 12, sm: 14, md: 16, lg: 18, xl: 22, xxl: 24 }
+};
+
+export const radius = { sm: 4, md: 6, lg: 8, pill: 12, round: '50%' };
+
+export const shadow = {
+  card: `0px 0px 10px ${color.shadow}`,
+  popover: `0px 4px 12px ${color.shadow}`
+};
+
+// CSS variables for a palette and layout, to set on the document root
+export function themeVars(scheme, compact) {
+  const values = { ...palettes[scheme], ...layouts[compact ? 'compact' : 'regular'] };
+  return Object.fromEntries(Object.entries(values).map(([name, value]) => [cssVar(name), value]));
+}
+
+// Accents a room creator can pick; any other #rrggbb colour works too
+export const roomAccents = [
+  { name: 'ocean', value: '#0069d9' },
+  { name: 'grape', value: '#6f42c1' },
+  { name: 'berry', value: '#c2255c' },
+  { name: 'forest', value: '#1e7e34' },
+  { name: 'lagoon', value: '#0b7285' },
+  { name: 'sunset', value: '#c24e00' }
+];
+
+export function isAccentColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function luminance(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// White or near-black, whichever reads better on the colour (WCAG contrast ratio)
+export function readableOn(hex) {
+  const l = luminance(hex);
+  return 1.05 / (l + 0.05) >= (l + 0.05) / 0.05 ? '#ffffff' : '#111111';
+}
+
+// Inline style overriding the accent tokens for everything inside a room; {} keeps the theme's
+export function accentVars(accent) {
+  if (!isAccentColor(accent)) return {};
+  return {
+    [cssVar('accent')]: accent,
+    [cssVar('onAccent')]: readableOn(accent),
+    [cssVar('accentSoft')]: `${accent}33`
+  };
+}
+
+export function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() => window.matchMedia?.(query).matches || false);
+
+  useEffect(() => {
+    const mql = window.matchMedia?.(query);
+    if (!mql) return;
+    setMatches(mql.matches);
+    const onChange = e => setMatches(e.matches);
+    mql.addEventListener('change', onChange);
+    return () => mql.removeEventListener('change', onChange);
+  }, [query]);
+
+  return matches;
+}